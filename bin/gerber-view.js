@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Command line front end of the Node API, e.g.
+//   gerber-view render board.zip --side top --dpi 600 --out top.png
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { loadBoard, renderSvg, renderPng, renderGlb, SIDES, DEFAULT_COLORS } from '../node/index.js';
+
+const FORMATS = ['svg', 'png', 'glb'];
+
+const USAGE = `Usage: gerber-view render <file|folder|archive>... [options]
+
+Renders Gerber and drill files (or a .zip / .tar.gz of them) to an image of
+one side of the board, or to a 3D model.
+
+Options:
+  --side <top|bottom>   Side to render (default: top)
+  --format <svg|png|glb>
+                        Output format (default: from the --out extension, else svg)
+  --dpi <number>        PNG resolution (default: 300)
+  --out <file>          Output file (default: standard output)
+  --soldermask <#hex>   Soldermask colour (default: ${DEFAULT_COLORS.soldermask})
+  --silkscreen <#hex>   Silkscreen colour (default: ${DEFAULT_COLORS.silkscreen})
+  --finish <#hex>       Copper finish colour (default: ${DEFAULT_COLORS.finish})
+  --copper <#hex>       Colour of copper under the soldermask (default: ${DEFAULT_COLORS.copper})
+  --substrate <#hex>    Substrate colour (default: ${DEFAULT_COLORS.substrate})
+  --thickness <mm>      Board thickness for glb (default: job file's, else 1.6)
+  -h, --help            Show this help
+`;
+
+class UsageError extends Error {}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            side: { type: 'string', default: 'top' },
+            format: { type: 'string' },
+            dpi: { type: 'string', default: '300' },
+            out: { type: 'string', short: 'o' },
+            soldermask: { type: 'string' },
+            silkscreen: { type: 'string' },
+            finish: { type: 'string' },
+            copper: { type: 'string' },
+            substrate: { type: 'string' },
+            thickness: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    const [command, ...inputs] = positionals;
+
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (command !== 'render') throw new UsageError(`Unknown command "${command}".`);
+    if (inputs.length === 0) throw new UsageError('No input files given.');
+
+    const format = values.format || (values.out && path.extname(values.out).slice(1).toLowerCase()) || 'svg';
+    if (!FORMATS.includes(format)) throw new UsageError(`Unknown format "${format}", expected one of: ${FORMATS.join(', ')}.`);
+    if (!SIDES.includes(values.side)) throw new UsageError(`Unknown side "${values.side}", expected one of: ${SIDES.join(', ')}.`);
+    const dpi = parsePositive(values.dpi, '--dpi');
+    const thickness = values.thickness === undefined ? undefined : parsePositive(values.thickness, '--thickness');
+    const colors = {};
+    Object.keys(DEFAULT_COLORS).forEach(name => {
+        if (values[name] === undefined) return;
+        if (!/^#[0-9a-f]{6}$/i.test(values[name])) throw new UsageError(`--${name} must be a colour like #004225.`);
+        colors[name] = values[name].toUpperCase();
+    });
+
+    const board = await loadBoard(inputs, { colors, thickness });
+    board.issues.forEach(issue => {
+        const where = issue.file ? `${issue.file}${issue.line ? `:${issue.line}` : ''}: ` : '';
+        process.stderr.write(`gerber-view: ${issue.severity}: ${where}${issue.message}\n`);
+    });
+    let output;
+    if (format === 'svg') output = renderSvg(board, values.side);
+    else if (format === 'png') output = renderPng(board, values.side, { dpi });
+    else output = await renderGlb(board);
+
+    if (values.out) {
+        await fs.writeFile(values.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+function parsePositive(value, option) {
+    const number = parseFloat(value);
+    if (!(number > 0)) throw new UsageError(`${option} must be a positive number.`);
+    return number;
+}
+
+main(process.argv.slice(2)).catch(error => {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+        process.stderr.write(`gerber-view: ${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+    } else {
+        process.stderr.write(`gerber-view: ${error.message}\n`);
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,1601 @@
+// Gerber viewer core: the parts that need no page, shared by the browser
+// viewer (main.js) and the Node API and CLI (node/, bin/). pcb-stackup, JSZip
+// and Clipper are used through the globals their browser builds define
+// (pcbStackup, JSZip, ClipperLib); node/index.js sets those up under Node.
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+
+const svgLoader = new SVGLoader();
+
+// === CONSTANTS ===
+export const MM_PER_INCH = 25.4;
+export const CLIPPER_SCALE = 1000; // Clipper works in integers: converter units * 1000
+const MAX_ARCHIVE_DEPTH = 4; // Archives inside archives
+const LAYER_SIZE_MARGIN = 10; // mm a layer may reach past twice the outline's size before it looks mis-scaled
+
+// The toolbar's defaults: green soldermask, white silkscreen, HASL on FR-4.
+// `copper` is copper under the soldermask, `finish` exposed copper.
+export const DEFAULT_COLORS = { soldermask: '#004225', silkscreen: '#FFFFFF', finish: '#C0C0C0', copper: '#C09548', substrate: '#ECD39E' };
+
+// Roles a file can be assigned to from the layer manager. `value` is what we
+// store in layerOverrides, `type`/`side` are passed straight to pcb-stackup.
+export const LAYER_ROLES = [
+    { value: 'top:copper', label: 'Top Copper', type: 'copper', side: 'top' },
+    { value: 'top:soldermask', label: 'Top Soldermask', type: 'soldermask', side: 'top' },
+    { value: 'top:silkscreen', label: 'Top Silkscreen', type: 'silkscreen', side: 'top' },
+    { value: 'top:solderpaste', label: 'Top Paste', type: 'solderpaste', side: 'top' },
+    { value: 'inner:copper', label: 'Inner Copper', type: 'copper', side: 'inner' },
+    { value: 'bottom:copper', label: 'Bottom Copper', type: 'copper', side: 'bottom' },
+    { value: 'bottom:soldermask', label: 'Bottom Soldermask', type: 'soldermask', side: 'bottom' },
+    { value: 'bottom:silkscreen', label: 'Bottom Silkscreen', type: 'silkscreen', side: 'bottom' },
+    { value: 'bottom:solderpaste', label: 'Bottom Paste', type: 'solderpaste', side: 'bottom' },
+    { value: 'all:outline', label: 'Board Outline', type: 'outline', side: 'all' },
+    { value: 'all:drill', label: 'Drill', type: 'drill', side: 'all' },
+    { value: 'all:drawing', label: 'Drawing / Other', type: 'drawing', side: 'all' },
+    { value: 'ignore', label: 'Ignore File', type: null, side: null }
+];
+
+// === LAYER IDENTIFICATION ===
+
+export function getFileBasename(filename) {
+    return filename.split('/').pop().split('\\').pop();
+}
+
+// Files we never hand to pcb-stackup unless the user explicitly assigns a role
+export function isNonGerberFile(filename) {
+    const fn = getFileBasename(filename).toLowerCase();
+    return (
+        fn.endsWith('.txt') ||
+        fn.endsWith('.pdf') ||
+        fn.endsWith('.png') ||
+        fn.endsWith('.jpg') ||
+        fn.endsWith('.jpeg') ||
+        fn.endsWith('.csv') ||
+        fn.endsWith('.gbrjob')
+    );
+}
+
+export function getLayerRole(value) {
+    return LAYER_ROLES.find(role => role.value === value) || null;
+}
+
+export function describeLayerRole(type, side) {
+    if (!type) return 'Unknown';
+    const role = LAYER_ROLES.find(r => r.type === type && r.side === side);
+    return role ? role.label : `${side || ''} ${type}`.trim();
+}
+
+export function detectLayerFilename(layer, innerLayerCounter) {
+    const basename = getFileBasename(layer.filename).toLowerCase();
+    const gerber = layer.gerber || '';
+    const header = gerber.slice(0, 4096).toLowerCase();
+    const combined = `${basename}\n${header}`;
+
+    if (basename.endsWith('.gbrjob')) return null;
+
+    if (
+        combined.includes('profile') ||
+        combined.includes('outline') ||
+        combined.includes('%tf.filefunction,profile') ||
+        combined.includes('%tf.filefunction,other,outline')
+    ) {
+        return 'board.gko';
+    }
+
+    if (combined.includes('drill') || basename.endsWith('.drl') || basename.endsWith('.xln')) {
+        return 'drill.xln';
+    }
+
+    if (combined.includes('solderpaste top') || combined.includes('paste_top') || combined.includes('top paste')) {
+        return 'top.gtp';
+    }
+    if (combined.includes('solderpaste bottom') || combined.includes('paste_bottom') || combined.includes('bottom paste')) {
+        return 'bottom.gbp';
+    }
+    if (combined.includes('soldermask top') || combined.includes('soldermask_top') || combined.includes('top soldermask')) {
+        return 'top.gts';
+    }
+    if (combined.includes('soldermask bottom') || combined.includes('soldermask_bottom') || combined.includes('bottom soldermask')) {
+        return 'bottom.gbs';
+    }
+    if (combined.includes('silkscreen top') || combined.includes('silkscreen_top') || combined.includes('top silkscreen')) {
+        return 'top.gto';
+    }
+    if (combined.includes('silkscreen bottom') || combined.includes('silkscreen_bottom') || combined.includes('bottom silkscreen')) {
+        return 'bottom.gbo';
+    }
+    if (combined.includes('top copper') || combined.includes('copper_top')) {
+        return 'top.gtl';
+    }
+    if (combined.includes('bottom copper') || combined.includes('copper_bottom')) {
+        return 'bottom.gbl';
+    }
+
+    if (
+        combined.includes('inner copper') ||
+        combined.includes('copper_inner') ||
+        combined.includes('%tf.filefunction,copper,l')
+    ) {
+        const index = innerLayerCounter.value++;
+        return `inner${index}.g${index + 1}`;
+    }
+
+    return getFileBasename(layer.filename);
+}
+
+// === FILE LOADING ===
+// Every source of files ends up as (path, bytes) pairs fed through
+// collectLayerFiles, which unpacks archives (nested ones too) into layers
+// of { filename, gerber }.
+
+// Adds the file at `path` to `layers`, or the files inside it when it is a
+// zip, gzip or tar archive. Files inside an archive are named relative to the
+// folder the archive is in.
+export async function collectLayerFiles(path, bytes, layers, depth) {
+    if (isIgnoredPath(path)) return;
+
+    const archiveType = getArchiveType(bytes);
+    if (archiveType && depth >= MAX_ARCHIVE_DEPTH) {
+        console.warn(`Skipping ${path}: archives nested too deeply.`);
+        return;
+    }
+    const folder = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+
+    if (archiveType === 'zip') {
+        const zip = await JSZip.loadAsync(bytes);
+        for (const zipEntry of Object.values(zip.files)) {
+            if (zipEntry.dir) continue;
+            await collectLayerFiles(folder + zipEntry.name, await zipEntry.async('uint8array'), layers, depth + 1);
+        }
+    } else if (archiveType === 'gzip') {
+        // foo.tar.gz / foo.tgz -> foo.tar
+        const innerPath = path.replace(/\.tgz$/i, '.tar').replace(/\.gz$/i, '');
+        await collectLayerFiles(innerPath, await gunzip(bytes), layers, depth + 1);
+    } else if (archiveType === 'tar') {
+        for (const entry of parseTar(bytes)) {
+            await collectLayerFiles(folder + entry.name, entry.data, layers, depth + 1);
+        }
+    } else {
+        const content = new TextDecoder().decode(bytes);
+        // Ensure content is not just whitespace before adding
+        if (content.trim()) {
+            layers.push({ filename: path, gerber: content });
+        }
+    }
+}
+
+// Exclude common metadata files from archives and folders
+export function isIgnoredPath(path) {
+    const segments = path.split('/');
+    return segments.includes('__MACOSX') || getFileBasename(path).startsWith('.');
+}
+
+// Archives are recognised by content rather than name, as EDA tools are not
+// consistent with extensions
+function getArchiveType(bytes) {
+    if (bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04) return 'zip';
+    if (bytes[0] === 0x1F && bytes[1] === 0x8B) return 'gzip';
+    if (bytes.length >= 512 && new TextDecoder().decode(bytes.subarray(257, 262)) === 'ustar') return 'tar';
+    return null;
+}
+
+async function gunzip(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error("This environment cannot open .gz archives, please use a .zip instead.");
+    }
+    const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Minimal ustar reader returning the regular files as [{ name, data }].
+// Understands GNU long names and pax path headers.
+function parseTar(bytes) {
+    const decoder = new TextDecoder();
+    const field = (offset, length) => decoder.decode(bytes.subarray(offset, offset + length)).replace(/\0.*$/s, '');
+    const files = [];
+    let longName = null;
+    let offset = 0;
+
+    while (offset + 512 <= bytes.length) {
+        const name = field(offset, 100);
+        if (!name) break; // Zero block at the end of the archive
+
+        const size = parseInt(field(offset + 124, 12).trim(), 8) || 0;
+        const type = String.fromCharCode(bytes[offset + 156]);
+        const prefix = field(offset + 345, 155);
+        const data = bytes.subarray(offset + 512, offset + 512 + size);
+
+        if (type === 'L') {
+            longName = decoder.decode(data).replace(/\0.*$/s, '');
+        } else if (type === 'x') {
+            const match = decoder.decode(data).match(/^\d+ path=(.*)$/m);
+            if (match) longName = match[1];
+        } else {
+            if (type === '0' || type === '\0') {
+                const fullName = longName || (prefix ? `${prefix}/${name}` : name);
+                files.push({ name: fullName.replace(/^(\.\/)+/, ''), data });
+            }
+            longName = null;
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+// === EXCELLON DRILL PARSING ===
+
+// Parses an Excellon drill file into holes and routed paths (slots and
+// routed cutouts), all in millimetres in the board's coordinate system:
+// { holes: [{ x, y, diameter, tool, plated }], routes: [{ points: [{ x, y }], diameter, tool, plated }] }
+// `plated` comes from the file itself where it says so (KiCad's
+// TA.AperFunction comments, Altium's TYPE= comment), otherwise it is null
+// and left to the caller.
+export function parseExcellon(text) {
+    const tools = {};
+    const holes = [];
+    const routes = [];
+    const format = { units: 'in', zeros: 'TZ', places: null };
+    let filePlated = null;
+    let nextToolPlated = null;
+    let tool = null;
+    let inHeader = false;
+    let absolute = true;
+    let routeMode = false;
+    let toolDown = false;
+    let motion = 'G01';
+    let route = null;
+    const pos = { x: 0, y: 0 };
+
+    const getPlaces = () => format.places || (format.units === 'mm' ? [3, 3] : [2, 4]);
+    const parseNumber = (str) => {
+        if (str.includes('.')) return parseFloat(str);
+        const sign = str.startsWith('-') ? -1 : 1;
+        const digits = str.replace(/^[+-]/, '');
+        const [intPlaces, decPlaces] = getPlaces();
+        // LZ keeps leading zeros, so the decimal point sits after intPlaces digits
+        const exponent = format.zeros === 'LZ' ? digits.length - intPlaces : decPlaces;
+        return sign * parseInt(digits, 10) / Math.pow(10, exponent);
+    };
+    const readCoordinates = (str) => {
+        const x = /X([+-]?[\d.]+)/.exec(str);
+        const y = /Y([+-]?[\d.]+)/.exec(str);
+        const point = { x: pos.x, y: pos.y };
+        if (x) point.x = absolute ? parseNumber(x[1]) : pos.x + parseNumber(x[1]);
+        if (y) point.y = absolute ? parseNumber(y[1]) : pos.y + parseNumber(y[1]);
+        return { point, found: Boolean(x || y) };
+    };
+    const readArc = (str, start, end, clockwise) => {
+        const a = /A([+-]?[\d.]+)/.exec(str);
+        const i = /I([+-]?[\d.]+)/.exec(str);
+        const j = /J([+-]?[\d.]+)/.exec(str);
+        let center = null;
+        if (i || j) {
+            center = { x: start.x + (i ? parseNumber(i[1]) : 0), y: start.y + (j ? parseNumber(j[1]) : 0) };
+        } else if (a) {
+            center = getArcCenter(start, end, parseNumber(a[1]), clockwise);
+        }
+        return center ? interpolateArc(start, end, center, clockwise) : [end];
+    };
+    const setUnits = (line) => {
+        format.units = /^(METRIC|M71)/.test(line) ? 'mm' : 'in';
+        if (/,LZ/.test(line)) format.zeros = 'LZ';
+        if (/,TZ/.test(line)) format.zeros = 'TZ';
+        // e.g. METRIC,TZ,000.000 means 3 integer and 3 decimal places
+        const places = /,(0+)\.(0+)/.exec(line);
+        if (places) format.places = [places[1].length, places[2].length];
+    };
+    const defineTool = (line) => {
+        const match = /^T(\d+)[^C]*C([\d.]+)/.exec(line);
+        if (!match) return false;
+        tools[parseInt(match[1], 10)] = { diameter: parseNumber(match[2]), plated: nextToolPlated };
+        nextToolPlated = null;
+        return true;
+    };
+    const toolInfo = () => tools[tool] || { diameter: 0, plated: null };
+    const addHole = (point) => {
+        holes.push({ x: point.x, y: point.y, diameter: toolInfo().diameter, tool, plated: toolInfo().plated });
+    };
+    const startRoute = (points) => ({ points, diameter: toolInfo().diameter, tool, plated: toolInfo().plated });
+    const finishRoute = () => {
+        if (route && route.points.length > 1) routes.push(route);
+        route = null;
+    };
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith(';')) {
+            const places = /FILE_FORMAT=(\d+):(\d+)/i.exec(line);
+            if (places) format.places = [parseInt(places[1], 10), parseInt(places[2], 10)];
+            const aperture = /TA\.AperFunction,(Plated|NonPlated)/i.exec(line);
+            if (aperture) nextToolPlated = aperture[1].toLowerCase() === 'plated';
+            if (/TYPE=NON_PLATED/i.test(line)) filePlated = false;
+            else if (/TYPE=PLATED/i.test(line)) filePlated = true;
+            return;
+        }
+
+        if (line === 'M48') { inHeader = true; return; }
+        if (line === '%' || line === 'M95') { inHeader = false; return; }
+        if (/^(METRIC|INCH|M71|M72)/.test(line)) { setUnits(line); return; }
+        if (line === 'M30' || line === 'M00') { finishRoute(); return; }
+
+        if (inHeader) {
+            defineTool(line);
+            return;
+        }
+
+        if (/^T\d+/.test(line)) {
+            if (!defineTool(line)) {
+                finishRoute();
+                tool = parseInt(line.slice(1), 10) || null;
+            }
+            return;
+        }
+
+        if (line.startsWith('G90')) { absolute = true; return; }
+        if (line.startsWith('G91')) { absolute = false; return; }
+        if (line.startsWith('G05')) { finishRoute(); routeMode = false; toolDown = false; return; }
+        if (line.startsWith('M15')) { toolDown = true; route = startRoute([{ ...pos }]); return; }
+        if (line.startsWith('M16') || line.startsWith('M17')) { finishRoute(); toolDown = false; return; }
+
+        // Slot: X<start>Y<start>G85X<end>Y<end>
+        if (line.includes('G85')) {
+            const [first, second] = line.split('G85');
+            const start = readCoordinates(first).point;
+            Object.assign(pos, start);
+            const end = readCoordinates(second).point;
+            Object.assign(pos, end);
+            routes.push(startRoute([start, end]));
+            return;
+        }
+
+        // Repeat: R<count>X<dx>Y<dy> drills <count> more holes stepping by the offset
+        const repeat = /^R(\d+)/.exec(line);
+        if (repeat) {
+            const dx = /X([+-]?[\d.]+)/.exec(line);
+            const dy = /Y([+-]?[\d.]+)/.exec(line);
+            for (let i = 0; i < parseInt(repeat[1], 10); i++) {
+                if (dx) pos.x += parseNumber(dx[1]);
+                if (dy) pos.y += parseNumber(dy[1]);
+                addHole(pos);
+            }
+            return;
+        }
+
+        const gCode = /^G0?([0-3])(?!\d)/.exec(line);
+        if (gCode) {
+            if (gCode[1] === '0') {
+                finishRoute();
+                routeMode = true;
+                toolDown = false;
+            } else {
+                motion = `G0${gCode[1]}`;
+            }
+        }
+
+        const { point, found } = readCoordinates(line);
+        if (!found) return;
+
+        if (routeMode && toolDown && route) {
+            if (motion === 'G02' || motion === 'G03') {
+                route.points.push(...readArc(line, { ...pos }, point, motion === 'G02'));
+            } else {
+                route.points.push(point);
+            }
+        } else if (!routeMode) {
+            addHole(point);
+        }
+        Object.assign(pos, point);
+    });
+    finishRoute();
+
+    const toMm = format.units === 'in' ? MM_PER_INCH : 1;
+    const convertPoint = p => ({ x: p.x * toMm, y: p.y * toMm });
+    const resolvePlated = plated => (plated === null ? filePlated : plated);
+
+    return {
+        holes: holes.map(h => ({ ...h, ...convertPoint(h), diameter: h.diameter * toMm, plated: resolvePlated(h.plated) })),
+        routes: routes.map(r => ({ ...r, points: r.points.map(convertPoint), diameter: r.diameter * toMm, plated: resolvePlated(r.plated) }))
+    };
+}
+
+function getArcCenter(start, end, radius, clockwise) {
+    const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const chord = Math.hypot(dx, dy);
+    if (chord === 0 || chord > 2 * radius) return mid;
+    const offset = Math.sqrt(radius * radius - (chord / 2) * (chord / 2));
+    // The centre lies to the right of the chord for clockwise arcs
+    const direction = clockwise ? 1 : -1;
+    return { x: mid.x + direction * offset * dy / chord, y: mid.y - direction * offset * dx / chord };
+}
+
+// Returns points along an arc from start (exclusive) to end (inclusive)
+function interpolateArc(start, end, center, clockwise) {
+    const radius = Math.hypot(start.x - center.x, start.y - center.y);
+    const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+    let sweep = Math.atan2(end.y - center.y, end.x - center.x) - startAngle;
+    if (clockwise && sweep >= 0) sweep -= 2 * Math.PI;
+    if (!clockwise && sweep <= 0) sweep += 2 * Math.PI;
+
+    const steps = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI / 16)));
+    const points = [];
+    for (let i = 1; i < steps; i++) {
+        const angle = startAngle + sweep * (i / steps);
+        points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+    }
+    points.push({ ...end });
+    return points;
+}
+
+// === GERBER GEOMETRY PARSING ===
+
+// A light-weight pass over a Gerber file that pulls out the geometry the
+// viewer reasons about itself (pcb-stackup only gives us rendered SVG).
+// Coordinates are returned in mm: { apertures: { D10: { shape, params } }, flashes: [{ x, y, aperture }], draws }
+// where `draws` lists the apertures used to draw tracks (not region outlines).
+export function parseGerberGeometry(gerber) {
+    const apertures = {};
+    const flashes = [];
+    const draws = new Set();
+    let inRegion = false;
+    const format = { zeros: 'L', xDecimals: 6, yDecimals: 6, xDigits: 10, yDigits: 10 };
+    let toMm = 1;
+    let aperture = null;
+    const pos = { x: 0, y: 0 };
+
+    const parseCoordinate = (str, decimals, digits) => {
+        if (str.includes('.')) return parseFloat(str);
+        const sign = str.startsWith('-') ? -1 : 1;
+        let value = str.replace(/^[+-]/, '');
+        // Trailing zero omission: pad on the right back to the full width
+        if (format.zeros === 'T') value = value.padEnd(digits, '0');
+        return sign * parseInt(value, 10) / Math.pow(10, decimals);
+    };
+
+    const handleExtended = (command) => {
+        const fs = /^FS([LT])?[AI]?X(\d)(\d)Y(\d)(\d)/.exec(command);
+        if (fs) {
+            format.zeros = fs[1] || 'L';
+            format.xDecimals = parseInt(fs[3], 10);
+            format.xDigits = parseInt(fs[2], 10) + format.xDecimals;
+            format.yDecimals = parseInt(fs[5], 10);
+            format.yDigits = parseInt(fs[4], 10) + format.yDecimals;
+            return;
+        }
+        if (command.startsWith('MOIN')) { toMm = MM_PER_INCH; return; }
+        if (command.startsWith('MOMM')) { toMm = 1; return; }
+
+        const ad = /^AD(D\d+)([^,]+),?(.*)$/.exec(command);
+        if (ad) {
+            apertures[ad[1]] = {
+                shape: ad[2],
+                // Standard apertures have numeric, X-separated parameters in file units
+                params: ad[3] ? ad[3].split('X').map(v => parseFloat(v) * toMm) : []
+            };
+        }
+    };
+
+    const handleWord = (word) => {
+        if (/^G0?4/.test(word)) return; // Comment
+        if (word === 'G36') { inRegion = true; return; }
+        if (word === 'G37') { inRegion = false; return; }
+        if (word === 'G70') { toMm = MM_PER_INCH; return; }
+        if (word === 'G71') { toMm = 1; return; }
+
+        const select = /^(?:G54)?(D(\d+))$/.exec(word);
+        if (select && parseInt(select[2], 10) >= 10) {
+            aperture = select[1];
+            return;
+        }
+
+        const x = /X([+-]?[\d.]+)/.exec(word);
+        const y = /Y([+-]?[\d.]+)/.exec(word);
+        if (x) pos.x = parseCoordinate(x[1], format.xDecimals, format.xDigits) * toMm;
+        if (y) pos.y = parseCoordinate(y[1], format.yDecimals, format.yDigits) * toMm;
+
+        if (/D0?3$/.test(word)) {
+            flashes.push({ x: pos.x, y: pos.y, aperture });
+        } else if (/D0?1$/.test(word) && !inRegion && aperture) {
+            draws.add(aperture);
+        }
+    };
+
+    const tokens = (gerber || '').match(/%[^%]*%|[^*%]+\*/g) || [];
+    tokens.forEach(token => {
+        if (token.startsWith('%')) {
+            token.slice(1, -1).split('*').map(c => c.trim()).filter(Boolean).forEach(handleExtended);
+        } else {
+            handleWord(token.slice(0, -1).trim());
+        }
+    });
+
+    return { apertures, flashes, draws: [...draws] };
+}
+
+// === GERBER X2 ATTRIBUTES & JOB FILE ===
+
+// Parses the file attributes (%TF.<Name>,<values>*%) out of a Gerber X2 file.
+// KiCad writes them as comments unless X2 output is turned on, e.g.
+// "G04 #@! TF.FileFunction,Copper,L1,Top*", and Excellon drill files carry them
+// as "; #@! TF.FileFunction,Plated,1,2,PTH". Returns { FileFunction: ['Copper', 'L1', 'Top'], ... }.
+export function parseGerberAttributes(gerber) {
+    const attributes = {};
+    if (!gerber) return attributes;
+
+    const pattern = /(?:%TF\.([^,*%]+)((?:,[^*%]*)?)\*%)|(?:^;\s*#@!\s*TF\.([^,\s]+)((?:,[^\r\n]*)?)$)|(?:G04\s*#@!\s*TF\.([^,*]+)((?:,[^*]*)?)\*)/gm;
+    let match;
+    while ((match = pattern.exec(gerber)) !== null) {
+        const name = match[1] || match[3] || match[5];
+        const values = (match[2] || match[4] || match[6] || '').trim();
+        // Only the first definition counts, later ones would be a malformed file
+        if (!(name in attributes)) {
+            attributes[name] = values ? values.slice(1).split(',').map(v => v.trim()) : [];
+        }
+    }
+    return attributes;
+}
+
+function getSideFromAttribute(value) {
+    switch ((value || '').toLowerCase()) {
+        case 'top': return 'top';
+        case 'bot': return 'bottom';
+        case 'inr': return 'inner';
+        default: return null;
+    }
+}
+
+// Maps a .FileFunction value (as an array of fields) onto pcb-stackup's
+// type/side. Returns null when the function is missing or not a board layer.
+export function layerRoleFromFileFunction(fileFunction) {
+    if (!fileFunction || fileFunction.length === 0) return null;
+    const [func, ...fields] = fileFunction;
+
+    switch (func.toLowerCase()) {
+        case 'copper': {
+            const copperIndex = parseInt((fields[0] || '').replace(/^L/i, ''), 10);
+            const side = getSideFromAttribute(fields[1]);
+            if (!side) return null;
+            return { type: 'copper', side, copperIndex: isNaN(copperIndex) ? null : copperIndex };
+        }
+        case 'soldermask': {
+            const side = getSideFromAttribute(fields[0]);
+            return side ? { type: 'soldermask', side } : null;
+        }
+        case 'legend': {
+            const side = getSideFromAttribute(fields[0]);
+            return side ? { type: 'silkscreen', side } : null;
+        }
+        case 'paste': {
+            const side = getSideFromAttribute(fields[0]);
+            return side ? { type: 'solderpaste', side } : null;
+        }
+        case 'profile':
+            return { type: 'outline', side: 'all' };
+        case 'plated':
+        case 'nonplated': {
+            // e.g. Plated,1,4,PTH: the copper layers the holes run between
+            const from = parseInt(fields[0], 10);
+            const to = parseInt(fields[1], 10);
+            return {
+                type: 'drill',
+                side: 'all',
+                plated: func.toLowerCase() === 'plated',
+                drillSpan: (isNaN(from) || isNaN(to)) ? null : [Math.min(from, to), Math.max(from, to)]
+            };
+        }
+        case 'other':
+            // Not in the spec, but some tools label their outline this way
+            if (fields.some(f => f.toLowerCase() === 'outline')) {
+                return { type: 'outline', side: 'all' };
+            }
+            return { type: 'drawing', side: 'all' };
+        default:
+            // Drawings, keep-outs, glue, v-score etc. are valid X2 but not rendered
+            return { type: 'drawing', side: 'all' };
+    }
+}
+
+// Parses a Gerber job file (.gbrjob, JSON). Only the parts the viewer uses are
+// extracted; `files` is keyed by lowercased basename.
+export function parseGerberJob(text) {
+    const job = JSON.parse(text);
+    const specs = job.GeneralSpecs || {};
+    const files = {};
+
+    (job.FilesAttributes || []).forEach(entry => {
+        if (!entry || !entry.Path) return;
+        files[getFileBasename(entry.Path).toLowerCase()] = {
+            fileFunction: (entry.FileFunction || '').split(',').map(v => v.trim()).filter(Boolean),
+            polarity: entry.FilePolarity || null
+        };
+    });
+
+    const thickness = parseFloat(specs.BoardThickness);
+    const copperLayerCount = parseInt(specs.LayerNumber, 10);
+
+    return {
+        thickness: isNaN(thickness) ? null : thickness,
+        copperLayerCount: isNaN(copperLayerCount) ? null : copperLayerCount,
+        size: specs.Size || null,
+        project: (specs.ProjectId && specs.ProjectId.Name) || null,
+        files,
+        materialStackup: Array.isArray(job.MaterialStackup) ? job.MaterialStackup : []
+    };
+}
+
+export function findGerberJob(layers) {
+    const jobLayer = layers.find(l => getFileBasename(l.filename).toLowerCase().endsWith('.gbrjob'));
+    if (!jobLayer) return null;
+
+    try {
+        return parseGerberJob(jobLayer.gerber);
+    } catch (e) {
+        console.warn(`Could not parse job file ${jobLayer.filename}:`, e);
+        return null;
+    }
+}
+
+// Works out a file's role from the job file first, then from its own X2
+// attributes. Returns null when neither says anything, in which case the
+// caller falls back to detectLayerFilename.
+export function identifyLayerFromAttributes(layer, job) {
+    const jobEntry = job ? job.files[getFileBasename(layer.filename).toLowerCase()] : null;
+    const attributes = parseGerberAttributes(layer.gerber);
+
+    let role = null;
+    let source = null;
+    if (jobEntry) {
+        role = layerRoleFromFileFunction(jobEntry.fileFunction);
+        source = 'job';
+    }
+    if (!role) {
+        role = layerRoleFromFileFunction(attributes.FileFunction);
+        source = 'x2';
+    }
+    if (!role) return null;
+
+    const polarity = (jobEntry && jobEntry.polarity) || (attributes.FilePolarity && attributes.FilePolarity[0]) || null;
+
+    return {
+        ...role,
+        source,
+        polarity,
+        sameCoordinates: attributes.SameCoordinates ? attributes.SameCoordinates.join(',') : null
+    };
+}
+
+// === FILE DIAGNOSTICS ===
+// Problems found in the files and their render, as
+// { severity: 'error' | 'warning', file, message, line }: `file` is the
+// loaded file's path (null for the board as a whole) and `line` is 1-based,
+// or null when it isn't about one line. A file with an error is left out of
+// the render; warnings point at what may come out wrong.
+
+// Gerber or Excellon, told apart the way gerber-parser does: a Gerber file
+// ends its first block with '*' before the first line break
+export function getFileSyntax(text) {
+    const firstLine = text.replace(/^\n/, '').split('\n', 1)[0];
+    return firstLine.includes('*') && !firstLine.startsWith(';') ? 'gerber' : 'drill';
+}
+
+// Checks a loaded file before it is rendered. Catches what makes the parser
+// give up or guess: binary content, coordinates before the format statement,
+// missing units and number formats, apertures and tools used without being
+// defined, and files cut short.
+export function getFileIssues(filename, text) {
+    const issue = (severity, message, line = null) => ({ severity, file: filename, message, line });
+    if (/[\u0000\uFFFD]/.test(text)) {
+        return [issue('error', 'Is not a text file, so it is not a Gerber or drill file.')];
+    }
+    const found = getFileSyntax(text) === 'gerber' ? checkGerberFile(text) : checkDrillFile(text);
+    return found.map(f => issue(f.severity, f.message, f.line));
+}
+
+function checkGerberFile(text) {
+    const issues = [];
+    const apertures = new Set();
+    const undefinedApertures = new Set();
+    let hasFormat = false;
+    let hasUnits = false;
+    let hasEnd = false;
+
+    let line = 1;
+    let scanned = 0;
+    const lineAt = index => {
+        for (; scanned < index; scanned++) {
+            if (text[scanned] === '\n') line++;
+        }
+        return line;
+    };
+
+    const pattern = /%[^%]*%|[^*%]+\*/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const block = match[0];
+        const blockLine = lineAt(match.index + block.length - block.trimStart().length);
+        if (block.startsWith('%')) {
+            block.slice(1, -1).split('*').map(c => c.trim()).forEach(command => {
+                if (command.startsWith('FS')) hasFormat = true;
+                if (command.startsWith('MO')) hasUnits = true;
+                const ad = /^ADD0*(\d+)/.exec(command);
+                if (ad) apertures.add(ad[1]);
+            });
+            continue;
+        }
+
+        const word = block.slice(0, -1).trim();
+        if (/^G0?4/.test(word)) continue; // Comment
+        if (word === 'M02' || word === 'M00') hasEnd = true;
+        if (/^G7[01]$/.test(word)) hasUnits = true;
+
+        const select = /^(?:G54)?D0*(\d+)$/.exec(word);
+        if (select && parseInt(select[1], 10) >= 10 && !apertures.has(select[1]) && !undefinedApertures.has(select[1])) {
+            undefinedApertures.add(select[1]);
+            issues.push({ severity: 'warning', message: `Aperture D${select[1]} is used but never defined, so it draws nothing.`, line: blockLine });
+        }
+        if (!hasFormat && /[XYIJ][+-]?\d/.test(word)) {
+            // gerber-parser throws on the first coordinate it can't place
+            return [{ severity: 'error', message: 'Has coordinates before its format statement (%FS), so it cannot be read.', line: blockLine }];
+        }
+    }
+
+    if (!hasUnits) issues.push({ severity: 'warning', message: 'Has no units statement (%MO), so inches are assumed.', line: null });
+    if (!hasEnd) issues.push({ severity: 'warning', message: 'Has no end of file (M02) and may be cut short.', line: null });
+    return issues;
+}
+
+function checkDrillFile(text) {
+    const issues = [];
+    const tools = new Set();
+    const undefinedTools = new Set();
+    let hasUnits = false;
+    let hasFormat = false;
+    let hasEnd = false;
+    let firstCoordinate = null;
+
+    text.split('\n').forEach((rawLine, index) => {
+        const block = rawLine.trim();
+        const line = index + 1;
+        if (block.startsWith(';')) {
+            // KiCad and Altium give the format in comments, which the parser reads
+            if (/;FILE_FORMAT=\d:\d|;FORMAT=\{/.test(block)) hasFormat = true;
+            if (/;FORMAT=\{.*\/ (metric|inch) \//.test(block)) hasUnits = true;
+            return;
+        }
+        if (/^(INCH|METRIC|M71|M72)/.test(block)) {
+            hasUnits = true;
+            if (/,0+\.0+/.test(block)) hasFormat = true;
+        }
+        if (block === 'M30' || block === 'M00') hasEnd = true;
+
+        const definition = /T0*(\d+)\S*C[\d.]+/.exec(block);
+        if (definition) {
+            tools.add(definition[1]);
+        } else {
+            const select = /T0*(\d+)/.exec(block);
+            if (select && select[1] !== '0' && !tools.has(select[1]) && !undefinedTools.has(select[1])) {
+                undefinedTools.add(select[1]);
+                issues.push({ severity: 'warning', message: `Tool T${select[1]} is used but has no size, so its holes are not drawn.`, line });
+            }
+        }
+        if (firstCoordinate === null && /^(?:G\d+)?[XY][+-]?\d/.test(block)) firstCoordinate = { line, decimal: block.includes('.') };
+    });
+
+    if (!hasUnits) issues.push({ severity: 'warning', message: 'Has no units (INCH or METRIC) in its header, so inches are assumed.', line: null });
+    if (firstCoordinate && !firstCoordinate.decimal && !hasFormat) {
+        issues.push({ severity: 'warning', message: 'Has no number format, so 2.4 digits are assumed and the holes may be misplaced.', line: firstCoordinate.line });
+    }
+    if (!hasEnd) issues.push({ severity: 'warning', message: 'Has no end of file (M30) and may be cut short.', line: null });
+    return issues;
+}
+
+// Problems that show in the render: files pcb-stackup could not identify or
+// that draw nothing, coordinates that came out NaN, a missing or untraceable
+// outline and layers that don't line up with it, a sign of mismatched units
+// or formats
+function getRenderIssues(stackup) {
+    const issues = [];
+    const warn = (file, message) => issues.push({ severity: 'warning', file, message, line: null });
+
+    const outline = stackup.layers.find(l => l.type === 'outline');
+    const outlineBounds = outline && outline.converter && outline.converter.layer.length > 0 ? getLayerBounds(outline.converter) : null;
+    if (!outline) {
+        warn(null, 'No board outline layer was found, so the board is drawn as the bounding box of the other layers.');
+    } else if (!outlineBounds) {
+        warn(outline.sourceFilename, 'The board outline draws nothing, so the board is drawn as the bounding box of the other layers.');
+    } else {
+        const traced = getBoardOutline(stackup);
+        if (traced && traced.fromBounds) {
+            warn(outline.sourceFilename, 'The board outline has no closed shape, so the board is drawn as the bounding box of the other layers.');
+        }
+    }
+
+    stackup.layers.forEach(layer => {
+        const file = layer.sourceFilename;
+        if (!layer.type) {
+            warn(file, 'Could not be identified as a board layer, so it is not drawn.');
+            return;
+        }
+        const { converter } = layer;
+        if (!converter || converter.layer.length === 0) {
+            if (layer !== outline) warn(file, 'Draws nothing.');
+            return;
+        }
+        if (/NaN/.test(converter.layer.join('') + converter.defs.join(''))) {
+            warn(file, 'Has shapes the parser could not place, drawn at 0 instead.');
+        }
+        if (outlineBounds && layer !== outline) {
+            const bounds = getLayerBounds(converter);
+            const overlaps = bounds.left < outlineBounds.right && bounds.right > outlineBounds.left &&
+                bounds.bottom < outlineBounds.top && bounds.top > outlineBounds.bottom;
+            const oversize = bounds.right - bounds.left > 2 * (outlineBounds.right - outlineBounds.left) + LAYER_SIZE_MARGIN ||
+                bounds.top - bounds.bottom > 2 * (outlineBounds.top - outlineBounds.bottom) + LAYER_SIZE_MARGIN;
+            if (!overlaps) {
+                warn(file, 'Lies outside the board outline; its units or number format may not match the other files.');
+            } else if (oversize) {
+                warn(file, 'Is much larger than the board outline; its units or number format may not match the other files.');
+            }
+        }
+    });
+    return issues;
+}
+
+// A layer's extent in mm
+function getLayerBounds(converter) {
+    const mmPerUnit = (converter.units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const [x, y, width, height] = converter.viewBox.map(v => v * mmPerUnit);
+    return { left: x, bottom: y, right: x + width, top: y + height };
+}
+
+// === STACKUP ===
+
+// Turns loaded files into pcb-stackup input layers, applying the user's role
+// overrides and hidden layers. Each layer keeps its `sourceFilename` and how
+// it was identified. `exclude` leaves out files the caller handles itself,
+// such as pick-and-place files.
+export function prepareStackupLayers(layers, job, { overrides = {}, hidden = new Set(), exclude = () => false } = {}) {
+    const innerLayerCounter = { value: 1 };
+    return layers
+        .filter(l => {
+            const override = overrides[l.filename];
+            if (override === 'ignore' || hidden.has(l.filename)) return false;
+            if (override) return true;
+            // Exclude common non-gerber files that might confuse pcb-stackup
+            return !isNonGerberFile(l.filename) && !exclude(l);
+        })
+        .map(l => {
+            const role = getLayerRole(overrides[l.filename]);
+
+            // A manual override bypasses filename detection entirely: pcb-stackup
+            // only runs whats-that-gerber when neither type nor side is given.
+            if (role) {
+                return {
+                    filename: getFileBasename(l.filename),
+                    gerber: l.gerber,
+                    type: role.type,
+                    side: role.side,
+                    sourceFilename: l.filename,
+                    detectionSource: 'manual'
+                };
+            }
+
+            // Job file and X2 attributes are authoritative when present
+            const identity = identifyLayerFromAttributes(l, job);
+            if (identity) {
+                return {
+                    filename: getFileBasename(l.filename),
+                    gerber: l.gerber,
+                    type: identity.type,
+                    side: identity.side,
+                    sourceFilename: l.filename,
+                    detectionSource: identity.source,
+                    copperIndex: identity.copperIndex,
+                    plated: identity.plated,
+                    drillSpan: identity.drillSpan,
+                    polarity: identity.polarity,
+                    sameCoordinates: identity.sameCoordinates
+                };
+            }
+
+            const newFilename = detectLayerFilename(l, innerLayerCounter);
+
+            return { 
+                filename: newFilename, 
+                gerber: l.gerber,
+                sourceFilename: l.filename,
+                detectionSource: 'filename'
+            };
+        })
+        .filter(l => l.filename);
+}
+
+function getCoordinateIssues(layers) {
+    const groups = new Set(layers.map(l => l.sameCoordinates).filter(Boolean));
+    if (groups.size < 2) return [];
+    return [{
+        severity: 'warning',
+        file: null,
+        message: `The files declare different .SameCoordinates groups (${[...groups].join(', ')}) and may not line up.`,
+        line: null
+    }];
+}
+
+// pcb-stackup options for the colours of DEFAULT_COLORS, e.g. the ones
+// picked in the toolbar
+export function getStackupOptions({ soldermask, silkscreen, finish, copper, substrate } = {}) {
+    const soldermaskColor = soldermask || DEFAULT_COLORS.soldermask;
+    const silkscreenColor = silkscreen || DEFAULT_COLORS.silkscreen;
+    const finishedCopperColor = finish || DEFAULT_COLORS.finish;
+
+    let soldermaskAlpha;
+    if (soldermaskColor === '#000000' || soldermaskColor === '#FFFFFF') {
+        soldermaskAlpha = 0.98;
+    } else {
+        soldermaskAlpha = 0.75;
+    }
+    const soldermaskRgba = hexToRgba(soldermaskColor, soldermaskAlpha);
+
+    return {
+        color: {
+          sm: soldermaskRgba,
+          ss: silkscreenColor,
+          cu: copper || DEFAULT_COLORS.copper,
+          fr4: substrate || DEFAULT_COLORS.substrate,
+          cf: finishedCopperColor,
+          sp: '#999',
+          out: '#000'
+        },
+        // *** MODIFICATION START ***
+        // This is the crucial fix. It tells the Gerber parser to treat the
+        // outline layer as a filled polygon instead of a stroked path, which
+        // is necessary for creating a 3D shape.
+        plotAsOutline: true,
+        maskWithOutline: true
+        // *** MODIFICATION END ***
+    };
+}
+
+function hexToRgba(hex, alpha) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    if (!result) return null;
+    const r = parseInt(result[1], 16), g = parseInt(result[2], 16), b = parseInt(result[3], 16);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// Identifies the loaded files and renders them with pcb-stackup. Takes
+// prepareStackupLayers' options plus:
+//   colors      for getStackupOptions
+//   cache       a WeakMap keeping each loaded file's parse, so rendering the
+//               same files again (in other colours, say) only composites
+//   parseLayer  parses one identified layer into converter data, by default
+//               parseStackupLayer on this thread
+//   onProgress  called with { file, done, total } as each file is parsed
+//   signal      an AbortSignal that cancels the render
+// Files that can't be read are left out rather than failing the whole board,
+// and everything found wrong comes back as `stackup.issues` (see FILE
+// DIAGNOSTICS). The top and bottom composites come back with any NaN values
+// zeroed.
+export async function renderStackup(layers, job, { colors, cache, parseLayer = parseStackupLayer, onProgress, signal, ...layerOptions } = {}) {
+    const fileIssues = [];
+    const stackupLayers = prepareStackupLayers(layers, job, layerOptions).filter(l => {
+        const found = getFileIssues(l.sourceFilename, l.gerber);
+        fileIssues.push(...found);
+        return !found.some(issue => issue.severity === 'error');
+    });
+
+    // Each file is parsed on its own, so one that fails leaves the rest
+    const sources = new Map(layers.map(l => [l.filename, l]));
+    const identified = await identifyStackupLayers(stackupLayers);
+    const failures = [];
+    let done = 0;
+    const parsed = await Promise.all(identified.map(async layer => {
+        const source = sources.get(layer.sourceFilename);
+        const asOutline = Boolean(layer.options.plotAsOutline);
+        let entry = cache && cache.get(source);
+        if (!entry || entry.asOutline !== asOutline) {
+            try {
+                entry = { asOutline, converter: await parseLayer(layer) };
+            } catch (e) {
+                if (signal && signal.aborted) throw e;
+                failures.push({ severity: 'error', file: layer.sourceFilename, message: `Could not be read: ${e.message}`, line: null });
+                return null;
+            }
+            if (cache) cache.set(source, entry);
+        }
+        if (signal) signal.throwIfAborted();
+        if (onProgress) onProgress({ file: layer.sourceFilename, done: ++done, total: identified.length });
+        return { ...layer, converter: entry.converter };
+    }));
+    if (signal) signal.throwIfAborted();
+
+    const stackup = await pcbStackup(parsed.filter(Boolean), getStackupOptions(colors));
+    if (signal) signal.throwIfAborted();
+    ['top', 'bottom'].forEach(side => {
+        if (stackup[side] && stackup[side].svg) {
+            stackup[side].svg = stackup[side].svg.replace(/="NaN"/g, '="0"');
+        }
+    });
+
+    // A file that isn't drawn needs no more than being told so
+    const unidentified = new Set(stackup.layers.filter(l => !l.type).map(l => l.sourceFilename));
+    stackup.issues = [
+        ...fileIssues.filter(issue => issue.severity === 'error' || !unidentified.has(issue.file)),
+        ...failures,
+        ...getCoordinateIssues(stackupLayers),
+        ...getRenderIssues(stackup)
+    ];
+    return stackup;
+}
+
+// pcb-stackup identifies files by their names taken together, and decides
+// how to plot them from that. It skips parsing layers that come with a
+// converter, so empty ones get the layers identified without parsing.
+const EMPTY_CONVERTER = { defs: [], layer: [], viewBox: [0, 0, 0, 0], units: 'in', width: 0, height: 0 };
+
+async function identifyStackupLayers(stackupLayers) {
+    const { layers } = await pcbStackup(stackupLayers.map(l => ({ ...l, converter: EMPTY_CONVERTER })));
+    return layers.map(({ converter, ...layer }) => layer);
+}
+
+// Parses one identified layer into what pcb-stackup needs of a gerber-to-svg
+// converter, as plain data that can be cached and passed between threads.
+// Colours don't come into it. gerber-worker.js does the same off the page's
+// thread with its own copy of this function, as a worker can't import this
+// module ('three' only resolves through the page's importmap): change both
+// together.
+export async function parseStackupLayer(layer) {
+    const { converter } = (await pcbStackup([layer])).layers[0];
+    const { defs, viewBox, units, width, height } = converter;
+    return { defs, layer: converter.layer, viewBox, units, width, height };
+}
+
+// === SVG RENDERING ===
+
+// Renders a single pcb-stackup layer to a standalone SVG string, filled with
+// `color`, using the composite's viewBox so it lines up with the top/bottom renders
+export function renderLayerSvg(layer, viewBox, units, color) {
+    const converter = layer.converter;
+    const [x, y, width, height] = viewBox;
+    const layerScale = getLayerUnitScale(converter, units);
+    const transform = `translate(0,${2 * y + height}) scale(1,-1)` + (layerScale !== 1 ? ` scale(${layerScale})` : '');
+
+    return (
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" ` +
+        `stroke-linecap="round" stroke-linejoin="round" stroke-width="0" fill-rule="evenodd" ` +
+        `width="${width / 1000}${units}" height="${height / 1000}${units}" viewBox="${x} ${y} ${width} ${height}">` +
+        `<defs>${converter.defs.join('')}</defs>` +
+        `<g transform="${transform}" fill="${color}" stroke="${color}">${converter.layer.join('')}</g></svg>`
+    ).replace(/="NaN"/g, '="0"');
+}
+
+// pcb-stackup composites in the majority units of the layers; a layer in the
+// other units needs scaling to line up
+export function getLayerUnitScale(converter, units) {
+    if (!converter.units || !units || converter.units === units) return 1;
+    return units === 'in' ? 1 / MM_PER_INCH : MM_PER_INCH;
+}
+
+export function setSvgViewport(svgString, viewBox, width, height) {
+    return svgString.replace(/<svg\b[^>]*>/, tag => tag
+        .replace(/\s(width|height|viewBox|preserveAspectRatio)="[^"]*"/g, '')
+        .replace(/^<svg/, `<svg width="${width}" height="${height}" viewBox="${viewBox.join(' ')}" preserveAspectRatio="none"`));
+}
+
+// Pixel size of a top/bottom composite rendered at `dpi`
+export function getPngSize(view, dpi) {
+    const inchesPerUnit = view.units === 'in' ? 1 : 1 / MM_PER_INCH;
+    return {
+        width: Math.round(view.width * inchesPerUnit * dpi),
+        height: Math.round(view.height * inchesPerUnit * dpi)
+    };
+}
+
+// A metalness/roughness map lined up with a side's render, for 3D materials:
+// the render with every part recoloured, roughness in green and metalness in
+// blue as three.js and glTF read them. `surfaces` gives { metalness,
+// roughness } (0 to 1) for the substrate, exposed copper, soldermask and
+// silkscreen.
+export function getSurfaceMapSvg(stackup, side, surfaces) {
+    const channels = ({ metalness, roughness }) => `rgb(0, ${Math.round(roughness * 255)}, ${Math.round(metalness * 255)})`;
+    const parts = {
+        fr4: surfaces.substrate,
+        out: surfaces.substrate,
+        cu: surfaces.copper,
+        cf: surfaces.copper,
+        sp: surfaces.copper,
+        sm: surfaces.soldermask,
+        ss: surfaces.silkscreen
+    };
+    // The soldermask is drawn opaque here, hiding the copper under it
+    const style = Object.entries(parts)
+        .map(([part, surface]) => `.${stackup.id}_${part} {color: ${channels(surface)}; opacity: 1;}`)
+        .join('\n');
+    return stackup[side].svg.replace(/<style>[\s\S]*?<\/style>/, `<style>${style}</style>`);
+}
+
+// === BOARD GEOMETRY ===
+
+// The board outline as THREE shapes in the outline converter's units, with
+// `scale` the mm per unit: board mm = shape coordinates * scale. Without an
+// outline layer, or when it has nothing to draw, the bounding box of the
+// render stands in for it and `fromBounds` is set. Null when there is
+// nothing to draw at all.
+export function getBoardOutline(stackup) {
+    const outlineLayer = stackup.layers.find(l => l.type === 'outline');
+    if (!outlineLayer) return getBoundingBoxOutline(stackup);
+
+    let outlineSvg;
+    let scale = 1.0;
+
+    if (outlineLayer.svg) {
+        outlineSvg = outlineLayer.svg;
+    } else if (outlineLayer.converter && outlineLayer.converter.layer && outlineLayer.converter.viewBox) {
+        const { viewBox, layer, width, height, units } = outlineLayer.converter;
+        const pathData = layer.join('');
+        // Converter coordinates are in thousandths of the file's units
+        scale = (units === 'in' ? MM_PER_INCH : 1) / 1000;
+
+        // Ensure we don't have NaN in the dimensions
+        const w = (isNaN(width) || !width) ? 0 : width;
+        const h = (isNaN(height) || !height) ? 0 : height;
+        const vb = (viewBox && Array.isArray(viewBox)) ? viewBox.map(v => isNaN(v) ? 0 : v) : [0,0,0,0];
+
+        outlineSvg = `<svg width="${w}${units || 'mm'}" height="${h}${units || 'mm'}" viewBox="${vb.join(' ')}" version="1.1" xmlns="http://www.w3.org/2000/svg">${pathData}</svg>`;
+    } else {
+        return getBoundingBoxOutline(stackup);
+    }
+
+    // Sanitize any NaN values in the outline SVG before processing
+    outlineSvg = outlineSvg.replace(/="NaN"/g, '="0"');
+    const shapes = getShapesFromSVG(outlineSvg);
+    return shapes.length > 0 ? { shapes, scale } : getBoundingBoxOutline(stackup);
+}
+
+// A rectangle around everything drawn, from the top (or bottom) composite's
+// viewBox, which is in the same coordinates as the layers
+function getBoundingBoxOutline(stackup) {
+    const view = [stackup.top, stackup.bottom].find(v => v && v.viewBox && v.viewBox[2] > 0 && v.viewBox[3] > 0);
+    if (!view) return null;
+    const [x, y, width, height] = view.viewBox;
+    const shape = new THREE.Shape()
+        .moveTo(x, y)
+        .lineTo(x + width, y)
+        .lineTo(x + width, y + height)
+        .lineTo(x, y + height);
+    shape.closePath();
+    return { shapes: [shape], scale: (view.units === 'in' ? MM_PER_INCH : 1) / 1000, fromBounds: true };
+}
+
+export function getShapesFromSVG(svgString) {
+    if (!svgString) {
+        console.error("No SVG data provided to getShapesFromSVG");
+        return [];
+    }
+    try {
+        const paths = svgLoader.parse(svgString).paths;
+        return paths.flatMap(p => p.toShapes(true));
+    } catch (e) {
+        console.warn('SVG parse failed, falling back to empty shapes:', e);
+        return [];
+    }
+}
+
+// Area enclosed by the shapes, less their holes
+export function getShapesArea(shapes) {
+    return shapes.reduce((total, shape) => {
+        const { shape: outer, holes } = shape.extractPoints(12);
+        return total + Math.abs(THREE.ShapeUtils.area(outer)) -
+            holes.reduce((sum, hole) => sum + Math.abs(THREE.ShapeUtils.area(hole)), 0);
+    }, 0);
+}
+
+// Returns the copper levels of the board from top to bottom as
+// [{ layer, z, copperNumber }], z being the height in mm with the board centred on 0. The
+// top and bottom surfaces are always present, even without copper on them.
+// The job file, if any, gives the dielectric thicknesses.
+export function getCopperLevels(stackup, thickness, job = null) {
+    const innerLayers = stackup.layers
+        .filter(l => l.type === 'copper' && l.side === 'inner')
+        .sort((a, b) => (a.copperIndex || 0) - (b.copperIndex || 0));
+    const copperLayerCount = innerLayers.length + 2;
+
+    // Depth of each copper layer below the top surface, as a fraction of the
+    // board thickness. Use the job file's dielectric thicknesses if we can map
+    // every layer onto it, otherwise space the layers evenly.
+    let depthFractions = null;
+    const dielectrics = job
+        ? job.materialStackup.filter(m => (m.Type || '').toLowerCase() === 'dielectric').map(m => parseFloat(m.Thickness) || 0)
+        : [];
+    const jobCopperCount = job && job.copperLayerCount;
+    if (jobCopperCount && dielectrics.length === jobCopperCount - 1 && innerLayers.every(l => l.copperIndex > 1 && l.copperIndex < jobCopperCount)) {
+        const total = dielectrics.reduce((sum, t) => sum + t, 0);
+        if (total > 0) {
+            const depthOf = copperIndex => dielectrics.slice(0, copperIndex - 1).reduce((sum, t) => sum + t, 0) / total;
+            depthFractions = [0, ...innerLayers.map(l => depthOf(l.copperIndex)), 1];
+        }
+    }
+    if (!depthFractions) {
+        depthFractions = Array.from({ length: copperLayerCount }, (_, i) => i / (copperLayerCount - 1));
+    }
+
+    // Copper layer numbers (L1 = top) are needed to match blind/buried drill spans
+    const bottomNumber = Math.max(jobCopperCount || 0, copperLayerCount, ...innerLayers.map(l => (l.copperIndex || 0) + 1));
+    const layers = [null, ...innerLayers, null];
+    return layers.map((layer, i) => ({
+        layer,
+        z: thickness / 2 - depthFractions[i] * thickness,
+        copperNumber: i === 0 ? 1 : (i === layers.length - 1 ? bottomNumber : (layer.copperIndex || i + 1))
+    }));
+}
+
+// === DRILL GEOMETRY ===
+
+// Parses every drill layer of the stackup. A hole's plating comes from the
+// file itself where it says, then the layer's X2/job file function, then
+// the filename (NPTH files are commonly named as such).
+export function getBoardDrills(stackup) {
+    return stackup.layers
+        .filter(l => l.type === 'drill' && l.gerber)
+        .map(l => {
+            let drill;
+            try {
+                drill = parseExcellon(l.gerber);
+            } catch (e) {
+                console.warn(`Could not parse drill file ${l.sourceFilename}:`, e);
+                return null;
+            }
+            const layerPlated = typeof l.plated === 'boolean'
+                ? l.plated
+                : !/npth|non[-_ ]?plated/i.test(l.sourceFilename || l.filename);
+            const withPlating = item => ({ ...item, plated: typeof item.plated === 'boolean' ? item.plated : layerPlated });
+
+            return {
+                sourceFilename: l.sourceFilename,
+                span: l.drillSpan || null,
+                holes: drill.holes.map(withPlating),
+                routes: drill.routes.map(withPlating)
+            };
+        })
+        .filter(Boolean);
+}
+
+// Does a drill file spanning copper layers [from, to] go through the slab
+// between copper layers `upper` and `lower`? Files without a span are through-holes.
+export function drillSpansLevels(drill, upper, lower) {
+    if (!drill.span) return true;
+    return drill.span[0] <= upper && lower <= drill.span[1];
+}
+
+export function mmToClipper(mm, scale) {
+    return Math.round(mm / scale * CLIPPER_SCALE);
+}
+
+function getCirclePath(x, y, radius, scale) {
+    // Enough segments to keep the chord error around a micron
+    const segments = Math.min(64, Math.max(12, Math.ceil(Math.PI / Math.acos(1 - Math.min(0.5, 0.001 / radius)))));
+    const path = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        path.push({
+            X: mmToClipper(x + radius * Math.cos(angle), scale),
+            Y: mmToClipper(y + radius * Math.sin(angle), scale)
+        });
+    }
+    return path;
+}
+
+// Sweeps a routed path (slot or cutout) with the tool radius
+export function getRoutePaths(route, radius, scale) {
+    const offset = new ClipperLib.ClipperOffset(2, mmToClipper(0.001, scale));
+    offset.AddPath(
+        route.points.map(p => ({ X: mmToClipper(p.x, scale), Y: mmToClipper(p.y, scale) })),
+        ClipperLib.JoinType.jtRound,
+        ClipperLib.EndType.etOpenRound
+    );
+    const solution = new ClipperLib.Paths();
+    offset.Execute(solution, mmToClipper(radius, scale));
+    return solution;
+}
+
+// Clipper paths (in outline converter units * CLIPPER_SCALE) of everything
+// the given drill files remove from the board
+export function getDrillCutPaths(drills, scale) {
+    const paths = [];
+    drills.forEach(drill => {
+        drill.holes.forEach(h => {
+            if (h.diameter > 0) paths.push(getCirclePath(h.x, h.y, h.diameter / 2, scale));
+        });
+        drill.routes.forEach(r => {
+            if (r.diameter > 0) paths.push(...getRoutePaths(r, r.diameter / 2, scale));
+        });
+    });
+    return paths;
+}
+
+// Copper-coloured linings for the plated holes and slots of one drill file,
+// spanning z from `bottom` to `top` mm. `frame` places them like the board
+// slabs: board-local x = -scale * outline x + tx, likewise for y.
+export function createHoleBarrels(drill, bottom, top, frame, material) {
+    const group = new THREE.Group();
+    const height = top - bottom;
+    const lining = 0.025; // Visual wall thickness of the plating, mm
+    const toLocal = (x, y) => ({ x: -x + frame.tx, y: -y + frame.ty });
+
+    // Round holes: one instanced, open-ended cylinder per diameter
+    const byDiameter = new Map();
+    drill.holes.filter(h => h.plated && h.diameter > 0).forEach(h => {
+        const key = h.diameter.toFixed(4);
+        if (!byDiameter.has(key)) byDiameter.set(key, []);
+        byDiameter.get(key).push(h);
+    });
+    byDiameter.forEach(holes => {
+        const radius = Math.max(holes[0].diameter / 2 - 0.01, 0.005);
+        const geometry = new THREE.CylinderGeometry(radius, radius, height, 24, 1, true);
+        geometry.rotateX(Math.PI / 2);
+        const mesh = new THREE.InstancedMesh(geometry, material, holes.length);
+        const matrix = new THREE.Matrix4();
+        holes.forEach((h, i) => {
+            const p = toLocal(h.x, h.y);
+            matrix.makeTranslation(p.x, p.y, bottom + height / 2);
+            mesh.setMatrixAt(i, matrix);
+        });
+        group.add(mesh);
+    });
+
+    // Plated slots: a thin extruded ring following the slot's edge
+    if (typeof ClipperLib !== 'undefined') {
+        drill.routes.filter(r => r.plated && r.diameter > 0).forEach(r => {
+            const radius = r.diameter / 2;
+            const clipper = new ClipperLib.Clipper();
+            clipper.AddPaths(getRoutePaths(r, radius - 0.01, frame.scale), ClipperLib.PolyType.ptSubject, true);
+            clipper.AddPaths(getRoutePaths(r, Math.max(radius - 0.01 - lining, 0.001), frame.scale), ClipperLib.PolyType.ptClip, true);
+            const tree = new ClipperLib.PolyTree();
+            clipper.Execute(ClipperLib.ClipType.ctDifference, tree, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+
+            const geometry = new THREE.ExtrudeGeometry(clipperTreeToShapes(tree), { depth: height, bevelEnabled: false });
+            geometry.scale(-frame.scale, -frame.scale, 1);
+            geometry.translate(frame.tx, frame.ty, bottom);
+            group.add(new THREE.Mesh(geometry, material));
+        });
+    }
+
+    return group;
+}
+
+// Converts a Clipper PolyTree back into THREE shapes, islands inside holes
+// becoming shapes of their own
+export function clipperTreeToShapes(tree) {
+    const toPoints = contour => contour.map(p => new THREE.Vector2(p.X / CLIPPER_SCALE, p.Y / CLIPPER_SCALE));
+    const shapes = [];
+    const addOuter = node => {
+        const shape = new THREE.Shape(toPoints(node.Contour()));
+        node.Childs().forEach(hole => {
+            shape.holes.push(new THREE.Path(toPoints(hole.Contour())));
+            hole.Childs().forEach(addOuter);
+        });
+        shapes.push(shape);
+    };
+    tree.Childs().forEach(addOuter);
+    return shapes;
+}
+
+// Subtracts the cut paths from the board outline shapes (both in outline
+// converter units). Cuts crossing the edge, e.g. routed slots, notch the outline.
+export function subtractFromShapes(shapes, cutPaths) {
+    if (cutPaths.length === 0) return shapes;
+
+    const subject = [];
+    shapes.forEach(shape => {
+        const { shape: outer, holes } = shape.extractPoints(12);
+        [outer, ...holes].forEach(points => {
+            subject.push(points.map(p => ({ X: Math.round(p.x * CLIPPER_SCALE), Y: Math.round(p.y * CLIPPER_SCALE) })));
+        });
+    });
+
+    const clipper = new ClipperLib.Clipper();
+    clipper.AddPaths(subject, ClipperLib.PolyType.ptSubject, true);
+    clipper.AddPaths(cutPaths, ClipperLib.PolyType.ptClip, true);
+    const tree = new ClipperLib.PolyTree();
+    const ok = clipper.Execute(ClipperLib.ClipType.ctDifference, tree, ClipperLib.PolyFillType.pftEvenOdd, ClipperLib.PolyFillType.pftNonZero);
+    if (!ok) {
+        console.warn('Subtracting drill holes from the outline failed, showing the board without holes.');
+        return shapes;
+    }
+    return clipperTreeToShapes(tree);
+}
+
+// === BOARD MODEL ===
+
+// Metalness and roughness of each part of the board for getSurfaceMapSvg,
+// with the viewer's default finishes: FR4, HASL and glossy soldermask
+export const DEFAULT_SURFACES = {
+    substrate: { metalness: 0, roughness: 0.5 },
+    copper: { metalness: 1, roughness: 0.4 },
+    soldermask: { metalness: 0, roughness: 0.3 },
+    silkscreen: { metalness: 0, roughness: 0.9 }
+};
+
+// The board in 3D, as the viewer, <gerber-viewer> and the Node GLB export
+// show it: substrate slabs between the copper levels with the drill holes
+// cut, plated barrels, and the layer renders as textured planes. Modelled
+// with +z up through the board, then the group is laid flat. Options:
+//   rasterize          async (source) => THREE.Texture of a render, the
+//                      source being { svg, viewBox, units }
+//   surfaces           metalness and roughness per part, see
+//                      getSurfaceMapSvg, for metallic copper; null for none
+//   substrateMaterial  the slabs' material, otherwise a plain one in the
+//                      stackup's substrate colour
+//   envMap             reflections for the metallic parts
+//   innerLayers        whether inner copper layers get planes too
+//   getLayerSource     (layer, side) => a source to show in place of a
+//                      copper layer's plane, or null for the usual render
+// Slabs and planes carry userData.baseZ, their z, and stackOffset, their
+// level counted from the middle of the board, for an exploded view; barrels
+// carry hideWhenExploded and planes their source as layerTexture. Returns
+// { group, frame, shapes, levels, drills }, with frame { scale, tx, ty,
+// width, depth, thickness, area, surfaces } placing the outline `shapes` on
+// the board (board-local x = -scale * outline x + tx, likewise for y) and
+// `surfaces` where the outer planes sit.
+export async function createBoardModel(stackup, job, thickness, {
+    rasterize, surfaces = null, substrateMaterial = null, envMap = null, innerLayers = false, getLayerSource = () => null
+}) {
+    const outline = getBoardOutline(stackup);
+    if (!outline || outline.shapes.length === 0) {
+        throw new Error('Could not extract any shapes from the board outline.');
+    }
+    const { shapes, scale } = outline;
+
+    // Work out the board's footprint once so every slab and plane shares the
+    // same centring
+    const footprint = new THREE.ShapeGeometry(shapes);
+    footprint.scale(-scale, -scale, 1);
+    footprint.computeBoundingBox();
+    const center = footprint.boundingBox.getCenter(new THREE.Vector3());
+    const size = footprint.boundingBox.getSize(new THREE.Vector3());
+    footprint.dispose();
+
+    const levels = getCopperLevels(stackup, thickness, job);
+    const levelCenter = (levels.length - 1) / 2;
+    const [topLevel, bottomLevel] = [levels[0], levels[levels.length - 1]];
+    const frame = {
+        scale,
+        tx: -center.x,
+        ty: -center.y,
+        width: size.x,
+        depth: size.y,
+        thickness,
+        area: getShapesArea(shapes) * scale * scale,
+        surfaces: {
+            top: { z: topLevel.z + 0.1, stackOffset: levelCenter },
+            bottom: { z: bottomLevel.z - 0.1, stackOffset: levelCenter - (levels.length - 1) }
+        }
+    };
+
+    const group = new THREE.Group();
+    group.rotation.x = -Math.PI / 2;
+    const place = (object, z, stackOffset) => {
+        object.position.z = z;
+        object.userData.baseZ = z;
+        object.userData.stackOffset = stackOffset;
+        group.add(object);
+    };
+
+    // Dielectric slabs between each pair of neighbouring copper levels. Blind
+    // and buried vias only cut some of them, so the cut outline is cached per
+    // combination of drill files.
+    const drills = getBoardDrills(stackup);
+    const material = substrateMaterial || new THREE.MeshStandardMaterial({
+        color: (stackup.color && stackup.color.fr4) || DEFAULT_COLORS.substrate,
+        roughness: 0.5,
+        side: THREE.DoubleSide
+    });
+    const slabShapes = new Map();
+    for (let i = 0; i < levels.length - 1; i++) {
+        const [upper, lower] = [levels[i], levels[i + 1]];
+        if (upper.z <= lower.z) continue;
+        const cut = drills.filter(d => drillSpansLevels(d, upper.copperNumber, lower.copperNumber));
+        const key = cut.map(d => drills.indexOf(d)).join(',');
+        if (!slabShapes.has(key)) {
+            slabShapes.set(key, typeof ClipperLib === 'undefined' ? shapes : subtractFromShapes(shapes, getDrillCutPaths(cut, scale)));
+        }
+
+        const geometry = new THREE.ExtrudeGeometry(slabShapes.get(key), { depth: upper.z - lower.z, bevelEnabled: false });
+        geometry.scale(-scale, -scale, 1);
+        geometry.translate(frame.tx, frame.ty, 0);
+        const slab = new THREE.Mesh(geometry, material);
+        slab.name = 'substrate';
+        slab.userData.isSubstrate = true;
+        place(slab, lower.z, levelCenter - (i + 0.5));
+    }
+
+    // Plated hole barrels run between the copper layers their drill file
+    // spans. They cannot follow the layers apart, so they only show in the
+    // assembled board.
+    const copperColor = (stackup.color && stackup.color.cu) || DEFAULT_COLORS.copper;
+    const barrelMaterial = new THREE.MeshStandardMaterial({ color: copperColor, metalness: 0.6, roughness: 0.4, side: THREE.DoubleSide });
+    drills.forEach(drill => {
+        const spanLevels = drill.span
+            ? levels.filter(l => l.copperNumber >= drill.span[0] && l.copperNumber <= drill.span[1])
+            : levels;
+        if (spanLevels.length < 2) return;
+        const barrels = createHoleBarrels(drill, spanLevels[spanLevels.length - 1].z, spanLevels[0].z, frame, barrelMaterial);
+        barrels.name = 'barrels';
+        barrels.userData.hideWhenExploded = true;
+        group.add(barrels);
+    });
+
+    // The board is turned half round in x and y (see frame), so the top and
+    // inner textures are mirrored to match and the bottom one is seen from
+    // behind. `facing` is the local z the layer is seen from, 0 for both.
+    const addPlane = async (source, name, z, stackOffset, { mirror = false, side = THREE.FrontSide, facing = 1 }) => {
+        const texture = await rasterize(source);
+        const surfaceMap = source.surfaceSvg ? await rasterize({ ...source, svg: source.surfaceSvg }) : null;
+        const plane = createLayerPlane(texture, frame.width, frame.depth, { mirror, side, surfaceMap, envMap });
+        plane.name = name;
+        plane.userData.layerTexture = { svg: source.svg, surfaceSvg: source.surfaceSvg || null, viewBox: source.viewBox, units: source.units, mirror, facing };
+        place(plane, z, stackOffset);
+        return plane;
+    };
+    const getSideSource = side => {
+        const copper = stackup.layers.find(l => l.type === 'copper' && l.side === side);
+        return getLayerSource(copper, side) || { ...stackup[side], surfaceSvg: surfaces ? getSurfaceMapSvg(stackup, side, surfaces) : null };
+    };
+
+    if (stackup.top && stackup.top.svg) {
+        try {
+            await addPlane(getSideSource('top'), 'top-layer', frame.surfaces.top.z, frame.surfaces.top.stackOffset, { mirror: true });
+        } catch (e) {
+            console.error('Failed to create top texture:', e);
+        }
+    }
+
+    for (let i = 1; innerLayers && i < levels.length - 1; i++) {
+        const level = levels[i];
+        try {
+            const source = getLayerSource(level.layer, 'top') || {
+                svg: renderLayerSvg(level.layer, stackup.top.viewBox, stackup.top.units, copperColor),
+                viewBox: stackup.top.viewBox,
+                units: stackup.top.units
+            };
+            const plane = await addPlane(source, `inner-layer-${i}`, level.z, levelCenter - i, { mirror: true, side: THREE.DoubleSide, facing: 0 });
+            plane.userData.sourceFilename = level.layer.sourceFilename;
+        } catch (e) {
+            console.error(`Failed to create texture for inner layer ${level.layer.filename}:`, e);
+        }
+    }
+
+    if (stackup.bottom && stackup.bottom.svg) {
+        try {
+            await addPlane(getSideSource('bottom'), 'bottom-layer', frame.surfaces.bottom.z, frame.surfaces.bottom.stackOffset, { side: THREE.BackSide, facing: -1 });
+        } catch (e) {
+            console.error('Failed to create bottom texture:', e);
+        }
+    }
+
+    return { group, frame, shapes, levels, drills };
+}
+
+// A flat, textured plane of the given size. Mirroring is done in the UVs
+// rather than with a texture repeat so the result survives export. A
+// `surfaceMap` (see getSurfaceMapSvg) makes the copper metallic.
+export function createLayerPlane(texture, width, depth, { mirror = false, side = THREE.FrontSide, surfaceMap = null, envMap = null } = {}) {
+    const geometry = new THREE.PlaneGeometry(width, depth);
+    if (mirror) {
+        const uv = geometry.attributes.uv;
+        for (let i = 0; i < uv.count; i++) uv.setX(i, 1 - uv.getX(i));
+        uv.needsUpdate = true;
+    }
+    const material = new THREE.MeshStandardMaterial({ map: texture, transparent: true, alphaTest: 0.5, side });
+    if (surfaceMap) {
+        // three.js reads roughness from the green channel, metalness from blue
+        material.roughnessMap = surfaceMap;
+        material.metalnessMap = surfaceMap;
+        material.roughness = 1;
+        material.metalness = 1;
+        material.envMap = envMap;
+    }
+    return new THREE.Mesh(geometry, material);
+}
@@ -0,0 +1,376 @@
+// Embeddable viewer: one board in a 3D view and as flat top/bottom renders,
+// for pages other than the full viewer (wikis, PLM systems, docs). Every
+// GerberViewer owns its scene and renderer, so a page can show several boards.
+// The page needs what index.html loads: pcb-stackup, JSZip and Clipper as
+// globals, and an importmap for three.
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import {
+    MM_PER_INCH, DEFAULT_COLORS, DEFAULT_SURFACES,
+    collectLayerFiles, findGerberJob, renderStackup, setSvgViewport, getPngSize, createBoardModel
+} from './gerber-core.js';
+
+export const VIEWS = ['3d', 'top', 'bottom'];
+const DEFAULT_THICKNESS = 1.6;
+const TEXTURE_PX_PER_MM = 20;
+const MAX_TEXTURE_SIZE = 4096;
+
+// Shows a board in `container`. Options: colors ({ soldermask, silkscreen,
+// finish, copper, substrate }, see DEFAULT_COLORS), thickness (mm, otherwise the job file's or
+// 1.6), view (one of VIEWS) and background.
+//
+// Events, with the details:
+//   layerDetected  { filename, type, side, detectedFrom } for each identified file
+//   loaded         { layers, job, stackup, issues }, issues as gerber-core.js's
+//                  renderStackup finds them: files left out or that may look wrong
+//   error          { error }, for anything a load or re-render throws
+export class GerberViewer extends EventTarget {
+    constructor(container, { colors = {}, thickness = null, view = '3d', background = '#f0f0f0' } = {}) {
+        super();
+        this.colors = { ...DEFAULT_COLORS, ...colors };
+        this.thickness = thickness;
+        this.view = '3d';
+        this.layers = [];
+        this.job = null;
+        this.stackup = null;
+        // Parsed files, so new colours only re-composite them
+        this.parsedLayers = new WeakMap();
+        this.model = null;
+        // Loads and re-renders run one at a time, in the order they were asked for
+        this.queue = Promise.resolve();
+
+        this.root = document.createElement('div');
+        this.root.style.cssText = 'position: relative; width: 100%; height: 100%; min-height: 200px; overflow: hidden;';
+        this.root.style.background = background;
+        this.flatView = document.createElement('div');
+        this.flatView.style.cssText = 'position: absolute; inset: 0; padding: 8px; box-sizing: border-box; display: none;';
+        container.appendChild(this.root);
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(background);
+        this.camera = new THREE.PerspectiveCamera(50, 1, 0.1, 5000);
+        this.camera.position.set(200, 200, 200);
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.domElement.style.display = 'block';
+        this.root.append(this.renderer.domElement, this.flatView);
+        // Reflections for the metallic copper
+        const pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+        this.environmentMap = pmremGenerator.fromScene(new RoomEnvironment(), 0.04).texture;
+        pmremGenerator.dispose();
+
+        this.scene.add(new THREE.AmbientLight(0xffffff, 0.65));
+        const dirLight = new THREE.DirectionalLight(0xffffff, 0.4);
+        dirLight.position.set(100, 200, 100);
+        this.scene.add(dirLight);
+        const dirLight2 = new THREE.DirectionalLight(0xffffff, 0.33);
+        dirLight2.position.set(-100, -200, -100);
+        this.scene.add(dirLight2);
+
+        // Render on demand rather than every frame, as a page may hold many viewers
+        this.render = () => this.renderer.render(this.scene, this.camera);
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.addEventListener('change', this.render);
+
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(this.root);
+        this.setView(view);
+    }
+
+    // Loads a board from files, folders or archives: File/Blob objects, a
+    // FileList, URLs to fetch, or { name, bytes } entries
+    load(files) {
+        return this.enqueue(async () => {
+            const layers = [];
+            for (const input of toInputList(files)) {
+                const file = await readInput(input);
+                await collectLayerFiles(file.path, file.bytes, layers, 0);
+            }
+            if (layers.length === 0) {
+                throw new Error('No Gerber files found in the given input.');
+            }
+
+            this.layers = layers;
+            this.job = findGerberJob(layers);
+            await this.renderBoard();
+            this.fitCamera();
+
+            this.stackup.layers.filter(l => l.type).forEach(l => this.emit('layerDetected', {
+                filename: l.sourceFilename,
+                type: l.type,
+                side: l.side,
+                detectedFrom: l.detectionSource || null
+            }));
+            this.emit('loaded', { layers: this.layers, job: this.job, stackup: this.stackup, issues: this.stackup.issues });
+        });
+    }
+
+    setColors(colors) {
+        this.colors = { ...this.colors, ...colors };
+        return this.enqueue(async () => {
+            if (this.layers.length > 0) await this.renderBoard();
+        });
+    }
+
+    // Board thickness in mm, or null for the job file's
+    setThickness(thickness) {
+        this.thickness = thickness;
+        return this.enqueue(async () => {
+            if (this.stackup) await this.buildModel();
+        });
+    }
+
+    // '3d' for the 3D view, 'top' or 'bottom' for that side's flat render
+    setView(view) {
+        if (!VIEWS.includes(view)) {
+            throw new Error(`Unknown view "${view}", expected one of: ${VIEWS.join(', ')}.`);
+        }
+        this.view = view;
+        const flat = view !== '3d';
+        this.renderer.domElement.style.display = flat ? 'none' : 'block';
+        this.flatView.style.display = flat ? 'block' : 'none';
+        this.flatView.innerHTML = '';
+
+        if (flat && this.stackup && this.stackup[view] && this.stackup[view].svg) {
+            this.flatView.innerHTML = this.stackup[view].svg;
+            const svg = this.flatView.querySelector('svg');
+            svg.style.width = '100%';
+            svg.style.height = '100%';
+        } else if (!flat) {
+            this.resize();
+        }
+    }
+
+    // The board as a PNG blob: a side's render at `dpi`, the same as the full
+    // viewer's PNG export, or for '3d' the 3D view as it is shown
+    async exportPng({ side = this.view, dpi = 300 } = {}) {
+        if (side === '3d') {
+            this.render();
+            // Read straight after rendering, before the drawing buffer is cleared
+            const url = this.renderer.domElement.toDataURL('image/png');
+            return (await fetch(url)).blob();
+        }
+        const view = this.getSideView(side);
+        const { width, height } = getPngSize(view, dpi);
+        if (!(width > 0 && height > 0)) {
+            throw new Error(`Invalid DPI ${dpi}.`);
+        }
+        const canvas = await rasterizeSvg(setSvgViewport(view.svg, view.viewBox, width, height), width, height);
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    exportSvg(side = 'top') {
+        return this.getSideView(side).svg;
+    }
+
+    dispose() {
+        this.resizeObserver.disconnect();
+        this.controls.dispose();
+        this.clearModel();
+        this.environmentMap.dispose();
+        this.renderer.dispose();
+        this.root.remove();
+    }
+
+    getSideView(side) {
+        if (!this.stackup) {
+            throw new Error('No board is loaded.');
+        }
+        const view = this.stackup[side];
+        if (side === '3d' || !view || !view.svg) {
+            throw new Error(`No ${side} render is available.`);
+        }
+        return view;
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run.catch(error => {
+            console.error('Gerber viewer:', error);
+            this.emit('error', { error });
+            throw error;
+        });
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    async renderBoard() {
+        this.stackup = await renderStackup(this.layers, this.job, { colors: this.colors, cache: this.parsedLayers });
+        await this.buildModel();
+        this.setView(this.view);
+    }
+
+    async buildModel() {
+        const thickness = this.thickness || (this.job && this.job.thickness) || DEFAULT_THICKNESS;
+        const maxTextureSize = Math.min(this.renderer.capabilities.maxTextureSize, MAX_TEXTURE_SIZE);
+        const { group: model } = await createBoardModel(this.stackup, this.job, thickness, {
+            rasterize: source => svgToTexture(source, maxTextureSize),
+            surfaces: DEFAULT_SURFACES,
+            envMap: this.environmentMap
+        });
+        this.clearModel();
+        this.model = model;
+        this.scene.add(model);
+        this.render();
+    }
+
+    clearModel() {
+        if (!this.model) return;
+        this.scene.remove(this.model);
+        this.model.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                if (object.material.roughnessMap) object.material.roughnessMap.dispose();
+                object.material.dispose();
+            }
+        });
+        this.model = null;
+    }
+
+    fitCamera() {
+        if (!this.model) return;
+        const size = new THREE.Box3().setFromObject(this.model).getSize(new THREE.Vector3());
+        const maxDim = Math.max(size.x, size.z);
+        const distance = (maxDim / Math.tan(this.camera.fov * Math.PI / 360)) * 0.75;
+        this.camera.position.set(maxDim * 0.6, distance, maxDim * 0.6);
+        this.controls.target.set(0, 0, 0);
+        this.controls.update();
+        this.render();
+    }
+
+    resize() {
+        const { clientWidth, clientHeight } = this.root;
+        if (clientWidth === 0 || clientHeight === 0) return;
+        this.camera.aspect = clientWidth / clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(clientWidth, clientHeight);
+        this.render();
+    }
+}
+
+// <gerber-viewer src="board.zip" view="3d" soldermask="#004225"
+// silkscreen="#FFFFFF" finish="#C0C0C0" thickness="1.6">, with the methods
+// and events of GerberViewer. `copper` and `substrate` set the other colours.
+export class GerberViewerElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'view', 'soldermask', 'silkscreen', 'finish', 'copper', 'substrate', 'thickness'];
+    }
+
+    connectedCallback() {
+        if (this.viewer) return;
+        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = '<style>:host { display: block; height: 400px; }</style>';
+        this.viewer = new GerberViewer(shadow, {
+            colors: this.getColors(),
+            thickness: parseFloat(this.getAttribute('thickness')) || null,
+            view: this.getAttribute('view') || '3d'
+        });
+        ['layerDetected', 'loaded', 'error'].forEach(type => {
+            this.viewer.addEventListener(type, event => this.dispatchEvent(new CustomEvent(type, { detail: event.detail })));
+        });
+        // Failures are reported through the error event
+        if (this.getAttribute('src')) this.load(this.getAttribute('src')).catch(() => {});
+    }
+
+    disconnectedCallback() {
+        if (!this.viewer) return;
+        this.viewer.dispose();
+        this.viewer = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.viewer || oldValue === value) return;
+        if (name === 'src') {
+            if (value) this.load(value).catch(() => {});
+        } else if (name === 'view') {
+            this.setView(value || '3d');
+        } else if (name === 'thickness') {
+            this.setThickness(parseFloat(value) || null).catch(() => {});
+        } else {
+            this.setColors(this.getColors()).catch(() => {});
+        }
+    }
+
+    getColors() {
+        const colors = {};
+        Object.keys(DEFAULT_COLORS).forEach(name => {
+            colors[name] = this.getAttribute(name) || DEFAULT_COLORS[name];
+        });
+        return colors;
+    }
+
+    load(files) { return this.viewer.load(files); }
+    setColors(colors) { return this.viewer.setColors(colors); }
+    setThickness(thickness) { return this.viewer.setThickness(thickness); }
+    setView(view) { this.viewer.setView(view); }
+    exportPng(options) { return this.viewer.exportPng(options); }
+    exportSvg(side) { return this.viewer.exportSvg(side); }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('gerber-viewer')) {
+    customElements.define('gerber-viewer', GerberViewerElement);
+}
+
+// === LOADING ===
+
+function toInputList(files) {
+    if (typeof files === 'string' || files instanceof Blob || !(Symbol.iterator in Object(files))) {
+        return [files];
+    }
+    return Array.from(files);
+}
+
+async function readInput(input) {
+    if (typeof input === 'string') {
+        const response = await fetch(input);
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${input}: ${response.status} ${response.statusText}`);
+        }
+        const name = decodeURIComponent(new URL(input, document.baseURI).pathname.split('/').pop());
+        return { path: name || 'board.zip', bytes: new Uint8Array(await response.arrayBuffer()) };
+    }
+    if (input instanceof Blob) {
+        return { path: input.webkitRelativePath || input.name || 'board.zip', bytes: new Uint8Array(await input.arrayBuffer()) };
+    }
+    return { path: input.path || input.name, bytes: new Uint8Array(input.bytes) };
+}
+
+// === 3D MODEL ===
+
+async function svgToTexture(view, maxTextureSize) {
+    const mmPerUnit = (view.units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const [, , viewBoxWidth, viewBoxHeight] = view.viewBox;
+    const fit = Math.min(TEXTURE_PX_PER_MM, maxTextureSize / (viewBoxWidth * mmPerUnit), maxTextureSize / (viewBoxHeight * mmPerUnit));
+    const width = Math.max(1, Math.round(viewBoxWidth * mmPerUnit * fit));
+    const height = Math.max(1, Math.round(viewBoxHeight * mmPerUnit * fit));
+
+    const canvas = await rasterizeSvg(setSvgViewport(view.svg, view.viewBox, width, height), width, height);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.flipY = false;
+    return texture;
+}
+
+function rasterizeSvg(svgString, width, height) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const url = URL.createObjectURL(new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' }));
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            resolve(canvas);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Failed to load SVG image for rasterizing.'));
+        };
+        img.src = url;
+    });
+}
@@ -0,0 +1,22 @@
+// Parses Gerber and drill files for main.js off the page's thread, so a
+// large board doesn't freeze the viewer. A classic worker, as pcb-stackup's
+// browser build is a script defining a global. Posts { ready: true } once
+// loaded, then answers each { id, layer } (a layer gerber-core.js has
+// identified: { filename, gerber, type, side, options }) with { id, converter }
+// as parseStackupLayer returns it, or { id, error }.
+importScripts('https://unpkg.com/pcb-stackup@^4.0.0/dist/pcb-stackup.min.js');
+
+self.onmessage = ({ data }) => {
+    const { id, layer } = data;
+    pcbStackup([layer])
+        .then(stackup => {
+            // A copy of gerber-core.js's parseStackupLayer, which this worker
+            // can't import (see there): change both together
+            const { converter } = stackup.layers[0];
+            const { defs, viewBox, units, width, height } = converter;
+            self.postMessage({ id, converter: { defs, layer: converter.layer, viewBox, units, width, height } });
+        })
+        .catch(error => self.postMessage({ id, error: error.message }));
+};
+
+self.postMessage({ ready: true });
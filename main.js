@@ -1,11 +1,72 @@
 import * as THREE from 'three';
-import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { mergeBufferGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import {
+    MM_PER_INCH, CLIPPER_SCALE, LAYER_ROLES,
+    getFileBasename, isNonGerberFile, getLayerRole, describeLayerRole,
+    collectLayerFiles, isIgnoredPath, parseGerberGeometry, findGerberJob,
+    renderStackup, parseStackupLayer,
+    renderLayerSvg, getLayerUnitScale, setSvgViewport, getPngSize,
+    getCopperLevels, getBoardDrills, createBoardModel, createLayerPlane
+} from './gerber-core.js';
 
 // === DOM ELEMENT REFERENCES ===
 const uploadInput = document.getElementById('gerber-upload');
+const folderInput = document.getElementById('gerber-folder');
+const folderBtn = document.getElementById('gerber-folder-btn');
+const watchBtn = document.getElementById('watch-folder-btn');
+const watchStatus = document.getElementById('watch-status');
+const projectSaveBtn = document.getElementById('project-save');
+
+// Revision diff
+const compareInput = document.getElementById('compare-upload');
+const compareClearBtn = document.getElementById('compare-clear');
+const compareStatus = document.getElementById('compare-status');
+const diffIn3DInput = document.getElementById('diff-3d');
+const diffSummary = document.getElementById('diff-summary');
+
+// Components
+const showComponentsInput = document.getElementById('show-components');
+const placementOriginSelect = document.getElementById('placement-origin');
+const componentStatus = document.getElementById('component-status');
+const bomSearchInput = document.getElementById('bom-search');
+const bomTableBody = document.querySelector('#bom-table tbody');
+const bomEmpty = document.getElementById('bom-empty');
+const bomSelectionInfo = document.getElementById('bom-selection');
+
+// Design checks
+const dfmProfileSelect = document.getElementById('dfm-profile');
+const dfmRuleInputs = document.querySelectorAll('.dfm-rule');
+const dfmRunBtn = document.getElementById('dfm-run');
+const dfmStatus = document.getElementById('dfm-status');
+const dfmResults = document.getElementById('dfm-results');
+
+// Board statistics
+const boardInfo = document.getElementById('board-info');
+const downloadReportJsonBtn = document.getElementById('download-report-json');
+const downloadReportHtmlBtn = document.getElementById('download-report-html');
+
+// Panelization
+const panelColumnsInput = document.getElementById('panel-columns');
+const panelRowsInput = document.getElementById('panel-rows');
+const panelSpacingInput = document.getElementById('panel-spacing');
+const panelRailInput = document.getElementById('panel-rail');
+const panelSeparationSelect = document.getElementById('panel-separation');
+const panelFiducialsCheck = document.getElementById('panel-fiducials');
+const panelToolingCheck = document.getElementById('panel-tooling');
+const panelPreviewBtn = document.getElementById('panel-preview');
+const panelDownloadBtn = document.getElementById('panel-download');
+const panelStatus = document.getElementById('panel-status');
 const threeContainer = document.getElementById('view-3d');
 const loadingMessage = document.getElementById('loading-message');
+const loadingText = document.getElementById('loading-text');
+const loadingProgress = document.getElementById('loading-progress');
+const loadingProgressBar = document.getElementById('loading-progress-bar');
+const loadingCancelBtn = document.getElementById('loading-cancel');
 
 // Sidebar elements
 const sidebar = document.getElementById('sidebar');
@@ -18,296 +79,4514 @@ const dpiTopInput = document.getElementById('dpi-top-input');
 const dpiBottomInput = document.getElementById('dpi-bottom-input');
 const downloadTopPngBtn = document.getElementById('download-top-png');
 const downloadBottomPngBtn = document.getElementById('download-bottom-png');
+// 3D model export
+const modelFormatSelect = document.getElementById('model-format');
+const modelOriginSelect = document.getElementById('model-origin');
+const downloadModelBtn = document.getElementById('download-model');
+// 3D image export
+const imageWidthInput = document.getElementById('image-width');
+const imageHeightInput = document.getElementById('image-height');
+const imageTransparentInput = document.getElementById('image-transparent');
+const downloadImageBtn = document.getElementById('download-image');
 
 
 // Navbar controls
+const themeSelect = document.getElementById('theme-select');
+const themeSaveBtn = document.getElementById('theme-save');
+const themeDeleteBtn = document.getElementById('theme-delete');
 const soldermaskBtnGroup = document.getElementById('soldermask-colors');
+const soldermaskColorInput = document.getElementById('soldermask-color');
+const maskFinishSelect = document.getElementById('mask-finish');
 const silkscreenBtnGroup = document.getElementById('silkscreen-colors');
-const copperFinishBtnGroup = document.getElementById('copper-finish');
+const silkscreenColorInput = document.getElementById('silkscreen-color');
+const finishTypeSelect = document.getElementById('finish-type');
+const finishColorInput = document.getElementById('finish-color');
+const copperColorInput = document.getElementById('copper-color');
+const substrateTypeSelect = document.getElementById('substrate-type');
+const substrateColorInput = document.getElementById('substrate-color');
 
 const pcbThicknessInput = document.getElementById('pcb-thickness');
 let pcbThickness = parseFloat(pcbThicknessInput?.value || 1.6);
 
+// 3D stackup controls
+const stackExplodeInput = document.getElementById('stack-explode');
+const stackTranslucentInput = document.getElementById('stack-translucent');
+const sectionEnableInput = document.getElementById('section-enable');
+const sectionAxisSelect = document.getElementById('section-axis');
+const sectionFlipBtn = document.getElementById('section-flip');
+const sectionPositionInput = document.getElementById('section-position');
+let stackExplode = parseFloat(stackExplodeInput?.value || 0);
+
+// Layer manager
+const layerListContainer = document.getElementById('layer-list');
+
+// 2D layer viewer
+const viewer2DContainer = document.getElementById('view-2d');
+const viewer2DCanvas = document.getElementById('view-2d-canvas');
+const viewer2DLayerList = document.getElementById('view-2d-layers');
+const viewModeButtons = document.getElementById('view-mode');
+const mirror2DBtn = document.getElementById('mirror-2d');
+const fit2DBtn = document.getElementById('fit-2d');
+
+// Measurement toolbar
+const measureToggleBtn = document.getElementById('measure-toggle');
+const dimensionsToggleBtn = document.getElementById('dimensions-toggle');
+const unitsToggleBtn = document.getElementById('units-toggle');
+const measureReadout = document.getElementById('measure-readout');
+
+// Camera toolbar
+const cameraViewButtons = document.getElementById('camera-views');
+const orthoToggleBtn = document.getElementById('ortho-toggle');
+
+// Issues panel
+const issuesToggleBtn = document.getElementById('issues-toggle');
+const issuesCount = document.getElementById('issues-count');
+const issuesPanel = document.getElementById('issues-panel');
+const issuesCloseBtn = document.getElementById('issues-close');
+const issuesList = document.getElementById('issues-list');
+
 
 // === THREE.JS SHARED VARIABLES ===
-let scene, camera, renderer, controls, pcbGroup, svgLoader;
+let scene, camera, renderer, controls, pcbGroup;
+let perspectiveCamera, orthographicCamera; // `camera` is whichever is in use
+let sceneHelpers = []; // Grid and axes, left out of 3D images
+let environmentMap = null; // Reflections for the metallic parts of the board
+let stackGroup = null; // Board slabs and layer planes, modelled with +z up
+let boardFrame = null; // Maps converter coordinates of the outline into stackGroup space
+let currentDrills = []; // Parsed drill files of the current stackup, in mm
+let measureGroup, measureRaycaster; // Measurement markers live outside pcbGroup
+let dfmGroup; // Marker on the selected design check problem
+const sectionPlane = new THREE.Plane(); // Cross section cut, in world space
+let sectionFlipped = false;
 
 // === DATA STORE ===
 let loadedLayers = [];
 let currentStackup = null; // Store the latest stackup result for exports
+let layerOverrides = {}; // Manual role per source filename, e.g. { 'board.GM1': 'all:outline' }
+let hiddenLayers = new Set(); // Source filenames the user switched off
+let layerDetections = {}; // Last type/side pcb-stackup reported per source filename
+let gerberJob = null; // Parsed .gbrjob from the current archive, if any
+let parsedLayers = new WeakMap(); // Parsed files per loaded file, so a re-render only composites
+let renderController = null; // AbortController of the render in progress
+let compareController = null; // Likewise for the comparison set, which renders alongside
+let boardBeforeLoad = null; // { layers, state } of the board shown before a load, for Cancel to go back to
+let parseWorkers = []; // { worker, ready, job } of the parse worker pool
+let parseQueue = []; // Files waiting for a worker: { id, layer, signal, resolve, reject }
+let parseJobId = 0;
+let parseWorkersUnavailable = typeof Worker === 'undefined';
+
+// Measurement state; points are in board mm: { x, y, z, view: '3d' | 'top' | 'bottom', snap }
+let measureMode = false;
+let measureUnits = 'mm';
+let measurePoints = [];
+let showDimensions = false;
+let snapPoints = [];
+let pointerDownPosition = null;
+
+let fitCameraOnRender = true; // Only a newly loaded board resets the camera
+let compareStackup = null; // Earlier revision to compare against
+let compareName = null;
+let compareLayers = []; // Its loaded files, to composite again when the colours change
+let diffPairs = []; // [{ key, before, after }] layers matched between the revisions
+let diffSummaryToken = 0;
+let placementCache = new WeakMap(); // Parsed pick-and-place data per loaded file
+let bomCache = new WeakMap(); // Parsed BOM data per loaded file
+let bomLines = []; // Lines shown in the BOM table
+let selectedDesignators = new Set();
+let dfmViolations = []; // Design check problems, positions in board mm
+let dfmSelected = null; // Index into dfmViolations
+let dfmSkipped = []; // Checks whose limit is finer than the grid can measure
+let dfmToken = 0; // Bumped per run so a replaced board's results are dropped
+let boardStatistics = null; // Statistics of the current board, for the report
+let boardInfoToken = 0;
+let boardOutline = []; // Outline contours in board mm, cutouts included
+let panelSource = null; // The single board while its panel is shown: { layers, stackup, outline, overrides }
+let panelLayout = null; // Layout of the panel shown, from getPanelLayout
+let watchState = null; // { directory, files: Map(path -> { lastModified, size, layers }), timer, observer, busy, pending }
+let sessionDb = null; // Promise of the IndexedDB database
+let sessionSaveTimer = null;
+let savedSessionLayers = null; // Layers last written to the session, so they are not written again
+let issues = []; // { severity, file, message, line, source }: 'board' issues come with each render, 'error' ones from failures
+
+// Texture level of detail
+let textureDetailTimer = null;
+let textureDetailToken = 0; // Bumped per update so stale renders are dropped
+let boardModelToken = 0; // Bumped per 3D build so a superseded one is dropped
+
+// 2D viewer state
+let viewMode = '3d';
+let viewer2DViewBox = null; // Current zoom/pan, null until first shown
+let viewer2DMirrored = false;
+let viewer2DDrag = null;
+let viewer2DLastDragMoved = false;
+let layer2DSettings = {}; // { color, opacity, visible } per source filename
 
 // === CONSTANTS ===
-const MM_PER_INCH = 25.4;
+const SNAP_RADIUS_PX = 10;
+const MEASURE_COLOR = '#E63946';
+const DIMENSION_COLOR = '#1D3557';
+
+// Layer texture resolution. The base texture covers the whole board; zooming
+// in renders the visible part again at up to MAX_TEXTURE_PX_PER_MM.
+const BASE_TEXTURE_PX_PER_MM = 20;
+const MAX_TEXTURE_PX_PER_MM = 200;
+const MAX_TEXTURE_SIZE = 8192;
+const MAX_TEXTURE_PIXELS = 4096 * 4096;
+const TEXTURE_DETAIL_SAMPLES = 5; // Rays per viewport edge when finding the visible area
+const TEXTURE_DETAIL_DELAY_MS = 250;
+
+// Camera presets as directions from the board to the camera. OrbitControls
+// cannot look straight down or up, so top and bottom lean a hair towards
+// the front and back, which keeps the back edge of the board at the top.
+const CAMERA_VIEWS = {
+    top: [0, 1, 0.001],
+    bottom: [0, -1, -0.001],
+    iso: [1, 1, 1],
+    side: [0, 0, 1]
+};
+const CAMERA_FIT_MARGIN = 1.1;
+const ORTHO_FRUSTUM_HEIGHT = 100; // mm in view at zoom 1
+const IMAGE_MAX_SIZE = 8192; // px, width or height of 3D images
+const IMAGE_MSAA_MAX_PIXELS = 4096 * 4096; // Larger images are not multisampled
+
+// Copper finishes, soldermask surfaces and substrates: the colour picking one
+// sets, and how metallic and rough it looks in the 3D view
+const FINISHES = {
+    hasl: { color: '#C0C0C0', metalness: 1, roughness: 0.4 },
+    enig: { color: '#D4AF37', metalness: 1, roughness: 0.25 },
+    osp: { color: '#C87533', metalness: 1, roughness: 0.35 },
+    silver: { color: '#DCDCDC', metalness: 1, roughness: 0.2 },
+    hardgold: { color: '#E5B73B', metalness: 1, roughness: 0.15 }
+};
+const MASK_FINISHES = {
+    glossy: { metalness: 0, roughness: 0.3 },
+    matte: { metalness: 0, roughness: 0.8 }
+};
+const SUBSTRATES = {
+    fr4: { color: '#ECD39E', metalness: 0, roughness: 0.5 },
+    aluminium: { color: '#C4C8CC', metalness: 0.9, roughness: 0.45 },
+    polyimide: { color: '#D9822B', metalness: 0, roughness: 0.35 }
+};
+const SILKSCREEN_SURFACE = { metalness: 0, roughness: 0.9 };
+
+// Colour themes offered with the ones the user saved (kept in localStorage)
+const BUILTIN_THEMES = {
+    'Green HASL': { soldermask: '#004225', maskFinish: 'glossy', silkscreen: '#FFFFFF', finishType: 'hasl', finish: '#C0C0C0', copper: '#C09548', substrateType: 'fr4', substrate: '#ECD39E' },
+    'Purple ENIG': { soldermask: '#4B0082', maskFinish: 'glossy', silkscreen: '#FFFFFF', finishType: 'enig', finish: '#D4AF37', copper: '#C09548', substrateType: 'fr4', substrate: '#ECD39E' },
+    'Matte Black ENIG': { soldermask: '#000000', maskFinish: 'matte', silkscreen: '#FFFFFF', finishType: 'enig', finish: '#D4AF37', copper: '#C09548', substrateType: 'fr4', substrate: '#ECD39E' },
+    'White Aluminium LED': { soldermask: '#FFFFFF', maskFinish: 'glossy', silkscreen: '#000000', finishType: 'hasl', finish: '#C0C0C0', copper: '#C09548', substrateType: 'aluminium', substrate: '#C4C8CC' },
+    'Flex Polyimide': { soldermask: '#B8860B', maskFinish: 'glossy', silkscreen: '#FFFFFF', finishType: 'enig', finish: '#D4AF37', copper: '#C09548', substrateType: 'polyimide', substrate: '#D9822B' }
+};
+const DEFAULT_THEME = 'Green HASL';
+const THEME_STORAGE_KEY = 'gerber-viewer-themes';
+
+// Session persistence and project files
+const SESSION_DB_NAME = 'gerber-viewer';
+const SESSION_STORE = 'session';
+const SESSION_SAVE_DELAY_MS = 1000;
+const PROJECT_FILENAME = 'gerber-viewer-project.json';
+const PROJECT_FILES_FOLDER = 'files/';
+const PROJECT_FORMAT = 'gerber-viewer-project';
+const PROJECT_VERSION = 1;
+const PARSE_WORKER_URL = 'gerber-worker.js';
+const PARSE_WORKERS_MAX = 4;
+
+// Default 2D viewer colours per role, chosen to stay apart on a dark background
+const LAYER_2D_COLORS = {
+    'top:copper': '#D9534F',
+    'bottom:copper': '#428BCA',
+    'top:soldermask': '#9B59B6',
+    'bottom:soldermask': '#16A085',
+    'top:silkscreen': '#F5F5F5',
+    'bottom:silkscreen': '#F0E68C',
+    'top:solderpaste': '#95A5A6',
+    'bottom:solderpaste': '#7F8C8D',
+    'all:drill': '#E0E0E0',
+    'all:outline': '#F1C40F',
+    default: '#BDC3C7'
+};
+const INNER_LAYER_2D_COLORS = ['#5CB85C', '#E67E22', '#1ABC9C', '#C0392B', '#3498DB', '#D35400'];
+
+const WATCH_INTERVAL_MS = 1500;
+
+const DIFF_COLORS = {
+    added: '#28A745',
+    removed: '#DC3545',
+    unchanged: '#6C757D'
+};
+const DIFF_PX_PER_MM = 20; // Resolution when measuring changed areas
+const DIFF_MAX_SIZE = 4096;
+const DIFF_MIN_AREA = 0.01; // mm², smaller differences are rasterizing noise
+
+// Design check rule profiles, in mm
+const DFM_PROFILES = {
+    generic: { traceWidth: 0.152, spacing: 0.152, annularRing: 0.127, drillToCopper: 0.254, copperToOutline: 0.3, maskSliver: 0.1 },
+    jlcpcb: { traceWidth: 0.127, spacing: 0.127, annularRing: 0.13, drillToCopper: 0.2, copperToOutline: 0.3, maskSliver: 0.1 },
+    oshpark: { traceWidth: 0.152, spacing: 0.152, annularRing: 0.127, drillToCopper: 0.254, copperToOutline: 0.381, maskSliver: 0.1 }
+};
+const DFM_CHECK_NAMES = {
+    traceWidth: 'Trace width',
+    spacing: 'Copper spacing',
+    annularRing: 'Annular ring',
+    drillToCopper: 'Drill to copper',
+    copperToOutline: 'Copper to board edge',
+    silkOnPads: 'Silkscreen on exposed pads',
+    maskSliver: 'Solder mask sliver'
+};
+const DFM_PX_PER_MM = 25; // Grid resolution of the checks
+const DFM_MAX_SIZE = 4096; // Pixels across a grid, larger boards are checked in tiles
+const DFM_TILE_OVERLAP = 1; // mm, on top of the widest rule and hole
+const DFM_FAR = 1e20; // Distance field value of pixels not yet reached
+const DFM_RING_RAYS = 32;
+const DFM_MIN_OVERLAP = 0.005; // mm², smaller silkscreen overlaps are rasterizing noise
+const DFM_MIN_ZOOM = 2; // mm across, when zooming to a problem
+const DFM_MAX_LISTED = 50; // Problems listed per check
+const DFM_COLOR = '#DC3545';
+const STATS_MAX_SPACING = 0.5; // mm, wider gaps between copper are not measured
+
+// Panelization, in mm
+const PANEL_MAX_COUNT = 20; // Boards per row or column
+const PANEL_TAB_WIDTH = 3;
+const PANEL_TAB_PITCH = 40; // About one tab per this much board edge
+const PANEL_TAB_OVERLAP = 0.5; // How far tabs reach into the boards and rails
+const PANEL_MOUSE_BITE_DIAMETER = 0.5;
+const PANEL_MOUSE_BITE_PITCH = 0.8;
+const PANEL_FIDUCIAL_DIAMETER = 1;
+const PANEL_FIDUCIAL_OPENING = 2; // Solder mask opening around a fiducial
+const PANEL_FIDUCIAL_INSET = 10; // From the ends of the rails
+const PANEL_TOOLING_HOLE_DIAMETER = 2;
+const PANEL_TOOLING_INSET = 5;
+const PANEL_OUTLINE_WIDTH = 0.1;
+const PANEL_VSCORE_COLOR = 0x1D3557;
+
+// Pick-and-place column names (lowercase, without spaces, punctuation or
+// units), in order of preference
+const PLACEMENT_COLUMNS = {
+    designator: ['designator', 'ref', 'refdes', 'reference', 'designators', 'part'],
+    value: ['val', 'value', 'comment'],
+    package: ['package', 'footprint', 'pattern'],
+    x: ['midx', 'centerx', 'posx', 'centroidx', 'locationx', 'x', 'refx'],
+    y: ['midy', 'centery', 'posy', 'centroidy', 'locationy', 'y', 'refy'],
+    rotation: ['rotation', 'rot', 'angle', 'orientation'],
+    side: ['side', 'layer', 'tb']
+};
+// Imperial chip sizes as [length, width] in mm
+const CHIP_SIZES = {
+    '01005': [0.4, 0.2], '0201': [0.6, 0.3], '0402': [1.0, 0.5], '0603': [1.6, 0.8], '0805': [2.0, 1.25],
+    '1206': [3.2, 1.6], '1210': [3.2, 2.5], '1812': [4.5, 3.2], '2010': [5.0, 2.5], '2512': [6.3, 3.2]
+};
+// Common packages as [name pattern, length, width, height] in mm, first match wins
+const PACKAGE_SIZES = [
+    [/SOT-?223/i, 6.5, 3.5, 1.6],
+    [/SOT-?23-?[56]/i, 2.9, 1.6, 1.1],
+    [/SOT-?23/i, 2.9, 1.3, 1.1],
+    [/SOT-?89/i, 4.5, 2.5, 1.5],
+    [/SOD-?123/i, 2.7, 1.6, 1.1],
+    [/SOD-?323/i, 1.7, 1.25, 0.9],
+    [/SO(IC)?-?8/i, 4.9, 3.9, 1.5],
+    [/SO(IC)?-?14/i, 8.7, 3.9, 1.5],
+    [/SO(IC)?-?16/i, 9.9, 3.9, 1.5],
+    [/TSSOP-?(8|14|16)/i, 5.0, 4.4, 1.1],
+    [/TSSOP/i, 7.8, 4.4, 1.1],
+    [/LQFP-?(32|48)/i, 7, 7, 1.6],
+    [/LQFP-?64/i, 10, 10, 1.6],
+    [/LQFP-?100/i, 14, 14, 1.6],
+    [/LQFP-?144/i, 20, 20, 1.6],
+    [/QFN|DFN/i, 5, 5, 0.9],
+    [/TO-?252|DPAK/i, 6.5, 6.1, 2.3],
+    [/TO-?263|D2PAK/i, 10, 9, 4.5],
+    [/SMA|DO-?214AC/i, 4.3, 2.6, 2.2],
+    [/SMB|DO-?214AA/i, 4.6, 3.6, 2.3],
+    [/SMC|DO-?214AB/i, 7.0, 5.9, 2.3]
+];
+const DEFAULT_PACKAGE_SIZE = { length: 2, width: 2, height: 1 };
+const PLACEMENT_COLOR = '#FF8C00';
+const COMPONENT_HIGHLIGHT_COLOR = '#00B4D8';
+// BOM column names, normalised like PLACEMENT_COLUMNS
+const BOM_COLUMNS = {
+    designators: ['designator', 'designators', 'reference', 'references', 'ref', 'refs', 'refdes', 'parts'],
+    quantity: ['quantity', 'qty', 'count'],
+    value: ['value', 'val', 'comment'],
+    package: ['footprint', 'package', 'pattern']
+};
+
+// How a file's role was worked out, shown next to the detected role
+const DETECTION_SOURCE_LABELS = {
+    job: 'job file',
+    x2: 'X2',
+    filename: 'name'
+};
 
 // === INITIALIZATION & EVENT LISTENERS ===
 initThree();
+populateThemeSelect(`builtin:${DEFAULT_THEME}`);
 uploadInput.addEventListener('change', handleFileSelect);
+folderInput.addEventListener('change', handleFileSelect);
+folderBtn.addEventListener('click', () => folderInput.click());
+if ('showDirectoryPicker' in window) {
+    watchBtn.addEventListener('click', toggleWatchMode);
+} else {
+    watchBtn.disabled = true;
+    watchBtn.title = 'Watching a folder needs a browser with the File System Access API (Chrome, Edge)';
+}
+threeContainer.addEventListener('dragover', handleDragOver);
+threeContainer.addEventListener('dragleave', handleDragLeave);
+threeContainer.addEventListener('drop', handleDrop);
+compareInput.addEventListener('change', handleCompareSelect);
+compareClearBtn.addEventListener('click', clearCompare);
+diffIn3DInput.addEventListener('change', () => {
+    if (currentStackup) update3DView(currentStackup);
+});
+diffSummary.addEventListener('click', handleDiffSummaryClick);
+showComponentsInput.addEventListener('change', handleComponentOptionsChange);
+placementOriginSelect.addEventListener('change', handleComponentOptionsChange);
+bomSearchInput.addEventListener('input', updateBomTable);
+bomTableBody.addEventListener('click', handleBomTableClick);
+dfmProfileSelect.addEventListener('change', handleDfmProfileChange);
+dfmRuleInputs.forEach(input => input.addEventListener('input', () => { dfmProfileSelect.value = 'custom'; }));
+dfmRunBtn.addEventListener('click', runDfmChecks);
+dfmResults.addEventListener('click', handleDfmResultsClick);
+downloadReportJsonBtn.addEventListener('click', () => handleReportDownload('json'));
+downloadReportHtmlBtn.addEventListener('click', () => handleReportDownload('html'));
+[panelColumnsInput, panelRowsInput, panelSpacingInput, panelRailInput, panelSeparationSelect, panelFiducialsCheck, panelToolingCheck]
+    .forEach(input => input.addEventListener('change', handlePanelSettingsChange));
+panelPreviewBtn.addEventListener('click', handlePanelPreview);
+panelDownloadBtn.addEventListener('click', handlePanelDownload);
+
+// Colour presets, pickers and themes
+soldermaskBtnGroup.addEventListener('click', handleOptionChange);
+silkscreenBtnGroup.addEventListener('click', handleOptionChange);
+[soldermaskColorInput, silkscreenColorInput, finishColorInput, copperColorInput, substrateColorInput, maskFinishSelect]
+    .forEach(input => input.addEventListener('change', handleAppearanceChange));
+finishTypeSelect.addEventListener('change', () => {
+    finishColorInput.value = FINISHES[finishTypeSelect.value].color;
+    handleAppearanceChange();
+});
+substrateTypeSelect.addEventListener('change', () => {
+    substrateColorInput.value = SUBSTRATES[substrateTypeSelect.value].color;
+    handleAppearanceChange();
+});
+themeSelect.addEventListener('change', handleThemeChange);
+themeSaveBtn.addEventListener('click', handleThemeSave);
+themeDeleteBtn.addEventListener('click', handleThemeDelete);
+layerListContainer.addEventListener('change', handleLayerPanelChange);
+stackExplodeInput.addEventListener('input', () => {
+    stackExplode = parseFloat(stackExplodeInput.value) || 0;
+    applyStackExplode();
+    scheduleTextureDetailUpdate();
+    scheduleSessionSave();
+});
+stackTranslucentInput.addEventListener('change', () => {
+    scheduleSessionSave();
+    if (!stackGroup) return;
+    const slab = stackGroup.children.find(child => child.userData.isSubstrate);
+    if (slab) applySubstrateTranslucency(slab.material);
+    scheduleTextureDetailUpdate();
+});
+[sectionEnableInput, sectionAxisSelect].forEach(input => input.addEventListener('change', handleSectionChange));
+sectionPositionInput.addEventListener('input', handleSectionChange);
+sectionFlipBtn.addEventListener('click', () => {
+    sectionFlipped = !sectionFlipped;
+    sectionFlipBtn.classList.toggle('active', sectionFlipped);
+    handleSectionChange();
+});
+pcbThicknessInput.addEventListener('input', () => {
+  const val = parseFloat(pcbThicknessInput.value);
+  if (!isNaN(val) && val > 0) {
+    pcbThickness = val;
+    if (currentStackup) update3DView(currentStackup);
+    scheduleSessionSave();
+  }
+});
+
+
+// Measurement tools
+measureToggleBtn.addEventListener('click', toggleMeasureMode);
+dimensionsToggleBtn.addEventListener('click', () => { toggleDimensions(); scheduleSessionSave(); });
+unitsToggleBtn.addEventListener('click', () => { toggleMeasureUnits(); scheduleSessionSave(); });
+cameraViewButtons.addEventListener('click', event => {
+    const button = event.target.closest('button[data-view]');
+    if (!button) return;
+    setCameraView(button.dataset.view);
+    scheduleSessionSave();
+});
+orthoToggleBtn.addEventListener('click', () => { toggleOrthographic(); scheduleSessionSave(); });
+loadingCancelBtn.addEventListener('click', cancelLoad);
+issuesToggleBtn.addEventListener('click', () => issuesPanel.classList.toggle('d-none'));
+issuesCloseBtn.addEventListener('click', () => issuesPanel.classList.add('d-none'));
+renderer.domElement.addEventListener('pointerdown', handle3DPointerDown);
+renderer.domElement.addEventListener('pointerup', handle3DPointerUp);
+renderer.domElement.addEventListener('pointermove', handle3DPointerMove);
+renderer.domElement.addEventListener('pointerleave', () => updateMeasureReadout(null));
+attach2DMeasurement(topThumbContainer, 'top');
+attach2DMeasurement(bottomThumbContainer, 'bottom');
+attach2DMeasurement(viewer2DCanvas, get2DViewerSide);
+
+// 2D layer viewer
+viewModeButtons.addEventListener('click', event => {
+    const button = event.target.closest('button');
+    if (!button) return;
+    setViewMode(button.dataset.mode);
+    scheduleSessionSave();
+});
+mirror2DBtn.addEventListener('click', toggle2DMirror);
+fit2DBtn.addEventListener('click', fit2DView);
+viewer2DLayerList.addEventListener('input', handle2DLayerPanelInput);
+viewer2DCanvas.addEventListener('wheel', handle2DWheel, { passive: false });
+viewer2DCanvas.addEventListener('pointerdown', handle2DPointerDown);
+viewer2DCanvas.addEventListener('pointermove', handle2DPointerMove);
+viewer2DCanvas.addEventListener('pointerup', handle2DPointerUp);
+viewer2DCanvas.addEventListener('dblclick', fit2DView);
+viewer2DCanvas.addEventListener('click', event => {
+    if (measureMode || viewer2DLastDragMoved) return;
+    const part = event.target.closest('[data-designator]');
+    if (part || selectedDesignators.size > 0) selectParts(part ? [part.dataset.designator] : [], { scrollTable: true });
+});
+// Double-clicking a thumbnail opens that side in the 2D viewer
+topThumbContainer.addEventListener('dblclick', () => { open2DSide(false); scheduleSessionSave(); });
+bottomThumbContainer.addEventListener('dblclick', () => { open2DSide(true); scheduleSessionSave(); });
+document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && measurePoints.length > 0) clearMeasurement();
+});
+
+// Listen for clicks on the PNG download buttons
+downloadTopPngBtn.addEventListener('click', () => handlePngExport('top'));
+downloadBottomPngBtn.addEventListener('click', () => handlePngExport('bottom'));
+downloadModelBtn.addEventListener('click', handleModelExport);
+downloadImageBtn.addEventListener('click', handleImageExport);
+
+// Each change to the settings, the views or the camera is saved shortly
+// after. The handlers above schedule the save; the export settings have no
+// handlers of their own.
+projectSaveBtn.addEventListener('click', handleProjectSave);
+[dpiTopInput, dpiBottomInput, modelFormatSelect, modelOriginSelect, imageWidthInput, imageHeightInput, imageTransparentInput]
+    .forEach(input => input.addEventListener('change', scheduleSessionSave));
+controls.addEventListener('change', scheduleSessionSave);
+window.addEventListener('pagehide', flushSessionSave);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushSessionSave();
+});
+restoreLastSession();
+
+
+// === CORE LOGIC ===
+
+// The colours picked in the toolbar, for renderStackup
+function getToolbarColors() {
+    return {
+        soldermask: soldermaskColorInput.value.toUpperCase(),
+        silkscreen: silkscreenColorInput.value.toUpperCase(),
+        finish: finishColorInput.value.toUpperCase(),
+        copper: copperColorInput.value.toUpperCase(),
+        substrate: substrateColorInput.value.toUpperCase()
+    };
+}
+
+// Pick-and-place and BOM files are shown by the viewer itself, not pcb-stackup
+function isAssemblyFile(layer) {
+    return Boolean(getPlacementData(layer) || getBomData(layer));
+}
+
+// A colour preset button sets its group's colour picker
+function handleOptionChange(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    button.parentElement.querySelector('.color-picker').value = button.dataset.color;
+    handleAppearanceChange();
+}
+
+function handleAppearanceChange() {
+    updateColorPresets();
+    selectMatchingTheme();
+
+    // Re-render views if we have layer data, the comparison set first as
+    // it redraws the board once it is done
+    if (compareLayers.length > 0) {
+        renderComparison(compareLayers, compareName);
+    } else if (loadedLayers.length > 0) {
+        renderAllViews(loadedLayers);
+    }
+    scheduleSessionSave();
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// === COLOUR THEMES ===
+// A theme is the whole appearance picked in the toolbar: the colours for
+// pcb-stackup plus the soldermask surface, copper finish and substrate that
+// set the 3D materials. Option values are 'builtin:<name>' or 'saved:<name>'.
+
+function getAppearance() {
+    return {
+        soldermask: soldermaskColorInput.value.toUpperCase(),
+        maskFinish: maskFinishSelect.value,
+        silkscreen: silkscreenColorInput.value.toUpperCase(),
+        finishType: finishTypeSelect.value,
+        finish: finishColorInput.value.toUpperCase(),
+        copper: copperColorInput.value.toUpperCase(),
+        substrateType: substrateTypeSelect.value,
+        substrate: substrateColorInput.value.toUpperCase()
+    };
+}
+
+function setAppearance(theme) {
+    const appearance = { ...BUILTIN_THEMES[DEFAULT_THEME], ...theme };
+    soldermaskColorInput.value = appearance.soldermask.toLowerCase();
+    maskFinishSelect.value = appearance.maskFinish;
+    silkscreenColorInput.value = appearance.silkscreen.toLowerCase();
+    finishTypeSelect.value = appearance.finishType;
+    finishColorInput.value = appearance.finish.toLowerCase();
+    copperColorInput.value = appearance.copper.toLowerCase();
+    substrateTypeSelect.value = appearance.substrateType;
+    substrateColorInput.value = appearance.substrate.toLowerCase();
+    updateColorPresets();
+}
+
+// Highlights the preset buttons matching the picked colours
+function updateColorPresets() {
+    [[soldermaskBtnGroup, soldermaskColorInput], [silkscreenBtnGroup, silkscreenColorInput]].forEach(([group, input]) => {
+        group.querySelectorAll('.btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.color.toUpperCase() === input.value.toUpperCase());
+        });
+    });
+}
+
+// Shows the theme the picks match, if any
+function selectMatchingTheme() {
+    const appearance = getAppearance();
+    const match = [...themeSelect.options].find(option => {
+        const theme = getTheme(option.value);
+        return theme && Object.keys(appearance).every(key => theme[key] === appearance[key]);
+    });
+    themeSelect.value = match ? match.value : '';
+    themeDeleteBtn.disabled = !themeSelect.value.startsWith('saved:');
+}
+
+// Metalness and roughness of each part of the board, for getSurfaceMapSvg
+function getSurfaces() {
+    return {
+        substrate: SUBSTRATES[substrateTypeSelect.value],
+        copper: FINISHES[finishTypeSelect.value],
+        soldermask: MASK_FINISHES[maskFinishSelect.value],
+        silkscreen: SILKSCREEN_SURFACE
+    };
+}
+
+function getTheme(value) {
+    const [source, ...rest] = value.split(':');
+    const name = rest.join(':');
+    if (source === 'builtin') return BUILTIN_THEMES[name] || null;
+    if (source === 'saved') return loadSavedThemes()[name] || null;
+    return null;
+}
+
+function loadSavedThemes() {
+    try {
+        return JSON.parse(localStorage.getItem(THEME_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('Could not read the saved colour themes:', e);
+        return {};
+    }
+}
+
+function storeSavedThemes(themes) {
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(themes));
+    } catch (e) {
+        handleError(e, 'The theme could not be saved, your browser may be blocking local storage');
+    }
+}
+
+function populateThemeSelect(selected) {
+    const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+    const saved = Object.keys(loadSavedThemes()).sort();
+    themeSelect.innerHTML =
+        `<optgroup label="Built-in">${Object.keys(BUILTIN_THEMES).map(name => option(`builtin:${name}`, name)).join('')}</optgroup>` +
+        (saved.length > 0 ? `<optgroup label="Saved">${saved.map(name => option(`saved:${name}`, name)).join('')}</optgroup>` : '') +
+        option('', 'Custom');
+    themeSelect.value = selected;
+    themeDeleteBtn.disabled = !themeSelect.value.startsWith('saved:');
+}
+
+function handleThemeChange() {
+    const theme = getTheme(themeSelect.value);
+    if (!theme) return;
+    setAppearance(theme);
+    handleAppearanceChange();
+}
+
+function handleThemeSave() {
+    const input = prompt('Save the current colours as a theme named:');
+    const name = input && input.trim();
+    if (!name) return;
+    const themes = loadSavedThemes();
+    themes[name] = getAppearance();
+    storeSavedThemes(themes);
+    populateThemeSelect(`saved:${name}`);
+}
+
+function handleThemeDelete() {
+    if (!themeSelect.value.startsWith('saved:')) return;
+    const name = themeSelect.value.slice('saved:'.length);
+    const themes = loadSavedThemes();
+    delete themes[name];
+    storeSavedThemes(themes);
+    populateThemeSelect('');
+}
+
+// === FILE LOADING ===
+// Files can come from the file inputs or be dropped onto the viewport. Every
+// source is turned into [{ path, file }] and fed through loadBoardFiles, which
+// unpacks archives (nested ones too) into loadedLayers.
+
+function handleFileSelect(event) {
+    const files = Array.from(event.target.files).map(file => ({ path: file.webkitRelativePath || file.name, file }));
+    // Clear the input so picking the same files again reloads them
+    event.target.value = '';
+    loadBoardFiles(files);
+}
+
+function handleDragOver(event) {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    threeContainer.classList.add('drop-target');
+}
+
+function handleDragLeave(event) {
+    if (!threeContainer.contains(event.relatedTarget)) threeContainer.classList.remove('drop-target');
+}
+
+async function handleDrop(event) {
+    event.preventDefault();
+    threeContainer.classList.remove('drop-target');
+    try {
+        loadBoardFiles(await getDroppedFiles(event.dataTransfer));
+    } catch (e) {
+        handleError(e);
+    }
+}
+
+// Walks dropped folders where the browser supports it
+async function getDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files).map(file => ({ path: file.name, file }));
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        await readFileSystemEntry(entry, files);
+    }
+    return files;
+}
+
+async function readFileSystemEntry(entry, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ path: entry.fullPath.replace(/^\//, ''), file });
+        return;
+    }
+    const reader = entry.createReader();
+    // readEntries returns directory contents in batches until an empty one
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+            await readFileSystemEntry(child, files);
+        }
+    } while (batch.length > 0);
+}
+
+async function loadBoardFiles(files) {
+    if (files.length === 0) return;
+
+    showLoadingMessage();
+    try {
+        const layers = [];
+        for (const { path, file } of files) {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const project = files.length === 1 ? await readProjectFile(bytes) : null;
+            if (project) {
+                openSession(project.layers, project.state);
+                return;
+            }
+            await collectLayerFiles(path, bytes, layers, 0);
+        }
+        if (layers.length === 0) {
+            throw new Error("No valid Gerber files were found.");
+        }
+
+        // Opening files by hand replaces a watched folder
+        stopWatching();
+        showNewBoard(layers);
+    } catch (e) {
+        handleError(e);
+    }
+}
+
+// Shows a freshly loaded board, forgetting everything about the previous one
+function showNewBoard(layers, overrides = {}, hidden = []) {
+    // Kept until the new board is shown, for Cancel to go back to
+    if (currentStackup && !boardBeforeLoad) {
+        boardBeforeLoad = { layers: getSessionBoard().layers, state: getSessionState() };
+    }
+    loadedLayers = layers;
+    layerOverrides = { ...overrides };
+    hiddenLayers = new Set(hidden);
+    layerDetections = {};
+    measurePoints = [];
+    layer2DSettings = {};
+    viewer2DViewBox = null;
+    selectedDesignators = new Set();
+    bomSearchInput.value = '';
+    clearDfmResults();
+    panelSource = null;
+    panelLayout = null;
+    fitCameraOnRender = true;
+    setIssues('error', []);
+    applyJobFileSettings(findGerberJob(loadedLayers));
+    renderAllViews(loadedLayers);
+}
+
+// === WATCH MODE ===
+// Keeps a folder picked through the File System Access API open and reloads
+// the files that change in it, keeping the camera, layer settings and
+// measurements. Changes are picked up through a FileSystemObserver where the
+// browser has one, otherwise by polling the folder.
+
+async function toggleWatchMode() {
+    if (watchState) {
+        stopWatching();
+        return;
+    }
+
+    let directory;
+    try {
+        directory = await window.showDirectoryPicker();
+    } catch (e) {
+        if (e.name !== 'AbortError') handleError(e);
+        return;
+    }
+
+    showLoadingMessage();
+    try {
+        const state = { directory, files: new Map(), timer: null, observer: null, busy: false, pending: false };
+        for (const { path, handle } of await listDirectoryFiles(directory)) {
+            state.files.set(path, await readWatchedFile(path, handle));
+        }
+        const layers = getWatchedLayers(state);
+        if (layers.length === 0) {
+            throw new Error("No valid Gerber files were found in the folder.");
+        }
+
+        watchState = state;
+        startWatchTimer(state);
+        updateWatchStatus();
+        showNewBoard(layers);
+    } catch (e) {
+        handleError(e);
+    }
+}
+
+function startWatchTimer(state) {
+    if (typeof FileSystemObserver !== 'undefined') {
+        state.observer = new FileSystemObserver(() => checkWatchedFiles());
+        state.observer.observe(state.directory, { recursive: true })
+            .catch(() => {
+                // Not supported for this folder, fall back to polling
+                state.observer = null;
+                state.timer = setInterval(checkWatchedFiles, WATCH_INTERVAL_MS);
+            });
+    } else {
+        state.timer = setInterval(checkWatchedFiles, WATCH_INTERVAL_MS);
+    }
+}
+
+function stopWatching() {
+    if (!watchState) return;
+    clearInterval(watchState.timer);
+    if (watchState.observer) watchState.observer.disconnect();
+    watchState = null;
+    updateWatchStatus();
+}
+
+// Compares the folder against the last snapshot and reloads what changed.
+// A change seen while a check runs is checked again once it's done, as the
+// observer won't report it twice.
+async function checkWatchedFiles() {
+    const state = watchState;
+    if (!state) return;
+    if (state.busy) {
+        state.pending = true;
+        return;
+    }
+    state.busy = true;
+    state.pending = false;
+
+    try {
+        const entries = await listDirectoryFiles(state.directory);
+        const changed = [];
+        const seen = new Set();
+        for (const { path, handle } of entries) {
+            seen.add(path);
+            const file = await handle.getFile();
+            const previous = state.files.get(path);
+            if (!previous || previous.lastModified !== file.lastModified || previous.size !== file.size) {
+                changed.push({ path, handle });
+            }
+        }
+        const removed = [...state.files.keys()].filter(path => !seen.has(path));
+        if (changed.length === 0 && removed.length === 0) return;
+
+        for (const { path, handle } of changed) {
+            state.files.set(path, await readWatchedFile(path, handle));
+        }
+        removed.forEach(path => state.files.delete(path));
+        // The folder may have been unwatched while reading
+        if (watchState !== state) return;
+
+        const jobChanged = changed.some(({ path }) => state.files.get(path).layers.some(l => l.filename.toLowerCase().endsWith('.gbrjob')));
+        loadedLayers = getWatchedLayers(state);
+        // A previewed panel would be out of date, show the board itself
+        panelSource = null;
+        panelLayout = null;
+        if (jobChanged) applyJobFileSettings(findGerberJob(loadedLayers));
+        renderAllViews(loadedLayers);
+        updateWatchStatus(`reloaded ${changed.length} changed and ${removed.length} removed file(s)`);
+    } catch (e) {
+        // Usually the folder was moved or permission was revoked
+        stopWatching();
+        handleError(e);
+    } finally {
+        state.busy = false;
+        if (state.pending && watchState === state) checkWatchedFiles();
+    }
+}
+
+async function readWatchedFile(path, handle) {
+    const file = await handle.getFile();
+    const layers = [];
+    await collectLayerFiles(path, new Uint8Array(await file.arrayBuffer()), layers, 0);
+    return { lastModified: file.lastModified, size: file.size, layers };
+}
+
+// Layers of every watched file, in a stable order so the views do not shuffle
+function getWatchedLayers(state) {
+    return [...state.files.keys()].sort().flatMap(path => state.files.get(path).layers);
+}
+
+async function listDirectoryFiles(directory, prefix = '', files = []) {
+    for await (const handle of directory.values()) {
+        const path = prefix + handle.name;
+        if (isIgnoredPath(path)) continue;
+        if (handle.kind === 'directory') {
+            await listDirectoryFiles(handle, `${path}/`, files);
+        } else {
+            files.push({ path, handle });
+        }
+    }
+    return files;
+}
+
+// `change` says what the last reload did, e.g. "reloaded 2 changed and 0 removed file(s)"
+function updateWatchStatus(change = 'updated') {
+    watchBtn.textContent = watchState ? 'Stop Watching' : 'Watch Folder...';
+    watchBtn.classList.toggle('active', !!watchState);
+    watchStatus.textContent = watchState
+        ? `Watching "${watchState.directory.name}", ${change} at ${new Date().toLocaleTimeString()}`
+        : '';
+}
+
+function renderAllViews(layers) {
+    if (layers.length === 0) return;
+
+    // A newer render replaces one still parsing
+    abortRender();
+    const controller = new AbortController();
+    renderController = controller;
+    showLoadingMessage();
+    
+    // helps pcb-stackup correctly identify types and sides.
+    gerberJob = findGerberJob(layers);
+
+    renderStackup(layers, gerberJob, {
+        overrides: layerOverrides,
+        hidden: hiddenLayers,
+        exclude: isAssemblyFile,
+        colors: getToolbarColors(),
+        cache: parsedLayers,
+        parseLayer: layer => parseLayerInWorker(layer, controller.signal),
+        signal: controller.signal,
+        onProgress: ({ file, done, total }) => showLoadingMessage(`Parsed ${getFileBasename(file)} (${done} of ${total})`, done / total)
+    })
+        .then(stackup => {
+            renderController = null;
+            boardBeforeLoad = null;
+            console.log("pcbStackup result:", stackup);
+            if (stackup.layers) {
+                console.log("Identified layers:", stackup.layers.map(l => ({ filename: l.filename, type: l.type, side: l.side })));
+            }
+            currentStackup = stackup; // Cache the result
+            setIssues('board', stackup.issues);
+            // Remember what auto-detection made of each file so the layer panel can
+            // still show it once the user has overridden or hidden the layer
+            (stackup.layers || []).forEach(l => {
+                if (!layerOverrides[l.sourceFilename]) {
+                    layerDetections[l.sourceFilename] = {
+                        type: l.type,
+                        side: l.side,
+                        source: l.detectionSource,
+                        copperIndex: l.copperIndex,
+                        polarity: l.polarity
+                    };
+                }
+            });
+            updateLayerPanel();
+            diffPairs = compareStackup ? getDiffPairs(stackup, compareStackup) : [];
+            update3DView(stackup);
+
+            let hasContent = false;
+
+            if (stackup && stackup.top && stackup.top.svg) {
+                topThumbContainer.innerHTML = stackup.top.svg;
+                const topSvgBlob = new Blob([stackup.top.svg], { type: 'image/svg+xml;charset=utf-8' });
+                downloadTopBtn.href = URL.createObjectURL(topSvgBlob);
+                downloadTopBtn.classList.remove('disabled');
+                downloadTopPngBtn.classList.remove('disabled');
+                hasContent = true;
+            } else {
+                topThumbContainer.innerHTML = '<p class="text-muted text-center small p-2">No top view generated.</p>';
+                downloadTopBtn.href = '#';
+                downloadTopBtn.classList.add('disabled');
+                downloadTopPngBtn.classList.add('disabled');
+            }
+
+            if (stackup && stackup.bottom && stackup.bottom.svg) {
+                bottomThumbContainer.innerHTML = stackup.bottom.svg;
+                const bottomSvgBlob = new Blob([stackup.bottom.svg], { type: 'image/svg+xml;charset=utf-8' });
+                downloadBottomBtn.href = URL.createObjectURL(bottomSvgBlob);
+                downloadBottomBtn.classList.remove('disabled');
+                downloadBottomPngBtn.classList.remove('disabled');
+                hasContent = true;
+            } else {
+                bottomThumbContainer.innerHTML = '<p class="text-muted text-center small p-2">No bottom view generated.</p>';
+                downloadBottomBtn.href = '#';
+                downloadBottomBtn.classList.add('disabled');
+                downloadBottomPngBtn.classList.add('disabled');
+            }
+
+            [[topThumbContainer, 'top'], [bottomThumbContainer, 'bottom']].forEach(([container, side]) => {
+                update2DMeasureOverlay(container, side);
+            });
+            if (viewMode === '2d') render2DViewer();
+            if (compareStackup) updateDiffSummary();
+            updateComponentStatus();
+            updateBomTable();
+            updateBoardInfo();
+            updatePanelControls();
+            projectSaveBtn.disabled = false;
+            scheduleSessionSave();
+
+            loadingMessage.style.display = 'none';
+        })
+        .catch(e => {
+            // Cancelled, or replaced by a newer render
+            if (e.name === 'AbortError') return;
+            if (renderController === controller) renderController = null;
+            boardBeforeLoad = null;
+            handleError(e);
+        });
+}
+
+// === FILE PARSING ===
+// Files are parsed in a pool of workers (gerber-worker.js) so the page stays
+// responsive on large boards, then composited here by renderStackup. Where
+// workers can't run, or can't load pcb-stackup, files are parsed on this
+// thread instead.
+
+// `progress` (0 to 1) shows a progress bar; Cancel shows while a render runs
+function showLoadingMessage(text = 'Processing files...', progress = null) {
+    loadingText.textContent = text;
+    loadingProgress.classList.toggle('d-none', progress === null);
+    if (progress !== null) loadingProgressBar.style.width = `${Math.round(progress * 100)}%`;
+    loadingCancelBtn.classList.toggle('d-none', !renderController && !compareController);
+    loadingMessage.style.display = 'block';
+}
+
+function abortRender() {
+    if (!renderController) return;
+    renderController.abort();
+    stopParsing(renderController.signal);
+    renderController = null;
+}
+
+function abortComparison() {
+    if (!compareController) return;
+    compareController.abort();
+    stopParsing(compareController.signal);
+    compareController = null;
+}
+
+// Goes back to the board shown before the load, or to an empty view
+function cancelLoad() {
+    abortRender();
+    abortComparison();
+    loadingMessage.style.display = 'none';
+    if (boardBeforeLoad) {
+        openSession(boardBeforeLoad.layers, boardBeforeLoad.state);
+    } else if (!currentStackup) {
+        stopWatching();
+        loadedLayers = [];
+    }
+}
+
+// `signal` is that of the render the file is for, see stopParsing
+function parseLayerInWorker(layer, signal) {
+    if (parseWorkersUnavailable) return parseStackupLayer(layer);
+    return new Promise((resolve, reject) => {
+        const { filename, gerber, type, side, options } = layer;
+        parseQueue.push({ id: ++parseJobId, layer: { filename, gerber, type, side, options }, signal, resolve, reject });
+        runParseQueue();
+    });
+}
+
+function runParseQueue() {
+    while (parseQueue.length > 0) {
+        if (parseWorkersUnavailable) {
+            parseQueue.splice(0).forEach(job => parseStackupLayer(job.layer).then(job.resolve, job.reject));
+            return;
+        }
+        let entry = parseWorkers.find(w => !w.job);
+        if (!entry && parseWorkers.length < Math.min(navigator.hardwareConcurrency || 2, PARSE_WORKERS_MAX)) {
+            try {
+                entry = createParseWorker();
+            } catch (e) {
+                console.warn('Could not start a parse worker, parsing on the page instead:', e);
+                parseWorkersUnavailable = true;
+                continue;
+            }
+        }
+        if (!entry) return;
+        entry.job = parseQueue.shift();
+        entry.worker.postMessage({ id: entry.job.id, layer: entry.job.layer });
+    }
+}
+
+function createParseWorker() {
+    const entry = { worker: new Worker(PARSE_WORKER_URL), ready: false, job: null };
+    entry.worker.onmessage = ({ data }) => {
+        if (data.ready) {
+            entry.ready = true;
+            return;
+        }
+        const job = entry.job;
+        if (!job || job.id !== data.id) return;
+        entry.job = null;
+        if (data.error) job.reject(new Error(data.error));
+        else job.resolve(data.converter);
+        runParseQueue();
+    };
+    // Before it is ready the worker itself failed to load; after, the file
+    // it was parsing threw
+    entry.worker.onerror = event => {
+        event.preventDefault();
+        const job = entry.job;
+        entry.job = null;
+        if (!entry.ready) {
+            console.warn('The parse worker could not be loaded, parsing on the page instead:', event.message || event);
+            parseWorkersUnavailable = true;
+            entry.worker.terminate();
+            parseWorkers = parseWorkers.filter(w => w !== entry);
+            if (job) parseQueue.unshift(job);
+        } else if (job) {
+            job.reject(new Error(event.message || 'The file could not be parsed.'));
+        }
+        runParseQueue();
+    };
+    parseWorkers.push(entry);
+    return entry;
+}
+
+// Drops the files waiting for a cancelled or replaced render and stops the
+// workers busy with them, leaving those of any other render running
+function stopParsing(signal) {
+    const error = new DOMException('The load was cancelled.', 'AbortError');
+    parseQueue = parseQueue.filter(job => {
+        if (job.signal !== signal) return true;
+        job.reject(error);
+        return false;
+    });
+    parseWorkers = parseWorkers.filter(entry => {
+        if (!entry.job || entry.job.signal !== signal) return true;
+        entry.worker.terminate();
+        entry.job.reject(error);
+        return false;
+    });
+}
+
+// === SESSION & PROJECT FILES ===
+// The board and how it is viewed are kept in IndexedDB and reopened on the
+// next visit. A project file holds the same as a zip of the loaded files plus
+// PROJECT_FILENAME, for handing a review to someone else; it opens like any
+// other file. A previewed panel is saved as the board it repeats.
+
+function getSessionBoard() {
+    if (panelSource) return { layers: panelSource.layers, overrides: panelSource.overrides, hidden: [] };
+    return { layers: loadedLayers, overrides: layerOverrides, hidden: [...hiddenLayers] };
+}
+
+function getSessionState() {
+    const { overrides, hidden } = getSessionBoard();
+    return {
+        overrides,
+        hidden,
+        settings: {
+            appearance: getAppearance(),
+            thickness: pcbThickness,
+            explode: stackExplode,
+            translucent: stackTranslucentInput.checked,
+            section: { enabled: sectionEnableInput.checked, axis: sectionAxisSelect.value, position: sectionPositionInput.value, flipped: sectionFlipped },
+            dpi: { top: dpiTopInput.value, bottom: dpiBottomInput.value },
+            model: { format: modelFormatSelect.value, origin: modelOriginSelect.value },
+            image: { width: imageWidthInput.value, height: imageHeightInput.value, transparent: imageTransparentInput.checked },
+            components: { show: showComponentsInput.checked, origin: placementOriginSelect.value },
+            units: measureUnits,
+            dimensions: showDimensions
+        },
+        layers2D: layer2DSettings,
+        view: { mode: viewMode, mirrored: viewer2DMirrored, viewBox: viewer2DViewBox },
+        camera: {
+            position: camera.position.toArray(),
+            target: controls.target.toArray(),
+            orthographic: Boolean(camera.isOrthographicCamera),
+            zoom: camera.zoom
+        }
+    };
+}
+
+// Opens a board with the state saved along with it
+function openSession(layers, state) {
+    const settings = state.settings || {};
+    stopWatching();
+    if (settings.appearance) {
+        setAppearance(settings.appearance);
+        selectMatchingTheme();
+    }
+    showNewBoard(layers, state.overrides, state.hidden);
+
+    // pcb-stackup renders asynchronously, so the views are built after the
+    // rest is back in place. The saved thickness wins over the job file's.
+    applySessionSettings(settings);
+    layer2DSettings = state.layers2D || {};
+    if (state.view) {
+        viewer2DMirrored = Boolean(state.view.mirrored);
+        mirror2DBtn.classList.toggle('active', viewer2DMirrored);
+        viewer2DViewBox = state.view.viewBox || null;
+        setViewMode(state.view.mode === '2d' ? '2d' : '3d');
+    }
+    if (state.camera) {
+        setCameraPose(state.camera);
+        fitCameraOnRender = false;
+    }
+}
+
+// Only the settings the state has are applied, so anything added later keeps
+// its default when an older session or project is opened
+function applySessionSettings(settings) {
+    const setValue = (input, value) => {
+        if (value !== undefined && value !== null) input.value = value;
+    };
+    const setChecked = (input, value) => {
+        if (value !== undefined) input.checked = Boolean(value);
+    };
+    const { section = {}, dpi = {}, model = {}, image = {}, components = {} } = settings;
+
+    if (settings.thickness > 0) {
+        pcbThickness = settings.thickness;
+        pcbThicknessInput.value = settings.thickness;
+    }
+    if (settings.explode >= 0) {
+        stackExplode = settings.explode;
+        stackExplodeInput.value = settings.explode;
+    }
+    setChecked(stackTranslucentInput, settings.translucent);
+    setChecked(sectionEnableInput, section.enabled);
+    setValue(sectionAxisSelect, section.axis);
+    setValue(sectionPositionInput, section.position);
+    sectionFlipped = Boolean(section.flipped);
+    sectionFlipBtn.classList.toggle('active', sectionFlipped);
+    setValue(dpiTopInput, dpi.top);
+    setValue(dpiBottomInput, dpi.bottom);
+    setValue(modelFormatSelect, model.format);
+    setValue(modelOriginSelect, model.origin);
+    setValue(imageWidthInput, image.width);
+    setValue(imageHeightInput, image.height);
+    setChecked(imageTransparentInput, image.transparent);
+    setChecked(showComponentsInput, components.show);
+    setValue(placementOriginSelect, components.origin);
+    if (settings.units && settings.units !== measureUnits) toggleMeasureUnits();
+    if (settings.dimensions !== undefined && Boolean(settings.dimensions) !== showDimensions) toggleDimensions();
+}
+
+function setCameraPose({ position, target, orthographic, zoom }) {
+    if (Boolean(orthographic) !== Boolean(camera.isOrthographicCamera)) toggleOrthographic();
+    camera.position.fromArray(position);
+    controls.target.fromArray(target);
+    if (camera.isOrthographicCamera && zoom > 0) {
+        camera.zoom = zoom;
+        camera.updateProjectionMatrix();
+    }
+    controls.update();
+}
+
+async function restoreLastSession() {
+    let saved;
+    try {
+        saved = await readSessionEntries(['layers', 'state']);
+    } catch (e) {
+        console.warn('Could not read the last session:', e);
+        return;
+    }
+    // Files opened while the session was being read win
+    if (!saved.layers || saved.layers.length === 0 || loadedLayers.length > 0) return;
+    savedSessionLayers = saved.layers;
+    openSession(saved.layers, saved.state || {});
+}
+
+function scheduleSessionSave() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveSession, SESSION_SAVE_DELAY_MS);
+}
+
+// Writes a waiting save straight away, for a page being closed or sent to
+// the background (where a mobile browser may discard it)
+function flushSessionSave() {
+    if (sessionSaveTimer) saveSession();
+}
+
+async function saveSession() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+    const { layers } = getSessionBoard();
+    if (layers.length === 0) return;
+
+    const entries = { state: getSessionState() };
+    // The files only change with the board, and can run to megabytes
+    if (layers !== savedSessionLayers) {
+        entries.layers = layers.map(({ filename, gerber }) => ({ filename, gerber }));
+    }
+    try {
+        await writeSessionEntries(entries);
+        savedSessionLayers = layers;
+    } catch (e) {
+        console.warn('Could not save the session:', e);
+    }
+}
+
+function getSessionDb() {
+    if (!sessionDb) {
+        sessionDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(SESSION_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(SESSION_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return sessionDb;
+}
+
+async function readSessionEntries(keys) {
+    const db = await getSessionDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SESSION_STORE, 'readonly');
+        const store = transaction.objectStore(SESSION_STORE);
+        const entries = {};
+        keys.forEach(key => {
+            const request = store.get(key);
+            request.onsuccess = () => { entries[key] = request.result; };
+        });
+        transaction.oncomplete = () => resolve(entries);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function writeSessionEntries(entries) {
+    const db = await getSessionDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SESSION_STORE, 'readwrite');
+        const store = transaction.objectStore(SESSION_STORE);
+        Object.entries(entries).forEach(([key, value]) => store.put(value, key));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+async function handleProjectSave() {
+    const { layers } = getSessionBoard();
+    if (layers.length === 0) return;
+    try {
+        const zip = new JSZip();
+        const project = { format: PROJECT_FORMAT, version: PROJECT_VERSION, files: layers.map(layer => layer.filename), ...getSessionState() };
+        zip.file(PROJECT_FILENAME, JSON.stringify(project, null, 2));
+        layers.forEach(layer => zip.file(PROJECT_FILES_FOLDER + layer.filename, layer.gerber));
+        const name = getReportName().replace(/[^\w.-]+/g, '_');
+        downloadBlob(await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }), `${name}-project.zip`);
+    } catch (e) {
+        handleError(e, 'Could not save the project');
+    }
+}
+
+// The layers and state in a project file, or null if `bytes` is not one
+async function readProjectFile(bytes) {
+    if (bytes[0] !== 0x50 || bytes[1] !== 0x4B) return null;
+    const zip = await JSZip.loadAsync(bytes);
+    const entry = zip.file(PROJECT_FILENAME);
+    if (!entry) return null;
+    const project = JSON.parse(await entry.async('string'));
+    if (project.format !== PROJECT_FORMAT) return null;
+    if (project.version > PROJECT_VERSION) {
+        throw new Error('This project was saved by a newer version of the viewer.');
+    }
+
+    const layers = [];
+    for (const filename of project.files || []) {
+        const file = zip.file(PROJECT_FILES_FOLDER + filename);
+        if (!file) throw new Error(`The project file is missing ${filename}.`);
+        layers.push({ filename, gerber: await file.async('string') });
+    }
+    if (layers.length === 0) throw new Error('The project file contains no board files.');
+    return { layers, state: project };
+}
+
+
+// === LAYER MANAGER ===
+
+function updateLayerPanel() {
+    if (loadedLayers.length === 0) {
+        layerListContainer.innerHTML = '<p class="text-muted small mb-0">Load a Gerber archive to see its layers.</p>';
+        return;
+    }
+
+    layerListContainer.innerHTML = '';
+    // List files in physical stack order (top to bottom), unrecognised ones last
+    const sorted = [...loadedLayers].sort((a, b) =>
+        getLayerStackOrder(a.filename) - getLayerStackOrder(b.filename) || a.filename.localeCompare(b.filename)
+    );
+
+    sorted.forEach(layer => {
+        const filename = layer.filename;
+        const override = layerOverrides[filename] || '';
+        const detection = layerDetections[filename];
+        const placements = getPlacementData(layer);
+        const bom = getBomData(layer);
+        const skipped = override === 'ignore' || (!override && isNonGerberFile(filename) && !placements && !bom);
+
+        let detectedLabel;
+        if (getFileBasename(filename).toLowerCase().endsWith('.gbrjob')) {
+            detectedLabel = gerberJob ? 'Job file' : 'Unreadable job file';
+        } else if (placements && !override) {
+            const count = placements.parts.length;
+            detectedLabel = `Pick and place, ${count} part${count === 1 ? '' : 's'}`;
+        } else if (bom && !override) {
+            const count = bom.lines.length;
+            detectedLabel = `BOM, ${count} line${count === 1 ? '' : 's'}`;
+        } else if (skipped) {
+            detectedLabel = 'Not rendered';
+        } else if (detection) {
+            detectedLabel = describeLayerRole(detection.type, detection.side);
+            if (detection.side === 'inner' && detection.copperIndex) detectedLabel += ` L${detection.copperIndex}`;
+            if (DETECTION_SOURCE_LABELS[detection.source]) detectedLabel += `, ${DETECTION_SOURCE_LABELS[detection.source]}`;
+            // Soldermask is negative by definition, anything else is worth flagging
+            if (detection.type !== 'soldermask' && (detection.polarity || '').toLowerCase() === 'negative') detectedLabel += ', negative';
+        } else {
+            detectedLabel = 'Not detected';
+        }
+
+        const row = document.createElement('div');
+        row.className = 'layer-row';
+        row.dataset.filename = filename;
+
+        const header = document.createElement('div');
+        header.className = 'form-check mb-1';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'form-check-input layer-visible';
+        checkbox.id = `layer-visible-${sorted.indexOf(layer)}`;
+        checkbox.checked = !hiddenLayers.has(filename);
+        checkbox.disabled = skipped;
+
+        const label = document.createElement('label');
+        label.className = 'form-check-label layer-name';
+        label.htmlFor = checkbox.id;
+        label.title = filename;
+        label.textContent = getFileBasename(filename);
+
+        header.append(checkbox, label);
+
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm layer-role';
+        select.add(new Option(`Auto (${detectedLabel})`, ''));
+        LAYER_ROLES.forEach(role => select.add(new Option(role.label, role.value)));
+        select.value = override;
+
+        row.append(header, select);
+        layerListContainer.appendChild(row);
+    });
+}
+
+function getLayerStackOrder(filename) {
+    const override = layerOverrides[filename];
+    const detection = layerDetections[filename];
+    if (override === 'ignore' || (!override && isNonGerberFile(filename))) return Infinity;
+
+    const role = override
+        ? getLayerRole(override)
+        : detection && LAYER_ROLES.find(r => r.type === detection.type && r.side === detection.side);
+    if (!role) return LAYER_ROLES.length * 100;
+
+    // Inner layers are ordered by their copper index (L2, L3, ...) where known
+    const copperIndex = (!override && detection && detection.copperIndex) || 0;
+    return LAYER_ROLES.indexOf(role) * 100 + copperIndex;
+}
+
+function handleLayerPanelChange(event) {
+    const row = event.target.closest('.layer-row');
+    if (!row) return;
+    const filename = row.dataset.filename;
+
+    if (event.target.classList.contains('layer-visible')) {
+        if (event.target.checked) {
+            hiddenLayers.delete(filename);
+        } else {
+            hiddenLayers.add(filename);
+        }
+    } else if (event.target.classList.contains('layer-role')) {
+        if (event.target.value) {
+            layerOverrides[filename] = event.target.value;
+        } else {
+            delete layerOverrides[filename];
+        }
+    } else {
+        return;
+    }
+
+    if (loadedLayers.length > 0) {
+        renderAllViews(loadedLayers);
+    }
+    scheduleSessionSave();
+}
+
+// Pre-fills settings the job file declares, such as the board thickness
+function applyJobFileSettings(job) {
+    if (!job) return;
+
+    if (job.thickness && job.thickness > 0) {
+        pcbThickness = job.thickness;
+        pcbThicknessInput.value = job.thickness;
+    }
+}
+
+// Failures are listed in the issues panel rather than alerted, so whatever
+// did load stays usable
+function handleError(error, context = 'Could not process the files') {
+    console.error(`${context}:`, error);
+    addIssues('error', [{ severity: 'error', file: null, message: `${context}: ${error.message || error}`, line: null }]);
+    loadingMessage.style.display = 'none';
+}
+
+// === ISSUES ===
+// Problems with the loaded files and the comparison set, as renderStackup
+// finds them, and failures from handleError. The panel opens by itself when a new error comes in;
+// warnings only show in the toolbar button's count.
+
+// Replaces the issues from `source`
+function setIssues(source, found) {
+    const known = new Set(issues.map(getIssueKey));
+    issues = issues.filter(issue => issue.source !== source).concat(found.map(issue => ({ ...issue, source })));
+    updateIssuesPanel();
+    if (issues.some(issue => issue.severity === 'error' && !known.has(getIssueKey(issue)))) {
+        issuesPanel.classList.remove('d-none');
+    }
+}
+
+function addIssues(source, found) {
+    setIssues(source, [...issues.filter(issue => issue.source === source), ...found]);
+}
+
+function getIssueKey(issue) {
+    return [issue.severity, issue.file, issue.line, issue.message].join('|');
+}
+
+function updateIssuesPanel() {
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    issuesToggleBtn.classList.toggle('d-none', issues.length === 0);
+    issuesCount.textContent = issues.length;
+    issuesCount.className = `badge ${errors > 0 ? 'bg-danger' : 'bg-warning text-dark'}`;
+    if (issues.length === 0) issuesPanel.classList.add('d-none');
+
+    // Errors first, then what concerns the whole board, then by file
+    const sorted = [...issues].sort((a, b) =>
+        (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1) ||
+        (a.file || '').localeCompare(b.file || '') ||
+        (a.line || 0) - (b.line || 0));
+    issuesList.innerHTML = '';
+    sorted.forEach(issue => {
+        const row = document.createElement('div');
+        row.className = 'list-group-item issue-row';
+        row.innerHTML = '<span class="badge"></span><div><div class="issue-file"></div><div class="issue-message"></div></div>';
+        const badge = row.querySelector('.badge');
+        badge.classList.add(...(issue.severity === 'error' ? ['bg-danger'] : ['bg-warning', 'text-dark']));
+        badge.textContent = issue.severity === 'error' ? 'Error' : 'Warning';
+        const where = issue.file
+            ? `${issue.file}${issue.line ? `, line ${issue.line}` : ''}`
+            : 'Board';
+        row.querySelector('.issue-file').textContent = issue.source === 'compare' ? `${where} (comparison)` : where;
+        row.querySelector('.issue-message').textContent = issue.message;
+        issuesList.appendChild(row);
+    });
+}
+
+// === 2D LAYER VIEWER ===
+
+function getLayerRoleKey(layer) {
+    return `${layer.side}:${layer.type}`;
+}
+
+function getDefault2DColor(layer) {
+    if (layer.type === 'copper' && layer.side === 'inner') {
+        const index = Math.max(0, (layer.copperIndex || 2) - 2);
+        return INNER_LAYER_2D_COLORS[index % INNER_LAYER_2D_COLORS.length];
+    }
+    return LAYER_2D_COLORS[getLayerRoleKey(layer)] || LAYER_2D_COLORS.default;
+}
+
+// Per-layer colour/opacity/visibility in the 2D viewer, keyed by source filename
+function getLayer2DSettings(layer) {
+    if (!layer2DSettings[layer.sourceFilename]) {
+        layer2DSettings[layer.sourceFilename] = {
+            color: getDefault2DColor(layer),
+            opacity: 0.8,
+            visible: true
+        };
+    }
+    return layer2DSettings[layer.sourceFilename];
+}
+
+// Physical position from the bottom of the board upwards, used as paint order.
+// Drill, outline and drawings always go on top.
+function get2DPaintOrder(layer, mirrored) {
+    const physical = {
+        'bottom:silkscreen': 0,
+        'bottom:solderpaste': 1,
+        'bottom:soldermask': 2,
+        'bottom:copper': 3,
+        'top:copper': 200,
+        'top:soldermask': 201,
+        'top:solderpaste': 202,
+        'top:silkscreen': 203
+    };
+    const key = getLayerRoleKey(layer);
+    let order;
+    if (key in physical) {
+        order = physical[key];
+    } else if (key === 'inner:copper') {
+        // Higher copper numbers are further down
+        order = 100 - (layer.copperIndex || 0);
+    } else {
+        return 1000 + ['all:drill', 'all:outline'].indexOf(key);
+    }
+    return mirrored ? 300 - order : order;
+}
+
+function getRenderable2DLayers(stackup) {
+    return stackup.layers.filter(l => l.type && l.converter && l.converter.layer && l.converter.layer.length);
+}
+
+// The layers the 2D viewer draws: the board's, and with a revision loaded
+// for comparison the ones only it has, drawn as removed
+function get2DViewerLayers(stackup) {
+    const removed = diffPairs.filter(p => p.before && !p.after).map(p => p.before);
+    return getRenderable2DLayers(stackup).concat(getRenderable2DLayers({ layers: removed }));
+}
+
+function find2DViewerLayer(filename) {
+    return get2DViewerLayers(currentStackup).find(l => l.sourceFilename === filename);
+}
+
+function render2DViewer() {
+    const stackup = currentStackup;
+    if (!stackup || !stackup.top || !stackup.top.viewBox) {
+        viewer2DCanvas.innerHTML = '<p class="text-muted text-center p-4">Load a Gerber archive to inspect its layers.</p>';
+        viewer2DLayerList.innerHTML = '';
+        return;
+    }
+
+    // Use the side's own view so measurements line up with its thumbnail
+    const view = stackup[get2DViewerSide()];
+    const [x, y, width, height] = view.viewBox;
+    const units = view.units;
+    const mirrored = viewer2DMirrored;
+    const layers = get2DViewerLayers(stackup)
+        .sort((a, b) => get2DPaintOrder(a, mirrored) - get2DPaintOrder(b, mirrored));
+
+    // With a revision loaded for comparison, layers that have a counterpart
+    // in it are drawn as a diff instead, and those it alone has as removed
+    const diffViewBox = compareStackup ? getDiffViewBox(get2DViewerSide()) : null;
+    let defs = '';
+    const groups = layers.map((l, index) => {
+        const filename = escapeHtml(l.sourceFilename);
+        const pair = diffPairs.find(p => (p.after === l && p.before) || (p.before === l && !p.after));
+        if (pair) {
+            const diff = renderLayerDiff(pair, diffViewBox, units, `viewer-diff-${index}`);
+            defs += diff.defs;
+            return `<g class="viewer-layer" data-filename="${filename}">${diff.content}</g>`;
+        }
+        defs += l.converter.defs.join('');
+        const layerScale = getLayerUnitScale(l.converter, units);
+        const transform = layerScale !== 1 ? ` transform="scale(${layerScale})"` : '';
+        return `<g class="viewer-layer" data-filename="${filename}"${transform}>${l.converter.layer.join('')}</g>`;
+    }).join('');
+
+    // Same flip as the composite renders; the bottom view is also mirrored in x
+    let transform = `translate(0,${2 * y + height}) scale(1,-1)`;
+    if (mirrored) transform = `translate(${2 * x + width},0) scale(-1,1) ` + transform;
+
+    if (!viewer2DViewBox) fit2DView();
+    const viewBox = viewer2DViewBox.join(' ');
+    viewer2DCanvas.innerHTML = (
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" ` +
+        `stroke-linecap="round" stroke-linejoin="round" stroke-width="0" fill-rule="evenodd" viewBox="${viewBox}">` +
+        `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="none" stroke="#555" stroke-width="${Math.max(width, height) / 1000}" vector-effect="non-scaling-stroke"/>` +
+        `<defs>${defs}</defs><g transform="${transform}">${groups}</g>` +
+        renderPlacementOverlay(view, get2DViewerSide()) + renderDfmOverlay(view, get2DViewerSide()) + `</svg>`
+    ).replace(/="NaN"/g, '="0"');
+
+    update2DLayerStyles();
+    update2DLayerPanel(layers.slice().reverse());
+    update2DMeasureOverlay(viewer2DCanvas, get2DViewerSide());
+}
+
+function update2DLayerStyles() {
+    if (!currentStackup) return;
+    viewer2DCanvas.querySelectorAll('.viewer-layer').forEach(group => {
+        const layer = find2DViewerLayer(group.dataset.filename);
+        if (!layer) return;
+        const settings = getLayer2DSettings(layer);
+        group.setAttribute('fill', settings.color);
+        group.setAttribute('stroke', settings.color);
+        group.setAttribute('opacity', settings.opacity);
+        group.style.display = settings.visible ? '' : 'none';
+    });
+}
+
+// Lists the layers top-most first, as drawn
+function update2DLayerPanel(layers) {
+    viewer2DLayerList.innerHTML = '';
+    layers.forEach((layer, index) => {
+        const settings = getLayer2DSettings(layer);
+        const row = document.createElement('div');
+        row.className = 'viewer-layer-row';
+        row.dataset.filename = layer.sourceFilename;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'form-check-input viewer-layer-visible';
+        checkbox.id = `viewer-layer-${index}`;
+        checkbox.checked = settings.visible;
+
+        const label = document.createElement('label');
+        label.className = 'form-check-label layer-name';
+        label.htmlFor = checkbox.id;
+        label.title = `${layer.sourceFilename} (${describeLayerRole(layer.type, layer.side)})`;
+        label.textContent = describeLayerRole(layer.type, layer.side) +
+            (layer.side === 'inner' && layer.copperIndex ? ` L${layer.copperIndex}` : '') +
+            (currentStackup.layers.includes(layer) ? '' : ' (removed)');
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'form-control form-control-color viewer-layer-color';
+        color.value = settings.color;
+
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.className = 'form-range viewer-layer-opacity';
+        opacity.min = 0;
+        opacity.max = 1;
+        opacity.step = 0.05;
+        opacity.value = settings.opacity;
+
+        row.append(checkbox, label, color, opacity);
+        viewer2DLayerList.appendChild(row);
+    });
+}
+
+function handle2DLayerPanelInput(event) {
+    const row = event.target.closest('.viewer-layer-row');
+    if (!row || !currentStackup) return;
+    const layer = find2DViewerLayer(row.dataset.filename);
+    if (!layer) return;
+    const settings = getLayer2DSettings(layer);
+
+    if (event.target.classList.contains('viewer-layer-visible')) settings.visible = event.target.checked;
+    else if (event.target.classList.contains('viewer-layer-color')) settings.color = event.target.value;
+    else if (event.target.classList.contains('viewer-layer-opacity')) settings.opacity = parseFloat(event.target.value);
+    else return;
+
+    update2DLayerStyles();
+    scheduleSessionSave();
+}
+
+function get2DViewerSide() {
+    return viewer2DMirrored ? 'bottom' : 'top';
+}
+
+function set2DViewBox(viewBox) {
+    viewer2DViewBox = viewBox;
+    const svg = viewer2DCanvas.querySelector('svg');
+    if (svg) svg.setAttribute('viewBox', viewBox.join(' '));
+    scheduleSessionSave();
+}
+
+function fit2DView() {
+    const view = currentStackup && currentStackup[get2DViewerSide()];
+    if (!view || !view.viewBox) return;
+    const [x, y, width, height] = view.viewBox;
+    // A little margin around the board
+    const margin = Math.max(width, height) * 0.03;
+    set2DViewBox([x - margin, y - margin, width + margin * 2, height + margin * 2]);
+}
+
+function get2DPointerPosition(event) {
+    const svg = viewer2DCanvas.querySelector('svg');
+    const ctm = svg && svg.getScreenCTM();
+    if (!ctm) return null;
+    const pt = svg.createSVGPoint();
+    pt.x = event.clientX;
+    pt.y = event.clientY;
+    return { point: pt.matrixTransform(ctm.inverse()), scale: ctm.a };
+}
+
+function handle2DWheel(event) {
+    if (!viewer2DViewBox) return;
+    const pointer = get2DPointerPosition(event);
+    if (!pointer) return;
+    event.preventDefault();
+
+    // Exponential zoom keeps trackpad and wheel steps feeling the same
+    const factor = Math.exp(event.deltaY * 0.0015);
+    const [x, y, width, height] = viewer2DViewBox;
+    const { point } = pointer;
+    set2DViewBox([
+        point.x - (point.x - x) * factor,
+        point.y - (point.y - y) * factor,
+        width * factor,
+        height * factor
+    ]);
+}
+
+function handle2DPointerDown(event) {
+    const pointer = get2DPointerPosition(event);
+    if (!pointer || !viewer2DViewBox) return;
+    viewer2DDrag = { clientX: event.clientX, clientY: event.clientY, viewBox: viewer2DViewBox.slice(), scale: pointer.scale, moved: false };
+    viewer2DCanvas.setPointerCapture(event.pointerId);
+}
+
+function handle2DPointerMove(event) {
+    if (!viewer2DDrag) return;
+    const dx = event.clientX - viewer2DDrag.clientX;
+    const dy = event.clientY - viewer2DDrag.clientY;
+    if (Math.hypot(dx, dy) > 4) viewer2DDrag.moved = true;
+    if (!viewer2DDrag.moved) return;
+
+    const [x, y, width, height] = viewer2DDrag.viewBox;
+    set2DViewBox([x - dx / viewer2DDrag.scale, y - dy / viewer2DDrag.scale, width, height]);
+}
+
+function handle2DPointerUp(event) {
+    if (!viewer2DDrag) return;
+    // A drag that panned the view must not count as a measurement click
+    if (viewer2DDrag.moved) event.stopPropagation();
+    viewer2DLastDragMoved = viewer2DDrag.moved;
+    viewer2DDrag = null;
+}
+
+function setViewMode(mode) {
+    viewMode = mode;
+    viewModeButtons.querySelectorAll('.btn').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+    viewer2DContainer.classList.toggle('d-none', mode !== '2d');
+    renderer.domElement.classList.toggle('d-none', mode !== '3d');
+    mirror2DBtn.disabled = mode !== '2d';
+    fit2DBtn.disabled = mode !== '2d';
+    cameraViewButtons.querySelectorAll('.btn').forEach(btn => { btn.disabled = mode !== '3d'; });
+    updateMeasureReadout(null);
+
+    if (mode === '2d') {
+        render2DViewer();
+    } else {
+        onWindowResize();
+    }
+}
+
+function open2DSide(mirrored) {
+    if (!currentStackup) return;
+    viewer2DMirrored = mirrored;
+    mirror2DBtn.classList.toggle('active', mirrored);
+    setViewMode('2d');
+}
+
+function toggle2DMirror() {
+    viewer2DMirrored = !viewer2DMirrored;
+    mirror2DBtn.classList.toggle('active', viewer2DMirrored);
+    render2DViewer();
+    scheduleSessionSave();
+}
+
+// === REVISION DIFF ===
+// A second set of files (the earlier revision) can be loaded for comparison.
+// Its layers are matched to the current board's by role, and each pair is
+// drawn with added geometry in green, removed in red and unchanged in grey.
+// Both revisions are assumed to share the same origin.
+
+async function handleCompareSelect(event) {
+    const files = Array.from(event.target.files).map(file => ({ path: file.webkitRelativePath || file.name, file }));
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    showLoadingMessage();
+    const layers = [];
+    try {
+        for (const { path, file } of files) {
+            await collectLayerFiles(path, new Uint8Array(await file.arrayBuffer()), layers, 0);
+        }
+    } catch (e) {
+        handleError(e, 'Could not load the comparison files');
+        return;
+    }
+    renderComparison(layers, files.length === 1 ? files[0].path : `${files.length} files`);
+}
+
+// Composites the comparison set, parsing its files like renderAllViews does,
+// then redraws the board against it. Files that can't be read are left out
+// and listed in the issues panel.
+function renderComparison(layers, name) {
+    // Runs alongside any render of the board itself, which it redraws once done
+    abortComparison();
+    const controller = new AbortController();
+    compareController = controller;
+    showLoadingMessage();
+
+    renderStackup(layers, findGerberJob(layers), {
+        exclude: isAssemblyFile,
+        colors: getToolbarColors(),
+        cache: parsedLayers,
+        parseLayer: layer => parseLayerInWorker(layer, controller.signal),
+        signal: controller.signal,
+        onProgress: ({ file, done, total }) => showLoadingMessage(`Parsed ${getFileBasename(file)} (${done} of ${total})`, done / total)
+    })
+        .then(stackup => {
+            compareController = null;
+            setIssues('compare', stackup.issues);
+            if (!stackup.layers.some(l => l.type && l.converter)) {
+                throw new Error("No valid Gerber files were found in the comparison set.");
+            }
+
+            compareStackup = stackup;
+            compareName = name;
+            compareLayers = layers;
+            if (loadedLayers.length > 0) {
+                renderAllViews(loadedLayers);
+            } else {
+                loadingMessage.style.display = 'none';
+                updateDiffSummary();
+            }
+        })
+        .catch(e => {
+            if (e.name === 'AbortError') return;
+            if (compareController === controller) compareController = null;
+            handleError(e, 'Could not load the comparison files');
+        });
+}
+
+function clearCompare() {
+    compareStackup = null;
+    compareName = null;
+    compareLayers = [];
+    setIssues('compare', []);
+    diffPairs = [];
+    diffIn3DInput.checked = false;
+    updateDiffSummary();
+    if (currentStackup) {
+        update3DView(currentStackup);
+        if (viewMode === '2d') render2DViewer();
+    }
+}
+
+// Layers match across revisions by role, inner copper by its layer number and
+// drill files by plating
+function getDiffKey(layer) {
+    let key = getLayerRoleKey(layer);
+    if (layer.type === 'copper' && layer.side === 'inner') key += `:${layer.copperIndex || 0}`;
+    if (layer.type === 'drill') {
+        const plated = layer.plated !== undefined ? layer.plated : !/npth|non.?plated/i.test(layer.sourceFilename);
+        key += plated ? ':pth' : ':npth';
+    }
+    return key;
+}
+
+// Pairs up the layers of the two stackups as [{ key, before, after }], either
+// side being null for a layer only one revision has
+function getDiffPairs(stackup, previous) {
+    const pairs = [];
+    const add = (layer, which) => {
+        if (!layer.type || !layer.converter) return;
+        const key = getDiffKey(layer);
+        // Several files with one role are matched in order
+        const pair = pairs.find(p => p.key === key && !p[which]);
+        if (pair) pair[which] = layer;
+        else pairs.push({ key, before: null, after: null, [which]: layer });
+    };
+    stackup.layers.forEach(l => add(l, 'after'));
+    previous.layers.forEach(l => add(l, 'before'));
+    return pairs.sort((a, b) => get2DPaintOrder(b.after || b.before, false) - get2DPaintOrder(a.after || a.before, false));
+}
+
+// SVG defs and content showing the difference between a pair of layers, in
+// converter coordinates of `units`. `id` keeps the mask ids unique within a
+// document. Edges are not anti-aliased so unchanged geometry cancels exactly.
+function renderLayerDiff(pair, viewBox, units, id, { unchanged = true } = {}) {
+    const [x, y, width, height] = viewBox;
+    const content = layer => {
+        if (!layer) return '';
+        const layerScale = getLayerUnitScale(layer.converter, units);
+        return `<g${layerScale !== 1 ? ` transform="scale(${layerScale})"` : ''}>${layer.converter.layer.join('')}</g>`;
+    };
+    const mask = (maskId, background, shape, fill) =>
+        `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${x}" y="${y}" width="${width}" height="${height}">` +
+        (background ? `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#fff"/>` : '') +
+        `<g fill="${fill}" stroke="${fill}">${shape}</g></mask>`;
+    const painted = (maskId, color, shape) =>
+        `<g mask="url(#${maskId})" fill="${color}" stroke="${color}">${shape}</g>`;
+
+    const before = content(pair.before);
+    const after = content(pair.after);
+    const defs = [pair.before, pair.after].filter(Boolean).map(l => l.converter.defs.join('')).join('') +
+        mask(`${id}-not-before`, true, before, '#000') +
+        mask(`${id}-not-after`, true, after, '#000') +
+        mask(`${id}-before`, false, before, '#fff');
+
+    return {
+        defs,
+        content: `<g shape-rendering="crispEdges">` +
+            (unchanged ? painted(`${id}-before`, DIFF_COLORS.unchanged, after) : '') +
+            painted(`${id}-not-before`, DIFF_COLORS.added, after) +
+            painted(`${id}-not-after`, DIFF_COLORS.removed, before) +
+            `</g>`
+    };
+}
+
+// A standalone SVG of a layer pair's differences, flipped like the
+// pcb-stackup renders (and mirrored for the bottom side)
+function renderLayerDiffSvg(pair, viewBox, units, { mirror = false, unchanged = true } = {}) {
+    const [x, y, width, height] = viewBox;
+    const diff = renderLayerDiff(pair, viewBox, units, 'diff', { unchanged });
+    let transform = `translate(0,${2 * y + height}) scale(1,-1)`;
+    if (mirror) transform = `translate(${2 * x + width},0) scale(-1,1) ` + transform;
+
+    return (
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" ` +
+        `stroke-linecap="round" stroke-linejoin="round" stroke-width="0" fill-rule="evenodd" ` +
+        `width="${width / 1000}${units}" height="${height / 1000}${units}" viewBox="${x} ${y} ${width} ${height}">` +
+        `<defs>${diff.defs}</defs><g transform="${transform}">${diff.content}</g></svg>`
+    ).replace(/="NaN"/g, '="0"');
+}
+
+// Rasterizes a pair's added and removed geometry and returns their areas in mm²
+async function measureLayerDiff(pair, viewBox, units) {
+    const mmPerUnit = (units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const [, , viewBoxWidth, viewBoxHeight] = viewBox;
+    const pxPerMm = Math.min(DIFF_PX_PER_MM, DIFF_MAX_SIZE / (Math.max(viewBoxWidth, viewBoxHeight) * mmPerUnit));
+    const width = Math.max(1, Math.round(viewBoxWidth * mmPerUnit * pxPerMm));
+    const height = Math.max(1, Math.round(viewBoxHeight * mmPerUnit * pxPerMm));
+
+    const svg = setSvgViewport(renderLayerDiffSvg(pair, viewBox, units, { unchanged: false }), viewBox, width, height);
+    const canvas = await rasterizeSvg(svg, width, height);
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+    let added = 0;
+    let removed = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        if (data[i + 1] > data[i]) added++;
+        else removed++;
+    }
+    const mm2PerPixel = (viewBoxWidth * mmPerUnit / width) * (viewBoxHeight * mmPerUnit / height);
+    return { added: added * mm2PerPixel, removed: removed * mm2PerPixel };
+}
+
+// The viewBox covering both revisions of a side, in the current board's units
+function getDiffViewBox(side) {
+    const current = currentStackup[side];
+    const previous = compareStackup[side];
+    if (!previous || !previous.viewBox) return current.viewBox;
+
+    const scale = previous.units === current.units ? 1 : (current.units === 'in' ? 1 / MM_PER_INCH : MM_PER_INCH);
+    const [ax, ay, aw, ah] = current.viewBox;
+    const [bx, by, bw, bh] = previous.viewBox.map(v => v * scale);
+    const x = Math.min(ax, bx);
+    const y = Math.min(ay, by);
+    return [x, y, Math.max(ax + aw, bx + bw) - x, Math.max(ay + ah, by + bh) - y];
+}
+
+async function updateDiffSummary() {
+    const token = ++diffSummaryToken;
+    compareClearBtn.disabled = !compareStackup;
+    diffIn3DInput.disabled = !compareStackup;
+    diffSummary.innerHTML = '';
+    if (!compareStackup) {
+        compareStatus.textContent = '';
+        return;
+    }
+    compareStatus.textContent = `Comparing with ${compareName}`;
+    if (!currentStackup) return;
+
+    const viewBox = getDiffViewBox('top');
+    const units = currentStackup.top.units;
+    for (const pair of diffPairs) {
+        const layer = pair.after || pair.before;
+        const row = document.createElement('button');
+        row.type = 'button';
+        row.className = 'list-group-item list-group-item-action diff-row';
+        row.dataset.index = diffPairs.indexOf(pair);
+        row.innerHTML = `<span class="layer-name"></span><span class="diff-status text-muted">...</span>`;
+        row.querySelector('.layer-name').textContent = describeLayerRole(layer.type, layer.side) +
+            (layer.side === 'inner' && layer.copperIndex ? ` L${layer.copperIndex}` : '');
+        row.title = [pair.before && `Before: ${pair.before.sourceFilename}`, pair.after && `After: ${pair.after.sourceFilename}`].filter(Boolean).join('\n');
+        diffSummary.appendChild(row);
+    }
+
+    // Measure after listing so the panel fills in as results arrive
+    for (const [index, pair] of diffPairs.entries()) {
+        const status = diffSummary.querySelector(`[data-index="${index}"] .diff-status`);
+        if (!pair.before || !pair.after) {
+            setDiffStatus(status, pair.after ? 'Added layer' : 'Removed layer', pair.after ? 'added' : 'removed');
+            continue;
+        }
+        let result;
+        try {
+            result = await measureLayerDiff(pair, viewBox, units);
+        } catch (e) {
+            console.warn(`Failed to compare ${pair.key}:`, e);
+            setDiffStatus(status, 'Not compared', null);
+            continue;
+        }
+        if (token !== diffSummaryToken) return;
+        const changed = result.added >= DIFF_MIN_AREA || result.removed >= DIFF_MIN_AREA;
+        setDiffStatus(status,
+            changed ? `+${formatArea(result.added)} / −${formatArea(result.removed)}` : 'Unchanged',
+            changed ? 'changed' : null);
+    }
+}
+
+function setDiffStatus(element, text, kind) {
+    element.textContent = text;
+    element.classList.toggle('text-muted', !kind);
+    element.classList.toggle('text-success', kind === 'added');
+    element.classList.toggle('text-danger', kind === 'removed' || kind === 'changed');
+}
+
+function formatArea(mm2) {
+    return measureUnits === 'in'
+        ? `${(mm2 / (MM_PER_INCH * MM_PER_INCH)).toFixed(4)} in²`
+        : `${mm2.toFixed(2)} mm²`;
+}
+
+// Shows just the layer of a summary row in the 2D viewer
+function handleDiffSummaryClick(event) {
+    const row = event.target.closest('.diff-row');
+    const pair = row && diffPairs[row.dataset.index];
+    if (!pair) return;
+    const shown = pair.after || pair.before;
+    currentStackup.layers.concat(get2DViewerLayers(currentStackup)).forEach(layer => {
+        if (layer.sourceFilename) getLayer2DSettings(layer).visible = layer === shown;
+    });
+    viewer2DMirrored = shown.side === 'bottom';
+    mirror2DBtn.classList.toggle('active', viewer2DMirrored);
+    setViewMode('2d');
+}
+
+// The diff render used as a 3D layer texture in place of `layer`'s normal
+// render, or null when the 3D view shows the board as usual
+function getDiff3DSource(layer, side) {
+    if (!layer || !diffIn3DInput.checked) return null;
+    const pair = diffPairs.find(p => p.after === layer);
+    if (!pair) return null;
+    const { viewBox, units } = currentStackup[side];
+    return { svg: renderLayerDiffSvg(pair, viewBox, units, { mirror: side === 'bottom' }), viewBox, units };
+}
+
+// === PICK AND PLACE ===
+// Centroid files from the common EDA tools (KiCad .pos/.csv, Altium Pick
+// Place, JLCPCB CPL) are recognised by their header row, with the columns
+// mapped by name through PLACEMENT_COLUMNS.
+
+// Parsed placements per loaded file, null for files that are not centroid data
+function getPlacementData(layer) {
+    if (!placementCache.has(layer)) {
+        placementCache.set(layer, parsePlacementFile(layer.gerber, layer.filename));
+    }
+    return placementCache.get(layer);
+}
+
+// Returns { parts: [{ designator, value, package, x, y, rotation, side }] }
+// with positions in mm, or null when no placement header is found
+function parsePlacementFile(text, sourceFilename) {
+    const lines = text.split(/\r?\n/);
+    let header = null;
+    let headerIndex = -1;
+    for (let i = 0; i < Math.min(lines.length, 40) && !header; i++) {
+        // KiCad puts its header in a comment
+        const line = lines[i].replace(/^#\s*/, '').trim();
+        if (!line) continue;
+        header = getPlacementHeader(line);
+        headerIndex = i;
+    }
+    if (!header) return null;
+
+    // File-wide units, e.g. KiCad's "## Unit = mm" or Altium's "Units used = mil"
+    const unitMatch = text.match(/units?(?: used)?\s*[=:]\s*(mm|mils?|inch|in)\b/i);
+    const fileUnits = unitMatch ? unitMatch[1].toLowerCase() : 'mm';
+
+    const parts = [];
+    for (const line of lines.slice(headerIndex + 1)) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+        const cells = splitPlacementLine(line, header.delimiter);
+        const cell = key => header.columns[key] !== undefined ? (cells[header.columns[key]] || '').trim() : '';
+
+        const x = parsePlacementLength(cell('x'), header.units.x || fileUnits);
+        const y = parsePlacementLength(cell('y'), header.units.y || fileUnits);
+        if (!cell('designator') || isNaN(x) || isNaN(y)) continue;
+
+        parts.push({
+            designator: cell('designator'),
+            value: cell('value'),
+            package: cell('package'),
+            x,
+            y,
+            rotation: parseFloat(cell('rotation')) || 0,
+            side: /^(b|bot|bottom|bottomlayer|back)$/i.test(cell('side').replace(/\W/g, '')) ? 'bottom' : 'top',
+            sourceFilename
+        });
+    }
+    return parts.length > 0 ? { parts } : null;
+}
+
+// Finds the designator, x and y columns (plus any optional ones) in a header line
+function getPlacementHeader(line) {
+    const delimiter = line.includes('\t') ? '\t' : line.includes(',') ? ',' : line.includes(';') ? ';' : null;
+    const names = splitPlacementLine(line, delimiter).map(cell => {
+        const unit = cell.match(/[([]\s*(mm|mils?|inch|in)\s*[)\]]/i);
+        return { name: cell.replace(/[([].*?[)\]]/g, '').replace(/[^a-z0-9]/gi, '').toLowerCase(), unit: unit && unit[1].toLowerCase() };
+    });
+
+    const columns = {};
+    const units = {};
+    Object.entries(PLACEMENT_COLUMNS).forEach(([key, aliases]) => {
+        // Aliases are in order of preference, e.g. Altium's Mid X over Ref X
+        for (const alias of aliases) {
+            const index = names.findIndex(n => n.name === alias);
+            if (index !== -1) {
+                columns[key] = index;
+                units[key] = names[index].unit;
+                break;
+            }
+        }
+    });
+    if (columns.designator === undefined || columns.x === undefined || columns.y === undefined) return null;
+    return { delimiter, columns, units };
+}
+
+// Splits on the delimiter (whitespace when null), honouring double quotes
+function splitPlacementLine(line, delimiter) {
+    if (!delimiter) {
+        return (line.match(/"[^"]*"|\S+/g) || []).map(cell => cell.replace(/^"|"$/g, ''));
+    }
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') quoted = !quoted;
+        else if (char === delimiter && !quoted) {
+            cells.push(current);
+            current = '';
+        } else current += char;
+    }
+    cells.push(current);
+    return cells;
+}
+
+// Lengths may carry their own unit, e.g. JLCPCB's "12.7mm"
+function parsePlacementLength(text, defaultUnits) {
+    const match = text.match(/^(-?[\d.]+)\s*(mm|mils?|inch|in)?$/i);
+    if (!match) return NaN;
+    const units = (match[2] || defaultUnits).toLowerCase();
+    const value = parseFloat(match[1]);
+    if (units.startsWith('mil')) return value * MM_PER_INCH / 1000;
+    if (units.startsWith('in')) return value * MM_PER_INCH;
+    return value;
+}
+
+// Footprint length (along x at 0°), width and height of a package in mm,
+// estimated from its name
+function getPackageSize(name) {
+    const pkg = name || '';
+    // Explicit body size, e.g. QFN-32_5x5mm
+    const explicit = pkg.match(/(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)(?:x(\d+(?:\.\d+)?))?\s*mm/i);
+    if (explicit) {
+        const [, length, width, height] = explicit;
+        return { length: parseFloat(length), width: parseFloat(width), height: parseFloat(height) || 1 };
+    }
+    // KiCad metric chip codes, e.g. R_0603_1608Metric
+    const metric = pkg.match(/(\d{2})(\d{2})Metric/i);
+    if (metric) {
+        const length = parseInt(metric[1], 10) / 10;
+        const width = parseInt(metric[2], 10) / 10;
+        return { length, width, height: Math.min(width, 0.6) };
+    }
+    const imperial = pkg.match(/(?<!\d)(01005|0201|0402|0603|0805|1206|1210|1812|2010|2512)(?!\d)/);
+    if (imperial) {
+        const [length, width] = CHIP_SIZES[imperial[1]];
+        return { length, width, height: Math.min(width, 0.6) };
+    }
+    const known = PACKAGE_SIZES.find(([pattern]) => pattern.test(pkg));
+    if (known) {
+        const [, length, width, height] = known;
+        return { length, width, height };
+    }
+    return { ...DEFAULT_PACKAGE_SIZE };
+}
+
+// Parts from every visible placement file, in board mm relative to the Gerber origin
+function getCurrentPlacements() {
+    const parts = loadedLayers
+        .filter(l => !hiddenLayers.has(l.filename) && layerOverrides[l.filename] !== 'ignore')
+        .flatMap(l => (getPlacementData(l) || { parts: [] }).parts);
+
+    if (placementOriginSelect.value !== 'corner' || !boardFrame) return parts;
+    // Coordinates relative to the lower-left corner of the board outline
+    const originX = boardFrame.tx - boardFrame.width / 2;
+    const originY = boardFrame.ty - boardFrame.depth / 2;
+    return parts.map(p => ({ ...p, x: p.x + originX, y: p.y + originY }));
+}
+
+// Footprint corners and pin 1 marker of a part in board mm. Bottom side
+// footprints are flipped, so their pin 1 is on the other end.
+function getPartOutline(part) {
+    const { length, width } = getPackageSize(part.package);
+    const angle = THREE.MathUtils.degToRad(part.rotation);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const place = (x, y) => ({ x: part.x + x * cos - y * sin, y: part.y + x * sin + y * cos });
+    const flip = part.side === 'bottom' ? -1 : 1;
+
+    return {
+        corners: [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => place(sx * length / 2, sy * width / 2)),
+        pin1: place(flip * -length / 2 * 0.7, width / 2 * 0.6),
+        size: Math.min(length, width)
+    };
+}
+
+// Boxes for the parts in stackGroup space, one group per side so they follow
+// the top and bottom layers when the stack is exploded
+function updateComponentModels() {
+    if (!stackGroup || !boardFrame) return;
+    stackGroup.children.filter(c => c.userData.isComponents).forEach(group => {
+        stackGroup.remove(group);
+        group.traverse(o => o.geometry && o.geometry.dispose());
+    });
+    if (!showComponentsInput.checked) return;
+
+    const parts = getCurrentPlacements();
+    if (parts.length === 0) return;
+
+    const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x2B2B2B, roughness: 0.6, name: 'component-body' });
+    const markerMaterial = new THREE.MeshStandardMaterial({ color: 0xF5F5F5, roughness: 0.6, name: 'pin-1-marker' });
+    const highlightMaterial = new THREE.MeshStandardMaterial({ color: COMPONENT_HIGHLIGHT_COLOR, emissive: COMPONENT_HIGHLIGHT_COLOR, emissiveIntensity: 0.4, name: 'component-body' });
+
+    ['top', 'bottom'].forEach(side => {
+        const surface = boardFrame.surfaces[side];
+        const direction = side === 'top' ? 1 : -1;
+        const group = new THREE.Group();
+        group.userData.isComponents = true;
+        group.userData.baseZ = 0;
+        group.userData.stackOffset = surface.stackOffset;
+
+        parts.filter(p => p.side === side).forEach(part => {
+            const { length, width, height } = getPackageSize(part.package);
+            const partGroup = new THREE.Group();
+            partGroup.userData.designator = part.designator;
+            partGroup.userData.bodyMaterial = bodyMaterial;
+            partGroup.userData.highlightMaterial = highlightMaterial;
+            // Board-local axes are turned 180° from the Gerber axes
+            partGroup.position.set(boardFrame.tx - part.x, boardFrame.ty - part.y, surface.z + direction * height / 2);
+            partGroup.rotation.z = THREE.MathUtils.degToRad(part.rotation);
+
+            partGroup.add(new THREE.Mesh(new THREE.BoxGeometry(length, width, height), bodyMaterial));
+            const markerSize = Math.min(length, width) * 0.25;
+            const marker = new THREE.Mesh(new THREE.BoxGeometry(markerSize, markerSize, 0.02), markerMaterial);
+            // The 180° turn of the axes also applies to the footprint
+            const flip = side === 'bottom' ? -1 : 1;
+            marker.position.set(-flip * -length / 2 * 0.7, -width / 2 * 0.6, direction * (height / 2 + 0.01));
+            partGroup.add(marker);
+            group.add(partGroup);
+        });
+        stackGroup.add(group);
+    });
+    updateComponentHighlight();
+    applyStackExplode();
+}
+
+// Component outlines, pin 1 dots and designators over a 2D render of `side`
+function renderPlacementOverlay(view, side) {
+    if (!showComponentsInput.checked) return '';
+    const parts = getCurrentPlacements().filter(p => p.side === side);
+    const unitsPerMm = 1000 / (view.units === 'in' ? MM_PER_INCH : 1);
+
+    return `<g class="placement-overlay" stroke-width="${0.1 * unitsPerMm}">` +
+        parts.map(part => {
+            const color = selectedDesignators.has(part.designator) ? COMPONENT_HIGHLIGHT_COLOR : PLACEMENT_COLOR;
+            const outline = getPartOutline(part);
+            const points = outline.corners.map(c => boardToSvg(c.x, c.y, view, side)).map(p => `${p.x},${p.y}`).join(' ');
+            const pin1 = boardToSvg(outline.pin1.x, outline.pin1.y, view, side);
+            const center = boardToSvg(part.x, part.y, view, side);
+            const fontSize = Math.max(0.4, Math.min(outline.size * 0.6, 1.5)) * unitsPerMm;
+            const title = `${part.designator} ${part.value} (${part.package}), ${part.rotation}°, ${part.side}`;
+            // The faint fill makes the whole footprint clickable
+            return `<g data-designator="${escapeHtml(part.designator)}" stroke="${color}"><title>${escapeHtml(title)}</title>` +
+                `<polygon points="${points}" fill="${color}" fill-opacity="0.15"/>` +
+                `<circle cx="${pin1.x}" cy="${pin1.y}" r="${outline.size * 0.12 * unitsPerMm}" fill="${color}" stroke="none"/>` +
+                `<text x="${center.x}" y="${center.y}" font-size="${fontSize}" font-family="sans-serif" text-anchor="middle" dominant-baseline="central" fill="#fff" stroke="none">${escapeHtml(part.designator)}</text></g>`;
+        }).join('') +
+        '</g>';
+}
+
+function handleComponentOptionsChange() {
+    updateComponentModels();
+    if (viewMode === '2d') render2DViewer();
+    updateComponentStatus();
+    updateBomTable();
+    scheduleSessionSave();
+}
+
+function updateComponentStatus() {
+    const parts = getCurrentPlacements();
+    const files = new Set(parts.map(p => getFileBasename(p.sourceFilename)));
+    componentStatus.textContent = parts.length > 0
+        ? `${parts.length} part${parts.length === 1 ? '' : 's'} (${parts.filter(p => p.side === 'bottom').length} on the bottom) from ${[...files].join(', ')}`
+        : 'No pick-and-place file loaded.';
+}
+
+// === BILL OF MATERIALS ===
+// A BOM CSV is joined to the pick-and-place data by designator. Without a BOM
+// the table lists the placed parts grouped by value and package instead.
+
+function getBomData(layer) {
+    if (!bomCache.has(layer)) {
+        bomCache.set(layer, getPlacementData(layer) ? null : parseBomFile(layer.gerber, layer.filename));
+    }
+    return bomCache.get(layer);
+}
+
+// Returns { lines: [{ designators, quantity, value, package, fields }] } or
+// null when the file has no designator column. `fields` keeps every column
+// by its header name for display and search.
+function parseBomFile(text, sourceFilename) {
+    const rows = text.split(/\r?\n/);
+    for (let i = 0; i < Math.min(rows.length, 40); i++) {
+        const line = rows[i].trim();
+        if (!line) continue;
+        const delimiter = line.includes('\t') ? '\t' : line.includes(';') && !line.includes(',') ? ';' : ',';
+        const headers = splitPlacementLine(line, delimiter).map(h => h.trim());
+        const names = headers.map(h => h.replace(/[^a-z0-9]/gi, '').toLowerCase());
+        const column = aliases => aliases.map(a => names.indexOf(a)).find(index => index !== -1);
+
+        const designatorColumn = column(BOM_COLUMNS.designators);
+        if (designatorColumn === undefined) continue;
+        const quantityColumn = column(BOM_COLUMNS.quantity);
+        const valueColumn = column(BOM_COLUMNS.value);
+        const packageColumn = column(BOM_COLUMNS.package);
+
+        const lines = rows.slice(i + 1)
+            .filter(row => row.trim())
+            .map(row => splitPlacementLine(row, delimiter))
+            .map(cells => {
+                const designators = expandDesignators(cells[designatorColumn] || '');
+                const fields = {};
+                headers.forEach((header, index) => {
+                    if (header && cells[index] && cells[index].trim()) fields[header] = cells[index].trim();
+                });
+                return {
+                    designators,
+                    quantity: parseInt(cells[quantityColumn], 10) || designators.length,
+                    value: valueColumn !== undefined ? (cells[valueColumn] || '').trim() : '',
+                    package: packageColumn !== undefined ? (cells[packageColumn] || '').trim() : '',
+                    fields,
+                    sourceFilename
+                };
+            })
+            .filter(l => l.designators.length > 0);
+        return lines.length > 0 ? { lines } : null;
+    }
+    return null;
+}
+
+// "R1, R2 R5-R7" -> ["R1", "R2", "R5", "R6", "R7"]
+function expandDesignators(text) {
+    return text.split(/[\s,;]+/).filter(Boolean).flatMap(token => {
+        const range = token.match(/^([A-Za-z_]+)(\d+)-\1?(\d+)$/);
+        if (!range) return [token];
+        const [, prefix, from, to] = range;
+        const start = parseInt(from, 10);
+        const end = parseInt(to, 10);
+        if (end < start || end - start > 1000) return [token];
+        return Array.from({ length: end - start + 1 }, (_, i) => `${prefix}${start + i}`);
+    });
+}
+
+// BOM lines from the loaded BOM files, or grouped placements without one.
+// Each line lists which of its designators are placed on the board.
+function getBomLines() {
+    const files = loadedLayers
+        .filter(l => !hiddenLayers.has(l.filename) && layerOverrides[l.filename] !== 'ignore')
+        .map(getBomData)
+        .filter(Boolean);
+    const placements = getCurrentPlacements();
+    const placed = new Map(placements.map(p => [p.designator, p]));
+
+    let lines;
+    if (files.length > 0) {
+        lines = files.flatMap(f => f.lines);
+    } else {
+        const groups = new Map();
+        placements.forEach(p => {
+            const key = `${p.value}\u0000${p.package}`;
+            if (!groups.has(key)) groups.set(key, { designators: [], value: p.value, package: p.package, fields: {} });
+            groups.get(key).designators.push(p.designator);
+        });
+        lines = [...groups.values()].map(l => ({ ...l, quantity: l.designators.length }));
+    }
+    return lines.map(line => ({ ...line, placed: line.designators.filter(d => placed.has(d)) }));
+}
+
+function updateBomTable() {
+    bomLines = getBomLines();
+    const query = bomSearchInput.value.trim().toLowerCase();
+    bomTableBody.innerHTML = '';
+    bomEmpty.classList.toggle('d-none', bomLines.length > 0);
+
+    bomLines.forEach((line, index) => {
+        const text = [line.designators.join(' '), line.value, line.package, ...Object.values(line.fields)].join(' ').toLowerCase();
+        if (query && !query.split(/\s+/).every(term => text.includes(term))) return;
+
+        const row = document.createElement('tr');
+        row.dataset.index = index;
+        row.className = 'bom-row';
+        row.classList.toggle('table-active', line.designators.some(d => selectedDesignators.has(d)));
+        if (line.placed.length < line.designators.length) {
+            row.title = `Not in the pick-and-place data: ${line.designators.filter(d => !line.placed.includes(d)).join(', ')}`;
+        }
+        [line.quantity, line.designators.join(', '), line.value, line.package].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        bomTableBody.appendChild(row);
+    });
+    updateBomSelectionInfo();
+}
+
+function handleBomTableClick(event) {
+    const row = event.target.closest('.bom-row');
+    if (!row) return;
+    const line = bomLines[row.dataset.index];
+    // Clicking the selected line again clears the selection
+    const selected = line.designators.every(d => selectedDesignators.has(d)) && selectedDesignators.size === line.designators.length;
+    selectParts(selected ? [] : line.designators);
+}
+
+// Selects parts by designator, highlighting them on the board and in the table
+function selectParts(designators, { scrollTable = false } = {}) {
+    selectedDesignators = new Set(designators);
+    updateBomTable();
+    updateComponentHighlight();
+    update2DPlacementOverlay();
+
+    if (scrollTable) {
+        const row = bomTableBody.querySelector('.table-active');
+        if (row) row.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function updateBomSelectionInfo() {
+    if (selectedDesignators.size === 0) {
+        bomSelectionInfo.textContent = '';
+        return;
+    }
+    const designators = [...selectedDesignators];
+    const line = bomLines.find(l => designators.every(d => l.designators.includes(d)));
+    const placement = getCurrentPlacements().find(p => p.designator === designators[0]);
+    const details = [];
+    if (designators.length === 1 && placement) {
+        details.push(`${placement.designator} on the ${placement.side} at ${formatCoordinate(placement.x)}, ${formatCoordinate(placement.y)} ${measureUnits}, ${placement.rotation}°`);
+    }
+    if (line) {
+        details.push([line.value, line.package, ...Object.entries(line.fields)
+            .filter(([, v]) => ![line.value, line.package, String(line.quantity), line.designators.join(', ')].includes(v))
+            .filter(([k]) => !BOM_COLUMNS.designators.includes(k.replace(/[^a-z0-9]/gi, '').toLowerCase()))
+            .map(([k, v]) => `${k}: ${v}`)].filter(Boolean).join(' · '));
+    } else {
+        details.push('Not in the BOM');
+    }
+    bomSelectionInfo.textContent = details.join('\n');
+}
+
+function updateComponentHighlight() {
+    if (!stackGroup) return;
+    stackGroup.children.filter(c => c.userData.isComponents).forEach(group => {
+        group.children.forEach(part => {
+            const { bodyMaterial, highlightMaterial } = part.userData;
+            part.children[0].material = selectedDesignators.has(part.userData.designator) ? highlightMaterial : bodyMaterial;
+        });
+    });
+}
+
+// Swaps the 2D viewer's placement overlay without re-rendering the layers
+function update2DPlacementOverlay() {
+    const svg = viewer2DCanvas.querySelector('svg');
+    if (!svg || !currentStackup) return;
+    const existing = svg.querySelector('.placement-overlay');
+    if (existing) existing.remove();
+    const side = get2DViewerSide();
+    svg.insertAdjacentHTML('beforeend', renderPlacementOverlay(currentStackup[side], side));
+}
+
+// The designator of the component under the pointer in the 3D view
+function getComponentFrom3DEvent(event) {
+    if (!stackGroup) return null;
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    measureRaycaster.setFromCamera(pointer, camera);
+    // Test against the whole board so parts on the far side are not picked
+    const hit = measureRaycaster.intersectObjects(stackGroup.children.filter(c => c.visible), true)[0];
+    return (hit && hit.object.parent.userData.designator) || null;
+}
+
+// === DESIGN FOR MANUFACTURING CHECKS ===
+// Every layer is rasterized onto one grid in board mm and checked there:
+// widths and gaps are found with distance fields, holes by looking at the
+// copper around them. Measurements are only as fine as the grid, about
+// 0.04 mm, which is plenty to catch what a fab would reject. Boards too
+// large for one grid at that resolution are checked in overlapping tiles.
+
+async function runDfmChecks() {
+    if (!currentStackup) return;
+    const token = ++dfmToken;
+    const stackup = currentStackup;
+    dfmRunBtn.disabled = true;
+
+    let result;
+    try {
+        result = await checkDesignRules(stackup, getDfmRules(), async step => {
+            dfmStatus.textContent = `Checking ${step}...`;
+            // Let the status paint between layers
+            await new Promise(resolve => setTimeout(resolve, 0));
+            return token === dfmToken;
+        });
+    } catch (e) {
+        console.error('Design checks failed:', e);
+        result = null;
+        dfmStatus.textContent = 'The checks could not be run on this board.';
+    }
+    if (token !== dfmToken) return;
+    dfmRunBtn.disabled = false;
+    if (!result) return;
+
+    dfmViolations = result.violations;
+    dfmSkipped = result.skipped;
+    dfmSelected = null;
+    const total = dfmViolations.length;
+    const found = total > 0 ? `${total} problem${total === 1 ? '' : 's'} found.` : 'No problems found.';
+    dfmStatus.textContent = dfmSkipped.length > 0
+        ? `${found} ${dfmSkipped.length} check${dfmSkipped.length === 1 ? ' was' : 's were'} skipped, see below.`
+        : found;
+    updateDfmResults();
+    updateDfmOverlays();
+}
+
+function clearDfmResults() {
+    dfmToken++;
+    dfmViolations = [];
+    dfmSkipped = [];
+    dfmSelected = null;
+    dfmRunBtn.disabled = false;
+    dfmStatus.textContent = '';
+    updateDfmResults();
+    updateDfmOverlays();
+}
+
+function getDfmRules() {
+    const rules = {};
+    dfmRuleInputs.forEach(input => {
+        const value = parseFloat(input.value);
+        // An empty or zero rule turns its check off
+        rules[input.dataset.rule] = value > 0 ? value : 0;
+    });
+    return rules;
+}
+
+function handleDfmProfileChange() {
+    const profile = DFM_PROFILES[dfmProfileSelect.value];
+    if (!profile) return;
+    dfmRuleInputs.forEach(input => { input.value = profile[input.dataset.rule]; });
+}
+
+// Returns { violations: [{ check, layer, side, x, y, size, value, limit }],
+// skipped: [check] } with positions and sizes in board mm, or null when
+// `onProgress` reports the run was cancelled. Width checks with a limit finer
+// than the grid can measure are skipped.
+async function checkDesignRules(stackup, rules, onProgress) {
+    const grid = createDfmGrid(stackup.top, DFM_PX_PER_MM);
+    const holes = getDfmHoles(stackup);
+    // Tiles overlap by as far as any check looks around a pixel or hole
+    const holeReach = Math.max(0, ...holes.map(h => Math.max(...h.points.map(p => Math.hypot(p.x - h.x, p.y - h.y))) + h.diameter / 2));
+    const tiles = getDfmTiles(grid, DFM_TILE_OVERLAP + holeReach + 2 * Math.max(0, ...Object.values(rules)));
+
+    const violations = [];
+    const skipped = new Set();
+    for (const [index, tile] of tiles.entries()) {
+        const found = await checkDfmTile(stackup, rules, tile, holes, skipped, step => (
+            onProgress(tiles.length > 1 ? `${step} (part ${index + 1} of ${tiles.length})` : step)
+        ));
+        if (!found) return null;
+        violations.push(...found);
+    }
+    return { violations, skipped: Object.keys(DFM_CHECK_NAMES).filter(check => skipped.has(check)) };
+}
+
+// The checks on one tile of the grid, keeping what lies in its core
+async function checkDfmTile(stackup, rules, grid, allHoles, skipped, onProgress) {
+    const violations = [];
+    const add = (check, layer, side, found) => {
+        found
+            .filter(f => isInDfmCore(grid, f.x, f.y))
+            .forEach(f => violations.push({ check, layer, side, ...f, limit: rules[check] || null }));
+    };
+    const addNarrow = (check, layer, side, inside) => {
+        const found = findNarrowRegions(inside, grid, rules[check]);
+        if (found) add(check, layer, side, found);
+        else skipped.add(check);
+    };
+
+    const holes = allHoles.filter(h => isInDfmCore(grid, h.x, h.y));
+    const rings = new Map();
+    const clearances = new Map();
+
+    // Clearance to the edge is measured to the centre of the outline's stroke
+    let edgeDistance = null;
+    let edgeOffset = 0;
+    const outline = stackup.layers.find(l => l.type === 'outline' && l.converter);
+    if (rules.copperToOutline && outline) {
+        if (!(await onProgress('board outline'))) return null;
+        edgeDistance = getDistanceField(await rasterizeDfmLayers([outline], grid), grid.columns, grid.rows);
+        edgeOffset = getOutlineStrokeWidth(outline) / 2;
+    }
+
+    const outerCopper = {};
+    for (const copper of getDfmCopperLayers(stackup)) {
+        if (!(await onProgress(copper.name))) return null;
+        const mask = await rasterizeDfmLayers([copper.layer], grid);
+        if (copper.side !== 'inner') outerCopper[copper.side] = mask;
+
+        if (rules.traceWidth) addNarrow('traceWidth', copper.name, copper.side, mask);
+        if (rules.spacing) addNarrow('spacing', copper.name, copper.side, invertMask(mask));
+        if (edgeDistance) add('copperToOutline', copper.name, copper.side, findEdgeViolations(mask, edgeDistance, grid, rules.copperToOutline, edgeOffset));
+
+        const layerHoles = holes.filter(h => !h.span || !copper.copperNumber || (h.span[0] <= copper.copperNumber && copper.copperNumber <= h.span[1]));
+        if (rules.annularRing) {
+            layerHoles.filter(h => h.plated && !h.slot).forEach(hole => {
+                const ring = measureAnnularRing(mask, grid, hole, rules.annularRing);
+                if (ring !== null && ring < rules.annularRing) recordHoleResult(rings, hole, ring, copper);
+            });
+        }
+        if (rules.drillToCopper) {
+            const { labels } = labelRegions(mask, grid.columns, grid.rows);
+            layerHoles.forEach(hole => {
+                const clearance = measureDrillClearance(mask, labels, grid, hole, rules.drillToCopper);
+                if (clearance !== null && clearance < rules.drillToCopper) recordHoleResult(clearances, hole, clearance, copper);
+            });
+        }
+    }
+    // Hole results carry their own layers
+    add('annularRing', null, null, getHoleViolations(rings));
+    add('drillToCopper', null, null, getHoleViolations(clearances));
+
+    for (const side of ['top', 'bottom']) {
+        const layersOf = type => stackup.layers.filter(l => l.type === type && l.side === side && l.converter);
+        const soldermask = layersOf('soldermask');
+        if (soldermask.length === 0) continue;
+        const name = `${side} solder mask`;
+        if (!(await onProgress(name))) return null;
+        // Soldermask Gerbers draw the openings
+        const openings = await rasterizeDfmLayers(soldermask, grid);
+        if (rules.maskSliver) addNarrow('maskSliver', name, side, invertMask(openings));
+
+        const silkscreen = layersOf('silkscreen');
+        if (silkscreen.length > 0 && outerCopper[side]) {
+            const silk = await rasterizeDfmLayers(silkscreen, grid);
+            const exposed = outerCopper[side].map((copper, i) => copper & openings[i] & silk[i]);
+            add('silkOnPads', `${side} silkscreen`, side, findSilkOnPads(exposed, grid));
+        }
+    }
+    return violations;
+}
+
+// A grid over the top view with square pixels, extended right and down to
+// whole pixels. `left` and `top` are the board mm of its top-left corner.
+// Without `pxPerMm` it is as fine as DFM_MAX_SIZE pixels across allow.
+function createDfmGrid(view, pxPerMm) {
+    const [x, y, width, height] = view.viewBox;
+    const mmPerUnit = (view.units === 'in' ? MM_PER_INCH : 1) / 1000;
+    if (!pxPerMm) pxPerMm = Math.min(DFM_PX_PER_MM, DFM_MAX_SIZE / (Math.max(width, height) * mmPerUnit));
+    const unitsPerPx = 1 / (pxPerMm * mmPerUnit);
+    const columns = Math.max(1, Math.ceil(width / unitsPerPx));
+    const rows = Math.max(1, Math.ceil(height / unitsPerPx));
+    return {
+        view,
+        columns,
+        rows,
+        mmPerPx: 1 / pxPerMm,
+        unitsPerPx,
+        viewBox: [x, y, columns * unitsPerPx, rows * unitsPerPx],
+        left: x * mmPerUnit,
+        top: (y + height) * mmPerUnit,
+        core: null
+    };
+}
+
+// Splits a grid wider or taller than DFM_MAX_SIZE into tiles that overlap by
+// `margin` mm, so what is measured near a tile's edge sees past it. A tile's
+// `core`, in board mm, is the part of the grid only it reports on.
+function getDfmTiles(grid, margin) {
+    if (grid.columns <= DFM_MAX_SIZE && grid.rows <= DFM_MAX_SIZE) return [grid];
+    const overlap = Math.min(Math.ceil(margin / grid.mmPerPx), DFM_MAX_SIZE / 4);
+    const step = DFM_MAX_SIZE - 2 * overlap;
+    const tiles = [];
+    for (let row = 0; row < grid.rows; row += step) {
+        for (let column = 0; column < grid.columns; column += step) {
+            const left = Math.max(0, column - overlap);
+            const top = Math.max(0, row - overlap);
+            const columns = Math.min(grid.columns, column + step + overlap) - left;
+            const rows = Math.min(grid.rows, row + step + overlap) - top;
+            tiles.push({
+                ...grid,
+                columns,
+                rows,
+                viewBox: [grid.viewBox[0] + left * grid.unitsPerPx, grid.viewBox[1] + top * grid.unitsPerPx, columns * grid.unitsPerPx, rows * grid.unitsPerPx],
+                left: grid.left + left * grid.mmPerPx,
+                top: grid.top - top * grid.mmPerPx,
+                core: {
+                    left: grid.left + column * grid.mmPerPx,
+                    right: grid.left + (column + step) * grid.mmPerPx,
+                    top: grid.top - row * grid.mmPerPx,
+                    bottom: grid.top - (row + step) * grid.mmPerPx
+                }
+            });
+        }
+    }
+    return tiles;
+}
+
+function isInDfmCore(grid, x, y) {
+    const { core } = grid;
+    return !core || (x >= core.left && x < core.right && y <= core.top && y > core.bottom);
+}
+
+function dfmPixelToBoard(grid, index) {
+    const column = index % grid.columns;
+    const row = Math.floor(index / grid.columns);
+    return { x: grid.left + (column + 0.5) * grid.mmPerPx, y: grid.top - (row + 0.5) * grid.mmPerPx };
+}
+
+function boardToDfmPixel(grid, x, y) {
+    return { column: (x - grid.left) / grid.mmPerPx - 0.5, row: (grid.top - y) / grid.mmPerPx - 0.5 };
+}
+
+// 1 where any of the layers has something drawn, else 0
+async function rasterizeDfmLayers(layers, grid) {
+    const { columns, rows } = grid;
+    const mask = new Uint8Array(columns * rows);
+    for (const layer of layers) {
+        const svg = setSvgViewport(renderLayerSvg(layer, grid.view.viewBox, grid.view.units, '#fff'), grid.viewBox, columns, rows);
+        const canvas = await rasterizeSvg(svg, columns, rows);
+        const { data } = canvas.getContext('2d').getImageData(0, 0, columns, rows);
+        for (let i = 0; i < mask.length; i++) {
+            if (data[i * 4 + 3] >= 128) mask[i] = 1;
+        }
+    }
+    return mask;
+}
+
+function invertMask(mask) {
+    return mask.map(v => 1 - v);
+}
+
+// Widest stroke on the outline layer, in mm
+function getOutlineStrokeWidth(layer) {
+    const widths = layer.converter.layer.join('').match(/stroke-width="[\d.]+"/g) || [];
+    const width = Math.max(0, ...widths.map(w => parseFloat(w.slice(14, -1))));
+    return width / 1000 * (layer.converter.units === 'in' ? MM_PER_INCH : 1);
+}
+
+// Squared distance, in pixels, from every pixel to the nearest seed pixel
+// (Felzenszwalb and Huttenlocher's separable transform)
+function getDistanceField(seeds, columns, rows) {
+    const field = new Float32Array(columns * rows);
+    for (let i = 0; i < field.length; i++) field[i] = seeds[i] ? 0 : DFM_FAR;
+
+    const size = Math.max(columns, rows);
+    const f = new Float64Array(size);
+    const d = new Float64Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+    const transformLines = (count, length, lineStep, step) => {
+        for (let line = 0; line < count; line++) {
+            const start = line * lineStep;
+            for (let k = 0; k < length; k++) f[k] = field[start + k * step];
+            distanceTransform1D(f, length, d, v, z);
+            for (let k = 0; k < length; k++) field[start + k * step] = d[k];
+        }
+    };
+    transformLines(rows, columns, columns, 1);
+    transformLines(columns, rows, 1, columns);
+    return field;
+}
+
+function distanceTransform1D(f, n, d, v, z) {
+    const intersect = (q, p) => ((f[q] + q * q) - (f[p] + p * p)) / (2 * q - 2 * p);
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+    for (let q = 1; q < n; q++) {
+        let s = intersect(q, v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = intersect(q, v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+}
+
+// Labels the 8-connected regions of a mask. Region `n` has label n + 1.
+function labelRegions(mask, columns, rows) {
+    const labels = new Int32Array(columns * rows);
+    const stack = [];
+    const regions = [];
+    for (let start = 0; start < labels.length; start++) {
+        if (!mask[start] || labels[start]) continue;
+        const label = regions.length + 1;
+        const region = { count: 0, left: columns, right: 0, top: rows, bottom: 0 };
+        regions.push(region);
+        labels[start] = label;
+        stack.push(start);
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const column = index % columns;
+            const row = (index - column) / columns;
+            region.count++;
+            region.left = Math.min(region.left, column);
+            region.right = Math.max(region.right, column);
+            region.top = Math.min(region.top, row);
+            region.bottom = Math.max(region.bottom, row);
+            for (let dy = -1; dy <= 1; dy++) {
+                const y = row + dy;
+                if (y < 0 || y >= rows) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const x = column + dx;
+                    if (x < 0 || x >= columns) continue;
+                    const neighbour = y * columns + x;
+                    if (mask[neighbour] && !labels[neighbour]) {
+                        labels[neighbour] = label;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+        }
+    }
+    return { labels, regions };
+}
+
+function getRegionSize(grid, region) {
+    return Math.max(region.right - region.left + 1, region.bottom - region.top + 1) * grid.mmPerPx;
+}
+
+// Parts of a mask narrower than `minWidth` mm: whatever a disc of that
+// diameter cannot reach while staying inside. Tiny leftovers are square
+// corners the disc cannot fill, not narrow features. Null when `minWidth`
+// is under two pixels, too fine for the grid to measure.
+function findNarrowRegions(inside, grid, minWidth) {
+    const { columns, rows, mmPerPx } = grid;
+    const radius = minWidth / 2 / mmPerPx;
+    if (radius < 1) return null;
+    // Depths are measured to the centres of outside pixels, half a pixel
+    // beyond the edge
+    const coreSq = (radius + 0.5) * (radius + 0.5);
+
+    const depth = getDistanceField(invertMask(inside), columns, rows);
+    const core = new Uint8Array(depth.length);
+    for (let i = 0; i < depth.length; i++) core[i] = depth[i] >= coreSq ? 1 : 0;
+    const reach = getDistanceField(core, columns, rows);
+    const narrow = new Uint8Array(depth.length);
+    for (let i = 0; i < depth.length; i++) narrow[i] = inside[i] && reach[i] >= coreSq ? 1 : 0;
+
+    const { labels, regions } = labelRegions(narrow, columns, rows);
+    // The width at the narrowest point is twice the depth of the medial axis
+    // there: pixels deeper than their neighbours across one axis, and not
+    // on a slope along the other (which is the axis running out to a tip).
+    // Features an even number of pixels wide have a ridge two pixels wide.
+    const isRidge = (i, a, b) => depth[i] >= depth[a] && depth[i] >= depth[b] && (depth[i] > depth[a] || depth[i] > depth[b]);
+    const isSlope = (i, a, b) => Math.min(depth[a], depth[b]) < depth[i] && depth[i] < Math.max(depth[a], depth[b]);
+    const widthAcross = (i, a, b) => 2 * Math.sqrt(depth[i]) - (depth[a] === depth[i] || depth[b] === depth[i] ? 0 : 1);
+    for (let i = 0; i < labels.length; i++) {
+        if (!labels[i]) continue;
+        const column = i % columns;
+        const row = (i - column) / columns;
+        if (column === 0 || row === 0 || column === columns - 1 || row === rows - 1) continue;
+        const left = i - 1;
+        const right = i + 1;
+        const up = i - columns;
+        const down = i + columns;
+        let width = Infinity;
+        if (isRidge(i, left, right) && !isSlope(i, up, down)) width = widthAcross(i, left, right);
+        if (isRidge(i, up, down) && !isSlope(i, left, right)) width = Math.min(width, widthAcross(i, up, down));
+        const region = regions[labels[i] - 1];
+        if (region.width === undefined || width < region.width) {
+            region.width = width;
+            region.at = i;
+        }
+    }
+
+    return regions
+        .filter(region => region.width !== Infinity && region.count >= 2 * radius * radius)
+        .map(region => ({
+            ...dfmPixelToBoard(grid, region.at),
+            size: getRegionSize(grid, region),
+            value: region.width * mmPerPx
+        }))
+        .filter(found => found.value < minWidth);
+}
+
+// Copper closer than `minClearance` mm to the board edge. `edgeOffset` is
+// the distance from the edge of the outline stroke to its centre.
+function findEdgeViolations(copper, edgeDistance, grid, minClearance, edgeOffset) {
+    const { columns, rows, mmPerPx } = grid;
+    const clearanceAt = i => Math.max(0, (Math.sqrt(edgeDistance[i]) - 0.5) * mmPerPx + edgeOffset);
+    const close = new Uint8Array(copper.length);
+    for (let i = 0; i < copper.length; i++) close[i] = copper[i] && clearanceAt(i) < minClearance ? 1 : 0;
+
+    const { labels, regions } = labelRegions(close, columns, rows);
+    for (let i = 0; i < labels.length; i++) {
+        const region = labels[i] && regions[labels[i] - 1];
+        if (region && (region.distance === undefined || edgeDistance[i] < region.distance)) {
+            region.distance = edgeDistance[i];
+            region.at = i;
+        }
+    }
+    return regions.map(region => ({
+        ...dfmPixelToBoard(grid, region.at),
+        size: getRegionSize(grid, region),
+        value: clearanceAt(region.at)
+    }));
+}
+
+function findSilkOnPads(overlap, grid) {
+    const { regions } = labelRegions(overlap, grid.columns, grid.rows);
+    const mm2PerPixel = grid.mmPerPx * grid.mmPerPx;
+    return regions
+        .filter(region => region.count * mm2PerPixel >= DFM_MIN_OVERLAP)
+        .map(region => ({
+            x: grid.left + (region.left + region.right + 1) / 2 * grid.mmPerPx,
+            y: grid.top - (region.top + region.bottom + 1) / 2 * grid.mmPerPx,
+            size: getRegionSize(grid, region),
+            value: region.count * mm2PerPixel,
+            area: true
+        }));
+}
+
+// Drilled holes and routed slots, slots sampled into a chain of circles
+function getDfmHoles(stackup) {
+    return getBoardDrills(stackup).flatMap(drill => [
+        ...drill.holes
+            .filter(h => h.diameter > 0)
+            .map(h => ({ x: h.x, y: h.y, diameter: h.diameter, plated: h.plated, span: drill.span, points: [h] })),
+        ...drill.routes
+            .filter(r => r.diameter > 0)
+            .map(r => {
+                const step = r.diameter / 4;
+                const points = [r.points[0]];
+                for (let i = 1; i < r.points.length; i++) {
+                    const a = r.points[i - 1];
+                    const b = r.points[i];
+                    const count = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / step));
+                    for (let k = 1; k <= count; k++) {
+                        points.push({ x: a.x + (b.x - a.x) * k / count, y: a.y + (b.y - a.y) * k / count });
+                    }
+                }
+                return { x: r.points[0].x, y: r.points[0].y, diameter: r.diameter, plated: r.plated, span: drill.span, points, slot: true };
+            })
+    ]);
+}
+
+function getDfmCopperLayers(stackup) {
+    const levels = getCopperLevels(stackup, 1, gerberJob);
+    return stackup.layers
+        .filter(l => l.type === 'copper' && l.converter)
+        .map(layer => {
+            let level = levels.find(v => v.layer === layer);
+            if (layer.side === 'top') level = levels[0];
+            if (layer.side === 'bottom') level = levels[levels.length - 1];
+            return {
+                layer,
+                side: layer.side,
+                copperNumber: level ? level.copperNumber : null,
+                name: describeLayerRole(layer.type, layer.side) + (layer.side === 'inner' && layer.copperIndex ? ` L${layer.copperIndex}` : '')
+            };
+        });
+}
+
+// Copper from the hole's edge outwards, in mm, as the shortest of a number
+// of rays. Null when the layer has no pad at the hole.
+function measureAnnularRing(mask, grid, hole, minRing) {
+    const { columns, rows, mmPerPx } = grid;
+    const center = boardToDfmPixel(grid, hole.x, hole.y);
+    const copperAt = (column, row) => {
+        const x = Math.round(column);
+        const y = Math.round(row);
+        return x >= 0 && y >= 0 && x < columns && y < rows && mask[y * columns + x] === 1;
+    };
+    if (!copperAt(center.column, center.row)) return null;
+
+    const radius = hole.diameter / 2 / mmPerPx;
+    const limit = radius + minRing / mmPerPx + 2;
+    let exit = limit;
+    for (let ray = 0; ray < DFM_RING_RAYS; ray++) {
+        const angle = (ray / DFM_RING_RAYS) * Math.PI * 2;
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        for (let t = 0; t < exit; t += 0.5) {
+            if (!copperAt(center.column + dx * t, center.row + dy * t)) {
+                exit = t;
+                break;
+            }
+        }
+    }
+    return (exit - 0.5) * mmPerPx - hole.diameter / 2;
+}
+
+// Gap in mm from the hole's edge to copper, other than the pad of a plated
+// hole and what connects to it. Null when there is none within reach.
+function measureDrillClearance(mask, labels, grid, hole, minClearance) {
+    const { columns, rows, mmPerPx } = grid;
+    const radius = hole.diameter / 2 / mmPerPx;
+    const reach = radius + minClearance / mmPerPx + 1;
+    const centers = hole.points.map(p => boardToDfmPixel(grid, p.x, p.y));
+    // Copper connected to a plated hole is its own pad
+    const own = new Set(!hole.plated ? [] : centers.map(c => {
+        const x = Math.round(c.column);
+        const y = Math.round(c.row);
+        return x >= 0 && y >= 0 && x < columns && y < rows ? labels[y * columns + x] : 0;
+    }).filter(Boolean));
+
+    let nearest = Infinity;
+    centers.forEach(c => {
+        const top = Math.max(0, Math.floor(c.row - reach));
+        const bottom = Math.min(rows - 1, Math.ceil(c.row + reach));
+        const left = Math.max(0, Math.floor(c.column - reach));
+        const right = Math.min(columns - 1, Math.ceil(c.column + reach));
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                const index = y * columns + x;
+                if (!mask[index] || own.has(labels[index])) continue;
+                nearest = Math.min(nearest, Math.hypot(x - c.column, y - c.row));
+            }
+        }
+    });
+    return nearest === Infinity ? null : Math.max(0, (nearest - 0.5) * mmPerPx - hole.diameter / 2);
+}
+
+// Keeps the worst result per hole over the copper layers it goes through
+function recordHoleResult(results, hole, value, copper) {
+    const result = results.get(hole);
+    if (!result) {
+        results.set(hole, { hole, value, layers: [copper] });
+        return;
+    }
+    result.value = Math.min(result.value, value);
+    result.layers.push(copper);
+}
+
+function getHoleViolations(results) {
+    return [...results.values()].map(({ hole, value, layers }) => {
+        const sides = new Set(layers.map(l => l.side));
+        return {
+            layer: layers.map(l => l.name).join(', '),
+            side: sides.size === 1 ? [...sides][0] : 'all',
+            x: hole.x,
+            y: hole.y,
+            size: hole.diameter * 2,
+            value
+        };
+    });
+}
+
+function updateDfmResults() {
+    dfmResults.innerHTML = '';
+    const counts = {};
+    dfmViolations.forEach(v => { counts[v.check] = (counts[v.check] || 0) + 1; });
+
+    Object.keys(DFM_CHECK_NAMES).filter(check => counts[check]).forEach(check => {
+        const header = document.createElement('div');
+        header.className = 'list-group-item dfm-header';
+        header.textContent = `${DFM_CHECK_NAMES[check]} (${counts[check]})`;
+        dfmResults.appendChild(header);
+
+        const found = dfmViolations.filter(v => v.check === check);
+        found.slice(0, DFM_MAX_LISTED).forEach(v => {
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'list-group-item list-group-item-action dfm-row';
+            row.classList.toggle('active', dfmViolations.indexOf(v) === dfmSelected);
+            row.dataset.index = dfmViolations.indexOf(v);
+            row.innerHTML = '<span class="layer-name"></span><span class="dfm-value"></span>';
+            row.querySelector('.layer-name').textContent = v.layer;
+            row.querySelector('.dfm-value').textContent = v.area
+                ? formatArea(v.value)
+                : `${formatLength(v.value)} < ${formatLength(v.limit)}`;
+            row.title = `${v.layer} at ${formatCoordinate(v.x)}, ${formatCoordinate(v.y)} ${measureUnits}`;
+            dfmResults.appendChild(row);
+        });
+        if (found.length > DFM_MAX_LISTED) {
+            const more = document.createElement('div');
+            more.className = 'list-group-item text-muted small';
+            more.textContent = `and ${found.length - DFM_MAX_LISTED} more`;
+            dfmResults.appendChild(more);
+        }
+    });
+
+    dfmSkipped.forEach(check => {
+        const header = document.createElement('div');
+        header.className = 'list-group-item dfm-header';
+        header.textContent = `${DFM_CHECK_NAMES[check]} (not checked)`;
+        const note = document.createElement('div');
+        note.className = 'list-group-item text-muted small';
+        note.textContent = `Limits under ${formatLength(2 / DFM_PX_PER_MM)} are finer than the checks can measure.`;
+        dfmResults.append(header, note);
+    });
+}
+
+function handleDfmResultsClick(event) {
+    const row = event.target.closest('.dfm-row');
+    if (!row) return;
+    dfmSelected = parseInt(row.dataset.index, 10);
+    dfmResults.querySelectorAll('.dfm-row').forEach(r => r.classList.toggle('active', r === row));
+    focusDfmViolation(dfmViolations[dfmSelected]);
+}
+
+// Zooms the current view to a violation, turning the 2D view over if the
+// problem is on the other side
+function focusDfmViolation(violation) {
+    if (viewMode === '2d') {
+        const side = violation.side === 'top' || violation.side === 'bottom' ? violation.side : get2DViewerSide();
+        if (side !== get2DViewerSide()) {
+            viewer2DMirrored = side === 'bottom';
+            mirror2DBtn.classList.toggle('active', viewer2DMirrored);
+            render2DViewer();
+        }
+        const view = currentStackup[side];
+        const factor = (view.units === 'in' ? MM_PER_INCH : 1) / 1000;
+        const center = boardToSvg(violation.x, violation.y, view, side);
+        const size = Math.max(violation.size * 2, DFM_MIN_ZOOM) / factor;
+        set2DViewBox([center.x - size / 2, center.y - size / 2, size, size]);
+        update2DDfmOverlay();
+        return;
+    }
+
+    update3DDfmOverlay();
+    if (!stackGroup || !boardFrame) return;
+    const target = boardToWorld(violation.x, violation.y, getDfmViolationZ(violation));
+    const distance = Math.max(violation.size * 10, DFM_MIN_ZOOM * 3, controls.minDistance);
+    // Keep the viewing direction, flipped over for the bottom side
+    const direction = camera.position.clone().sub(controls.target).normalize();
+    if ((violation.side === 'bottom') !== (direction.y < 0)) direction.y = -direction.y;
+    placeCamera(target, direction, distance);
+}
+
+function getDfmViolationZ(violation) {
+    const surface = boardFrame.surfaces && boardFrame.surfaces[violation.side];
+    return surface ? surface.z : 0;
+}
+
+function updateDfmOverlays() {
+    update2DDfmOverlay();
+    update3DDfmOverlay();
+}
+
+// Rings around the problems on this side of the 2D viewer
+function renderDfmOverlay(view, side) {
+    const found = dfmViolations.filter(v => v.side === side || v.side === 'inner' || v.side === 'all');
+    if (found.length === 0) return '';
+    const factor = (view.units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const minRadius = Math.max(view.viewBox[2], view.viewBox[3]) / 200;
+    return `<g class="dfm-overlay" fill="none" stroke="${DFM_COLOR}" pointer-events="none">` +
+        found.map(v => {
+            const center = boardToSvg(v.x, v.y, view, side);
+            const selected = dfmViolations.indexOf(v) === dfmSelected;
+            return `<circle cx="${center.x}" cy="${center.y}" r="${Math.max(v.size / factor, minRadius)}" ` +
+                `stroke-width="${minRadius * (selected ? 0.6 : 0.25)}"${selected ? ` fill="${DFM_COLOR}" fill-opacity="0.2"` : ''}/>`;
+        }).join('') + `</g>`;
+}
+
+function update2DDfmOverlay() {
+    const svg = viewer2DCanvas.querySelector('svg');
+    if (!svg || !currentStackup) return;
+    const existing = svg.querySelector('.dfm-overlay');
+    if (existing) existing.remove();
+    const side = get2DViewerSide();
+    svg.insertAdjacentHTML('beforeend', renderDfmOverlay(currentStackup[side], side));
+}
+
+// A marker on the selected problem in the 3D view
+function update3DDfmOverlay() {
+    dfmGroup.clear();
+    const violation = dfmViolations[dfmSelected];
+    if (!violation || !stackGroup || !boardFrame) return;
+    const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(Math.max(violation.size / 2, DFM_MIN_ZOOM / 10), 16, 8),
+        new THREE.MeshBasicMaterial({ color: DFM_COLOR, transparent: true, opacity: 0.5, depthTest: false })
+    );
+    marker.position.copy(boardToWorld(violation.x, violation.y, getDfmViolationZ(violation)));
+    marker.renderOrder = 998;
+    dfmGroup.add(marker);
+}
+
+// === BOARD STATISTICS ===
+// The numbers fab quote and order forms ask for. Most come straight from the
+// stackup; copper coverage and the smallest gap between copper are measured
+// on the same raster grid as the design checks, so they fill in afterwards.
+
+function getBoardStatistics(stackup) {
+    const [, , viewBoxWidth, viewBoxHeight] = stackup.top.viewBox;
+    const mmPerUnit = (stackup.top.units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const copperLayers = getDfmCopperLayers(stackup);
+    const drills = getBoardDrills(stackup);
+
+    return {
+        board: {
+            width: boardFrame ? boardFrame.width : viewBoxWidth * mmPerUnit,
+            height: boardFrame ? boardFrame.depth : viewBoxHeight * mmPerUnit,
+            area: boardFrame ? boardFrame.area : null,
+            thickness: pcbThickness,
+            copperLayers: Math.max(copperLayers.length, (gerberJob && gerberJob.copperLayerCount) || 0)
+        },
+        layers: stackup.layers.filter(l => l.type).map(l => ({
+            filename: l.sourceFilename,
+            type: l.type,
+            side: l.side,
+            description: describeLayerRole(l.type, l.side) + (l.side === 'inner' && l.copperIndex ? ` L${l.copperIndex}` : ''),
+            detectedFrom: l.detectionSource || null
+        })),
+        drills: getDrillTable(drills),
+        smallest: {
+            traceWidth: getMinTraceWidth(copperLayers.map(c => c.layer)),
+            hole: minOrNull(drills.flatMap(d => d.holes.map(h => h.diameter))),
+            slot: minOrNull(drills.flatMap(d => d.routes.map(r => r.diameter))),
+            spacing: null
+        },
+        copper: copperLayers.map(c => ({ layer: c.name, filename: c.layer.sourceFilename, area: null, coverage: null }))
+    };
+}
+
+function minOrNull(values) {
+    const positive = values.filter(v => v > 0);
+    return positive.length > 0 ? Math.min(...positive) : null;
+}
+
+// Holes and slots per tool diameter and plating, smallest first
+function getDrillTable(drills) {
+    const tools = new Map();
+    const toolFor = (diameter, plated) => {
+        const key = `${diameter.toFixed(3)}:${plated}`;
+        if (!tools.has(key)) tools.set(key, { diameter, plated, holes: 0, slots: 0 });
+        return tools.get(key);
+    };
+    drills.forEach(drill => {
+        drill.holes.forEach(h => { toolFor(h.diameter, h.plated).holes++; });
+        drill.routes.forEach(r => { toolFor(r.diameter, r.plated).slots++; });
+    });
+    const rows = [...tools.values()].sort((a, b) => a.diameter - b.diameter || Number(b.plated) - Number(a.plated));
+    const count = plated => rows.filter(t => t.plated === plated).reduce((sum, t) => sum + t.holes + t.slots, 0);
+    return { tools: rows, plated: count(true), nonPlated: count(false) };
+}
+
+// The narrowest aperture any copper layer draws a track with, in mm
+function getMinTraceWidth(layers) {
+    const widths = layers.flatMap(layer => {
+        const { apertures, draws } = parseGerberGeometry(layer.gerber);
+        return draws.map(name => apertures[name]).filter(Boolean).map(aperture => {
+            const [first, second] = aperture.params;
+            return aperture.shape === 'C' || second === undefined ? first : Math.min(first, second);
+        });
+    });
+    return minOrNull(widths);
+}
+
+// Fills in the copper coverage and smallest spacing, per copper layer, as
+// each layer is measured
+async function updateBoardInfo() {
+    const token = ++boardInfoToken;
+    downloadReportJsonBtn.disabled = !currentStackup;
+    downloadReportHtmlBtn.disabled = !currentStackup;
+    if (!currentStackup || !currentStackup.top || !currentStackup.top.viewBox) {
+        boardStatistics = null;
+        boardInfo.innerHTML = '<p class="text-muted small mb-0">Load a board to see its statistics.</p>';
+        return;
+    }
+
+    const stackup = currentStackup;
+    const stats = getBoardStatistics(stackup);
+    boardStatistics = stats;
+    renderBoardInfo(stats, true);
+
+    const grid = createDfmGrid(stackup.top);
+    const copperLayers = getDfmCopperLayers(stackup);
+    for (const [index, copper] of copperLayers.entries()) {
+        let measured;
+        try {
+            measured = await measureCopperLayer(copper.layer, grid);
+        } catch (e) {
+            console.warn(`Could not measure ${copper.name}:`, e);
+            continue;
+        }
+        if (token !== boardInfoToken) return;
+        const row = stats.copper[index];
+        row.area = measured.area;
+        row.coverage = stats.board.area ? Math.min(100, measured.area / stats.board.area * 100) : null;
+        if (measured.minSpacing !== null) {
+            stats.smallest.spacing = Math.min(stats.smallest.spacing === null ? Infinity : stats.smallest.spacing, measured.minSpacing);
+        }
+        renderBoardInfo(stats, true);
+    }
+    renderBoardInfo(stats, false);
+}
+
+// Copper area in mm², and the smallest gap between copper up to
+// STATS_MAX_SPACING (null when every gap is wider)
+async function measureCopperLayer(layer, grid) {
+    const mask = await rasterizeDfmLayers([layer], grid);
+    let count = 0;
+    for (let i = 0; i < mask.length; i++) count += mask[i];
+    const gaps = findNarrowRegions(invertMask(mask), grid, STATS_MAX_SPACING);
+    return {
+        area: count * grid.mmPerPx * grid.mmPerPx,
+        minSpacing: gaps ? minOrNull(gaps.map(g => g.value)) : null
+    };
+}
+
+function renderBoardInfo(stats, measuring) {
+    boardInfo.innerHTML = getBoardInfoTables(stats, formatLength, formatArea, measuring);
+}
+
+// HTML tables of the statistics, shared by the panel and the report
+function getBoardInfoTables(stats, length, area, measuring = false) {
+    const value = (v, format) => (v === null || v === undefined ? '–' : format(v));
+    const row = cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`;
+    const table = (head, rows) => `<table class="table table-sm mb-2"><thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead>` +
+        `<tbody>${rows.join('')}</tbody></table>`;
+    const { board, smallest, drills } = stats;
+
+    return table(['Board', ''], [
+        row(['Size', `${value(board.width, length)} × ${value(board.height, length)}`]),
+        row(['Area', value(board.area, area)]),
+        row(['Thickness', value(board.thickness, length)]),
+        row(['Copper layers', board.copperLayers]),
+        row(['Holes', `${drills.plated} plated, ${drills.nonPlated} non-plated`]),
+        row(['Smallest trace', value(smallest.traceWidth, length)]),
+        row(['Smallest gap', smallest.spacing !== null ? length(smallest.spacing)
+            : measuring ? 'Measuring...' : `over ${length(STATS_MAX_SPACING)}`]),
+        row(['Smallest hole', value(smallest.hole, length)]),
+        row(['Smallest slot', value(smallest.slot, length)])
+    ]) +
+    table(['Drill', 'Plating', 'Holes', 'Slots'], drills.tools.map(t => row([
+        length(t.diameter), t.plated ? 'PTH' : 'NPTH', t.holes, t.slots
+    ]))) +
+    table(['Copper', 'Coverage'], stats.copper.map(c => row([
+        escapeHtml(c.layer), c.coverage !== null ? `${c.coverage.toFixed(1)}%` : (measuring && c.area === null ? '...' : '–')
+    ]))) +
+    table(['Layer', 'File'], stats.layers.map(l => row([
+        escapeHtml(l.description), escapeHtml(l.filename)
+    ])));
+}
+
+function handleReportDownload(format) {
+    if (!boardStatistics) return;
+    const name = getReportName();
+    const filename = `${name.replace(/[^\w.-]+/g, '_')}-report.${format}`;
+    if (format === 'json') {
+        const json = JSON.stringify({ name, units: 'mm', generated: new Date().toISOString(), ...boardStatistics }, null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+    } else {
+        downloadBlob(new Blob([getReportHtml(boardStatistics, name)], { type: 'text/html' }), filename);
+    }
+}
+
+function getReportName() {
+    if (gerberJob && gerberJob.project) return gerberJob.project;
+    // Files exported together usually share the project name as a prefix
+    const names = loadedLayers.map(l => getFileBasename(l.filename));
+    let prefix = names[0] || '';
+    names.forEach(name => {
+        while (!name.startsWith(prefix)) prefix = prefix.slice(0, -1);
+    });
+    return prefix.replace(/[-_.\s]+$/, '') || 'board';
+}
+
+// A standalone page with both sides of the board and the statistics in mm,
+// laid out to print on one page
+function getReportHtml(stats, name) {
+    const mm = v => `${v.toFixed(3)} mm`;
+    const mm2 = v => `${v.toFixed(1)} mm²`;
+    const views = ['top', 'bottom']
+        .filter(side => currentStackup[side] && currentStackup[side].svg)
+        .map(side => `<figure><figcaption>${side === 'top' ? 'Top' : 'Bottom'}</figcaption>${currentStackup[side].svg}</figure>`)
+        .join('');
+    return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(name)} board report</title><style>` +
+        'body { font-family: sans-serif; font-size: 12px; margin: 2em; }' +
+        'table { border-collapse: collapse; margin-bottom: 1.5em; min-width: 50%; }' +
+        'th, td { border-bottom: 1px solid #ccc; padding: 3px 8px; text-align: left; }' +
+        '.views { display: flex; gap: 2em; } figure { flex: 1; margin: 0 0 1.5em; } svg { width: 100%; height: auto; }' +
+        '@media print { body { margin: 0; } }' +
+        `</style></head><body><h1>${escapeHtml(name)}</h1><p>Generated ${escapeHtml(new Date().toLocaleString())}</p>` +
+        `<div class="views">${views}</div>${getBoardInfoTables(stats, mm, mm2)}</body></html>`;
+}
+
+// === PANELIZATION ===
+// Lays the loaded board out as an array with rails, fiducials, tooling holes
+// and mouse-bite tabs or V-score lines. Only copies of the one board are
+// placed, there is no mixing of different boards. The panel is written as a new set of
+// Gerber and drill files, which are previewed by loading them like any other
+// board and downloaded as a zip. While a panel is shown the single board it
+// was made from is kept in panelSource.
+
+function getPanelSettings() {
+    const number = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) ? fallback : value;
+    };
+    return {
+        columns: Math.min(PANEL_MAX_COUNT, Math.max(1, Math.round(number(panelColumnsInput, 1)))),
+        rows: Math.min(PANEL_MAX_COUNT, Math.max(1, Math.round(number(panelRowsInput, 1)))),
+        spacing: Math.max(0, number(panelSpacingInput, 2)),
+        rail: Math.max(0, number(panelRailInput, 0)),
+        separation: panelSeparationSelect.value,
+        fiducials: panelFiducialsCheck.checked,
+        toolingHoles: panelToolingCheck.checked
+    };
+}
+
+// The single board the panel is made of, as it is loaded now. The panel's
+// outline replaces the board's outline file, so there must be one.
+function getPanelSource() {
+    if (panelSource) return panelSource;
+    if (!currentStackup || boardOutline.length === 0) return null;
+    if (!currentStackup.layers.some(l => l.type === 'outline')) return null;
+    return { layers: loadedLayers, stackup: currentStackup, outline: boardOutline, overrides: layerOverrides };
+}
+
+// Where everything goes on the panel, in board mm. `boards` are the offsets
+// of each copy from the original board; rails run along the bottom and top.
+function getPanelLayout(outline, settings) {
+    const points = outline.flat();
+    const minX = Math.min(...points.map(p => p.x));
+    const minY = Math.min(...points.map(p => p.y));
+    const width = Math.max(...points.map(p => p.x)) - minX;
+    const height = Math.max(...points.map(p => p.y)) - minY;
+    const { columns, rows, rail, separation } = settings;
+    const gap = separation === 'vscore' ? 0 : settings.spacing;
+
+    const boards = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            boards.push({ x: column * (width + gap), y: row * (height + gap) });
+        }
+    }
+    const left = minX;
+    const right = minX + columns * width + (columns - 1) * gap;
+    const boardsTop = minY + rows * height + (rows - 1) * gap;
+    const rails = rail > 0 ? [
+        { left, right, bottom: minY - gap - rail, top: minY - gap },
+        { left, right, bottom: boardsTop + gap, top: boardsTop + gap + rail }
+    ] : [];
+
+    const layout = {
+        separation,
+        boards,
+        rails,
+        bounds: { left, right, bottom: rails.length ? rails[0].bottom : minY, top: rails.length ? rails[1].top : boardsTop },
+        tabs: [],
+        mouseBites: [],
+        vScores: [],
+        fiducials: [],
+        toolingHoles: []
+    };
+
+    rails.forEach((r, index) => {
+        const y = (r.bottom + r.top) / 2;
+        if (settings.toolingHoles) {
+            layout.toolingHoles.push({ x: left + PANEL_TOOLING_INSET, y }, { x: right - PANEL_TOOLING_INSET, y });
+        }
+        // Three fiducials, one corner left out so the panel's orientation is unambiguous
+        if (settings.fiducials) {
+            layout.fiducials.push({ x: left + PANEL_FIDUCIAL_INSET, y });
+            if (index === 1) layout.fiducials.push({ x: right - PANEL_FIDUCIAL_INSET, y });
+        }
+    });
+
+    // Gaps between rows also run between the outer rows and the rails
+    const firstRow = rails.length ? 0 : 1;
+    const lastRow = rails.length ? rows : rows - 1;
+    if (separation === 'vscore') {
+        for (let column = 1; column < columns; column++) {
+            const x = minX + column * width;
+            layout.vScores.push([{ x, y: layout.bounds.bottom }, { x, y: layout.bounds.top }]);
+        }
+        for (let row = firstRow; row <= lastRow; row++) {
+            const y = minY + row * height;
+            layout.vScores.push([{ x: left, y }, { x: right, y }]);
+        }
+    } else if (gap > 0) {
+        for (let column = 1; column < columns; column++) {
+            const x = minX + column * (width + gap) - gap;
+            for (let row = 0; row < rows; row++) {
+                addPanelTabs(layout, 'x', x, x + gap, minY + row * (height + gap), height);
+            }
+        }
+        for (let row = firstRow; row <= lastRow; row++) {
+            const y = minY + row * (height + gap) - gap;
+            for (let column = 0; column < columns; column++) {
+                addPanelTabs(layout, 'y', y, y + gap, minX + column * (width + gap), width);
+            }
+        }
+    }
+    return layout;
+}
+
+// Tabs bridging a gap that runs from `from` to `to` across the `across` axis,
+// spread along an edge of `length` starting at `start`, each perforated by
+// a row of mouse-bite holes on both edges of the gap
+function addPanelTabs(layout, across, from, to, start, length) {
+    const count = Math.max(1, Math.round(length / PANEL_TAB_PITCH));
+    const tabWidth = Math.min(PANEL_TAB_WIDTH, length);
+    const holes = Math.max(1, Math.floor((tabWidth - PANEL_MOUSE_BITE_DIAMETER) / PANEL_MOUSE_BITE_PITCH) + 1);
+    const point = (a, b) => (across === 'x' ? { x: a, y: b } : { x: b, y: a });
+
+    for (let i = 0; i < count; i++) {
+        const center = start + (i + 0.5) * length / count;
+        const low = point(from - PANEL_TAB_OVERLAP, center - tabWidth / 2);
+        const high = point(to + PANEL_TAB_OVERLAP, center + tabWidth / 2);
+        layout.tabs.push({ left: low.x, bottom: low.y, right: high.x, top: high.y });
+        for (let k = 0; k < holes; k++) {
+            const along = center + (k - (holes - 1) / 2) * PANEL_MOUSE_BITE_PITCH;
+            layout.mouseBites.push(point(from, along), point(to, along));
+        }
+    }
+}
+
+// The panel's outline contours in mm. Tabbed panels are the boards, tabs and
+// rails merged into one piece; V-scored panels are a plain rectangle, as
+// V-scores can only cut straight across.
+function getPanelOutline(outline, layout) {
+    const rectangle = r => [{ x: r.left, y: r.bottom }, { x: r.right, y: r.bottom }, { x: r.right, y: r.top }, { x: r.left, y: r.top }];
+    if (layout.separation === 'vscore') return [rectangle(layout.bounds)];
+
+    // In µm
+    const toClipper = (contour, dx = 0, dy = 0) => contour.map(p => ({
+        X: Math.round((p.x + dx) * CLIPPER_SCALE),
+        Y: Math.round((p.y + dy) * CLIPPER_SCALE)
+    }));
+
+    // The boards go first on their own so their cutouts stay holes
+    const boards = new ClipperLib.Clipper();
+    layout.boards.forEach(offset => {
+        boards.AddPaths(outline.map(contour => toClipper(contour, offset.x, offset.y)), ClipperLib.PolyType.ptSubject, true);
+    });
+    const boardPaths = new ClipperLib.Paths();
+    boards.Execute(ClipperLib.ClipType.ctUnion, boardPaths, ClipperLib.PolyFillType.pftEvenOdd, ClipperLib.PolyFillType.pftEvenOdd);
+
+    const panel = new ClipperLib.Clipper();
+    panel.AddPaths(boardPaths, ClipperLib.PolyType.ptSubject, true);
+    panel.AddPaths([...layout.rails, ...layout.tabs].map(r => toClipper(rectangle(r))), ClipperLib.PolyType.ptClip, true);
+    const solution = new ClipperLib.Paths();
+    panel.Execute(ClipperLib.ClipType.ctUnion, solution, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+    return solution.map(path => path.map(p => ({ x: p.X / CLIPPER_SCALE, y: p.Y / CLIPPER_SCALE })));
+}
+
+// The panel's files: every Gerber layer repeated, a new outline, the drill
+// files repeated with the panel's own holes added, the V-score lines and the
+// job file with the panel size. Files keep their names.
+function buildPanelFiles(source, layout) {
+    const { stackup } = source;
+    const files = [];
+    const drills = getBoardDrills(stackup);
+    const outlineLayer = stackup.layers.find(l => l.type === 'outline');
+    const folder = outlineLayer.sourceFilename.includes('/')
+        ? outlineLayer.sourceFilename.slice(0, outlineLayer.sourceFilename.lastIndexOf('/') + 1)
+        : '';
+    const name = getReportName().replace(/[^\w.-]+/g, '_');
+    const offsetPoint = (p, offset) => ({ ...p, x: p.x + offset.x, y: p.y + offset.y });
+
+    const panelHoles = [...layout.toolingHoles.map(h => ({ ...h, diameter: PANEL_TOOLING_HOLE_DIAMETER })),
+        ...layout.mouseBites.map(h => ({ ...h, diameter: PANEL_MOUSE_BITE_DIAMETER }))]
+        .map(h => ({ ...h, plated: false }));
+    // The panel's holes join the board's through NPTH file, if it has one
+    const copperLayers = Math.max(2, getDfmCopperLayers(stackup).length);
+    const npthDrill = drills.find(d => (!d.span || (d.span[0] <= 1 && d.span[1] >= copperLayers)) &&
+        [...d.holes, ...d.routes].every(h => h.plated === false));
+
+    stackup.layers.filter(l => l.type && l.gerber).forEach(layer => {
+        const filename = layer.sourceFilename;
+        try {
+            if (layer.type === 'outline') {
+                const contours = getPanelOutline(source.outline, layout).map(c => [...c, c[0]]);
+                files.push({ filename, gerber: writePathsGerber(contours, getGerberAttributeCommands(layer.gerber), PANEL_OUTLINE_WIDTH) });
+            } else if (layer.type === 'drill') {
+                const drill = drills.find(d => d.sourceFilename === filename);
+                if (!drill) throw new Error('The drill file could not be read.');
+                const holes = layout.boards.flatMap(offset => drill.holes.map(h => offsetPoint(h, offset)));
+                const routes = layout.boards.flatMap(offset => drill.routes.map(r => ({ ...r, points: r.points.map(p => offsetPoint(p, offset)) })));
+                if (drill === npthDrill) holes.push(...panelHoles);
+                files.push({ filename, gerber: writeExcellon(holes, routes, getExcellonAttributeLines(layer.gerber)) });
+            } else {
+                files.push({ filename, gerber: panelizeGerber(layer.gerber, layout.boards, getPanelFlashes(layer, layout)) });
+            }
+        } catch (e) {
+            throw new Error(`Could not panelize ${filename}: ${e.message}`);
+        }
+    });
+
+    if (!npthDrill && panelHoles.length > 0) {
+        files.push({
+            filename: `${folder}${name}-panel-NPTH.drl`,
+            gerber: writeExcellon(panelHoles, [], [`; #@! TF.FileFunction,NonPlated,1,${copperLayers},NPTH`])
+        });
+    }
+    if (layout.vScores.length > 0) {
+        files.push({
+            filename: `${folder}${name}-V-score.gbr`,
+            gerber: writePathsGerber(layout.vScores, ['%TF.FileFunction,Other,V-score*%'], PANEL_OUTLINE_WIDTH)
+        });
+    }
+
+    const jobLayer = source.layers.find(l => getFileBasename(l.filename).toLowerCase().endsWith('.gbrjob'));
+    if (jobLayer) {
+        try {
+            const job = JSON.parse(jobLayer.gerber);
+            const { left, right, bottom, top } = layout.bounds;
+            job.GeneralSpecs = { ...job.GeneralSpecs, Size: { X: +(right - left).toFixed(4), Y: +(top - bottom).toFixed(4) } };
+            files.push({ filename: jobLayer.filename, gerber: JSON.stringify(job, null, 2) });
+        } catch (e) {
+            console.warn(`Could not update job file ${jobLayer.filename} for the panel:`, e);
+        }
+    }
+    return files;
+}
+
+// Fiducial pads on the outer copper, with their solder mask openings
+function getPanelFlashes(layer, layout) {
+    if (layer.side !== 'top' && layer.side !== 'bottom') return [];
+    if (layer.type === 'copper') return layout.fiducials.map(f => ({ ...f, diameter: PANEL_FIDUCIAL_DIAMETER }));
+    if (layer.type === 'soldermask') return layout.fiducials.map(f => ({ ...f, diameter: PANEL_FIDUCIAL_OPENING }));
+    return [];
+}
+
+// Repeats a Gerber layer at each offset (mm) and flashes `flashes`
+// ([{ x, y, diameter }] in mm) on top. The file keeps its units and
+// precision; coordinates are rewritten with leading zero omission and both
+// X and Y given, so no copy depends on where the previous one ended.
+function panelizeGerber(gerber, offsets, flashes = []) {
+    const header = [];
+    const body = [];
+    const format = { zeros: 'L', xDecimals: 6, yDecimals: 6, xDigits: 10, yDigits: 10 };
+    let toMm = 1;
+    let lastAperture = 9;
+    let usesTransforms = false;
+
+    // Definitions and file attributes go in once, everything else per copy
+    const handleExtended = (command) => {
+        const fs = /^FS([LT])?([AI])?X(\d)(\d)Y(\d)(\d)/.exec(command);
+        if (fs) {
+            if (fs[2] === 'I') throw new Error('Incremental coordinates are not supported.');
+            format.zeros = fs[1] || 'L';
+            format.xDecimals = parseInt(fs[4], 10);
+            format.xDigits = parseInt(fs[3], 10) + format.xDecimals;
+            format.yDecimals = parseInt(fs[6], 10);
+            format.yDigits = parseInt(fs[5], 10) + format.yDecimals;
+            header.push(`%${command.replace(/^FS[LT]?/, 'FSL')}*%`);
+            return;
+        }
+        if (command.startsWith('MOIN')) toMm = MM_PER_INCH;
+        if (command.startsWith('MOMM')) toMm = 1;
+        const ad = /^ADD(\d+)/.exec(command);
+        if (ad) lastAperture = Math.max(lastAperture, parseInt(ad[1], 10));
+        if (/^L[MRS]/.test(command)) usesTransforms = true;
+        (/^(MO|AD|TF|IN|IP|OF|SF|AS|MI|IR)/.test(command) ? header : body).push(`%${command}*%`);
+    };
+
+    const tokens = (gerber || '').match(/%[^%]*%|[^*%]+\*/g) || [];
+    tokens.forEach(token => {
+        if (token.startsWith('%')) {
+            const block = token.slice(1, -1).trim();
+            // Macro primitives are separated by * inside one block
+            if (block.startsWith('AM')) {
+                header.push(token);
+                return;
+            }
+            block.split('*').map(c => c.trim()).filter(Boolean).forEach(handleExtended);
+            return;
+        }
+        const word = token.slice(0, -1).trim();
+        if (/^M0?2$/.test(word)) return;
+        if (word === 'G70') toMm = MM_PER_INCH;
+        if (word === 'G71') toMm = 1;
+        if (word === 'G91') throw new Error('Incremental coordinates are not supported.');
+        body.push(word);
+    });
+
+    const parseCoordinate = (str, decimals, digits) => {
+        if (str.includes('.')) return parseFloat(str);
+        const sign = str.startsWith('-') ? -1 : 1;
+        let value = str.replace(/^[+-]/, '');
+        if (format.zeros === 'T') value = value.padEnd(digits, '0');
+        return sign * parseInt(value, 10) / Math.pow(10, decimals);
+    };
+    const formatCoordinate = (value, decimals) => String(Math.round(value * Math.pow(10, decimals)));
+    const point = (x, y) => `X${formatCoordinate(x, format.xDecimals)}Y${formatCoordinate(y, format.yDecimals)}`;
+    const reset = usesTransforms ? ['%LPD*%', '%LMN*%', '%LR0*%', '%LS1*%'] : ['%LPD*%'];
+    // No need to reset the polarity when every copy sets it first thing
+    const first = body.find(item => !/^G0?4/.test(item));
+    const copyReset = first && first.startsWith('%LP') ? reset.slice(1) : reset;
+
+    const copies = offsets.map(offset => {
+        const pos = { x: 0, y: 0 };
+        // Block aperture contents are relative to where the block is flashed
+        let inBlock = false;
+        const lines = [...copyReset];
+        body.forEach(item => {
+            if (item.startsWith('%')) {
+                if (item.startsWith('%AB')) inBlock = item !== '%AB*%';
+                lines.push(item);
+                return;
+            }
+            const match = /^((?:G\d+)*)((?:[XYIJ][+-]?[\d.]+)+)(D\d+)?$/.exec(item);
+            if (!match || item.startsWith('G04') || item.startsWith('G4')) {
+                lines.push(`${item}*`);
+                return;
+            }
+            const value = axis => {
+                const found = new RegExp(`${axis}([+-]?[\\d.]+)`).exec(match[2]);
+                if (!found) return null;
+                return axis === 'X' || axis === 'I'
+                    ? parseCoordinate(found[1], format.xDecimals, format.xDigits)
+                    : parseCoordinate(found[1], format.yDecimals, format.yDigits);
+            };
+            const [x, y, i, j] = ['X', 'Y', 'I', 'J'].map(value);
+            if (x !== null) pos.x = x;
+            if (y !== null) pos.y = y;
+            const dx = inBlock ? 0 : offset.x / toMm;
+            const dy = inBlock ? 0 : offset.y / toMm;
+            let word = match[1] + point(pos.x + dx, pos.y + dy);
+            if (i !== null) word += `I${formatCoordinate(i, format.xDecimals)}`;
+            if (j !== null) word += `J${formatCoordinate(j, format.yDecimals)}`;
+            lines.push(`${word}${match[3] || ''}*`);
+        });
+        return lines.join('\n');
+    });
+
+    const extras = [];
+    if (flashes.length > 0) {
+        extras.push(...reset);
+        [...new Set(flashes.map(f => f.diameter))].forEach((diameter, index) => {
+            const aperture = lastAperture + 1 + index;
+            header.push(`%ADD${aperture}C,${(diameter / toMm).toFixed(6)}*%`);
+            extras.push(`D${aperture}*`);
+            flashes.filter(f => f.diameter === diameter).forEach(f => extras.push(`${point(f.x / toMm, f.y / toMm)}D03*`));
+        });
+    }
+
+    return [...header, ...copies, ...extras, 'M02*'].join('\n') + '\n';
+}
+
+// A Gerber file in mm drawing each path ([{ x, y }] in mm) as a line
+function writePathsGerber(paths, attributes, width) {
+    const coordinate = value => String(Math.round(value * 1e6));
+    const lines = [...attributes, '%FSLAX46Y46*%', '%MOMM*%', '%LPD*%', `%ADD10C,${width.toFixed(6)}*%`, 'D10*'];
+    paths.forEach(path => {
+        path.forEach((p, index) => lines.push(`X${coordinate(p.x)}Y${coordinate(p.y)}D0${index === 0 ? 2 : 1}*`));
+    });
+    lines.push('M02*');
+    return lines.join('\n') + '\n';
+}
+
+// An Excellon file in mm with decimal coordinates, laid out the way KiCad
+// writes them. Holes and routes are in mm with their plating; `attributes`
+// are header comment lines to carry over.
+function writeExcellon(holes, routes, attributes) {
+    const tools = [];
+    const toolFor = item => {
+        let index = tools.findIndex(t => Math.abs(t.diameter - item.diameter) < 0.0005 && t.plated === item.plated);
+        if (index < 0) {
+            tools.push({ diameter: item.diameter, plated: item.plated });
+            index = tools.length - 1;
+        }
+        return index + 1;
+    };
+    const holeTools = holes.map(toolFor);
+    const routeTools = routes.map(toolFor);
+    const point = p => `X${p.x.toFixed(4)}Y${p.y.toFixed(4)}`;
+
+    const lines = ['M48', ...attributes, 'FMAT,2', 'METRIC'];
+    tools.forEach((t, index) => {
+        if (typeof t.plated === 'boolean') lines.push(`; #@! TA.AperFunction,${t.plated ? 'Plated,PTH' : 'NonPlated,NPTH'}`);
+        lines.push(`T${index + 1}C${t.diameter.toFixed(3)}`);
+    });
+    lines.push('%', 'G90', 'G05');
+    tools.forEach((t, index) => {
+        const tool = index + 1;
+        lines.push(`T${tool}`);
+        holes.forEach((h, i) => {
+            if (holeTools[i] === tool) lines.push(point(h));
+        });
+        routes.forEach((r, i) => {
+            if (routeTools[i] !== tool) return;
+            lines.push(`G00${point(r.points[0])}`, 'M15');
+            r.points.slice(1).forEach(p => lines.push(`G01${point(p)}`));
+            lines.push('M16', 'G05');
+        });
+    });
+    lines.push('T0', 'M30');
+    return lines.join('\n') + '\n';
+}
+
+// File attributes as X2 commands, or as the G04 #@! comments KiCad writes by default
+function getGerberAttributeCommands(gerber) {
+    return gerber.match(/%TF\.[^%]*%|G04\s*#@!\s*TF\.[^*]*\*/g) || [];
+}
+
+function getExcellonAttributeLines(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(line => /^;\s*#@!\s*TF\./.test(line));
+}
+
+// Shows the panel in place of the single board, or rebuilds it after the
+// settings changed
+function showPanel() {
+    const source = getPanelSource();
+    if (!source) return;
+    const layout = getPanelLayout(source.outline, getPanelSettings());
+    let files;
+    try {
+        files = buildPanelFiles(source, layout);
+    } catch (e) {
+        handleError(e, 'Could not build the panel');
+        return;
+    }
+    showNewBoard(files, source.overrides);
+    panelSource = source;
+    panelLayout = layout;
+    updatePanelControls();
+}
+
+function handlePanelPreview() {
+    if (panelSource) {
+        showNewBoard(panelSource.layers, panelSource.overrides);
+        updatePanelControls();
+    } else {
+        showPanel();
+    }
+}
+
+function handlePanelSettingsChange() {
+    if (panelSource) showPanel();
+    else updatePanelControls();
+}
+
+async function handlePanelDownload() {
+    const source = getPanelSource();
+    if (!source) return;
+    try {
+        const zip = new JSZip();
+        buildPanelFiles(source, getPanelLayout(source.outline, getPanelSettings()))
+            .forEach(file => zip.file(file.filename, file.gerber));
+        const name = getReportName().replace(/[^\w.-]+/g, '_');
+        downloadBlob(await zip.generateAsync({ type: 'blob' }), `${name}-panel.zip`);
+    } catch (e) {
+        handleError(e, 'Could not build the panel');
+    }
+}
+
+function updatePanelControls() {
+    const source = getPanelSource();
+    panelPreviewBtn.disabled = !source;
+    panelDownloadBtn.disabled = !source;
+    panelPreviewBtn.textContent = panelSource ? 'Show Board' : 'Preview Panel';
+    panelSpacingInput.disabled = panelSeparationSelect.value === 'vscore';
+    if (!source) {
+        panelStatus.textContent = '';
+        return;
+    }
+    const settings = getPanelSettings();
+    const { left, right, bottom, top } = getPanelLayout(source.outline, settings).bounds;
+    panelStatus.textContent = `${settings.columns * settings.rows} boards, ${formatLength(right - left)} × ${formatLength(top - bottom)}`;
+}
+
+// V-score lines on both faces of the previewed panel
+function createVScoreLines(vScores, frame) {
+    const points = vScores.flatMap(line => line.map(p => new THREE.Vector3(frame.tx - p.x, frame.ty - p.y, 0)));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color: PANEL_VSCORE_COLOR });
+    return ['top', 'bottom'].map(side => {
+        const lines = new THREE.LineSegments(geometry, material);
+        lines.userData.baseZ = frame.surfaces[side].z + (side === 'top' ? 0.01 : -0.01);
+        lines.userData.stackOffset = frame.surfaces[side].stackOffset;
+        return lines;
+    });
+}
+
+// === MEASUREMENT ===
+
+// Snap targets for the measure tool in board mm: pad centres, hole centres
+// and outline vertices. Rebuilt along with the 3D view.
+function collectSnapPoints(stackup, outlineShapes, scale) {
+    const points = [];
+    const seen = new Set();
+    const add = (x, y, kind) => {
+        const key = `${x.toFixed(3)},${y.toFixed(3)}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        points.push({ x, y, kind });
+    };
+
+    currentDrills.forEach(drill => {
+        drill.holes.forEach(h => add(h.x, h.y, 'hole'));
+        drill.routes.forEach(r => {
+            add(r.points[0].x, r.points[0].y, 'slot end');
+            add(r.points[r.points.length - 1].x, r.points[r.points.length - 1].y, 'slot end');
+        });
+    });
+
+    stackup.layers.filter(l => l.type === 'copper' && l.gerber).forEach(l => {
+        try {
+            parseGerberGeometry(l.gerber).flashes.forEach(f => add(f.x, f.y, 'pad'));
+        } catch (e) {
+            console.warn(`Could not read pad positions from ${l.sourceFilename}:`, e);
+        }
+    });
+
+    outlineShapes.forEach(shape => {
+        // One division per curve gives just the vertices between segments
+        const { shape: outer, holes } = shape.extractPoints(1);
+        [outer, ...holes].forEach(contour => contour.forEach(p => add(p.x * scale, p.y * scale, 'outline')));
+    });
+
+    return points;
+}
+
+function findSnapPoint(x, y, tolerance) {
+    let best = null;
+    let bestDistance = tolerance;
+    snapPoints.forEach(p => {
+        const d = Math.hypot(p.x - x, p.y - y);
+        if (d <= bestDistance) {
+            best = p;
+            bestDistance = d;
+        }
+    });
+    return best;
+}
+
+function formatLength(mm) {
+    return measureUnits === 'in' ? `${(mm / MM_PER_INCH).toFixed(4)} in` : `${mm.toFixed(3)} mm`;
+}
+
+function formatCoordinate(mm) {
+    return measureUnits === 'in' ? (mm / MM_PER_INCH).toFixed(4) : mm.toFixed(3);
+}
+
+function updateMeasureReadout(hover) {
+    const lines = [];
+    if (hover) {
+        const snapNote = hover.snap ? ` (${hover.snap})` : '';
+        lines.push(`X ${formatCoordinate(hover.x)}  Y ${formatCoordinate(hover.y)} ${measureUnits}${snapNote}`);
+    }
+    if (measurePoints.length === 2) {
+        const [a, b] = measurePoints;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        lines.push(`ΔX ${formatLength(Math.abs(dx))}  ΔY ${formatLength(Math.abs(dy))}`);
+        lines.push(`Distance ${formatLength(Math.hypot(dx, dy))}`);
+    } else if (measurePoints.length === 1) {
+        lines.push('Click a second point to measure');
+    } else if (measureMode) {
+        lines.push('Click two points to measure');
+    }
+
+    measureReadout.textContent = lines.join('\n');
+    measureReadout.style.display = lines.length ? 'block' : 'none';
+}
+
+// Resolves a board point under the pointer, snapped when near a snap target
+function resolveMeasurePoint(point, tolerance) {
+    const snap = findSnapPoint(point.x, point.y, tolerance);
+    return snap ? { ...point, x: snap.x, y: snap.y, snap: snap.kind } : point;
+}
+
+function addMeasurePoint(point) {
+    // A third click, or a click in another view, starts a new measurement
+    if (measurePoints.length === 2 || (measurePoints.length === 1 && measurePoints[0].view !== point.view)) {
+        measurePoints = [];
+    }
+    measurePoints.push(point);
+    updateMeasureOverlays();
+    updateMeasureReadout(point);
+}
+
+function clearMeasurement() {
+    measurePoints = [];
+    updateMeasureOverlays();
+    updateMeasureReadout(null);
+}
+
+function updateMeasureOverlays() {
+    update3DMeasureOverlay();
+    [[topThumbContainer, 'top'], [bottomThumbContainer, 'bottom'], [viewer2DCanvas, get2DViewerSide()]].forEach(([container, side]) => {
+        update2DMeasureOverlay(container, side);
+    });
+}
+
+// --- 3D ---
+
+function getBoardPointFrom3DEvent(event) {
+    if (!stackGroup || !boardFrame) return null;
+
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    measureRaycaster.setFromCamera(pointer, camera);
+
+    // Only the slabs and layer planes, not barrels or overlays
+    const targets = stackGroup.children.filter(c => c.isMesh && c.visible && c.userData.baseZ !== undefined);
+    const hit = measureRaycaster.intersectObjects(targets, false)[0];
+    if (!hit) return null;
+
+    const local = stackGroup.worldToLocal(hit.point.clone());
+    // Size of a screen pixel at the hit point, for pixel-based snapping
+    const mmPerPixel = getViewHeightAt(camera, hit.distance) / rect.height;
+    const point = { x: boardFrame.tx - local.x, y: boardFrame.ty - local.y, z: local.z, view: '3d' };
+    return resolveMeasurePoint(point, SNAP_RADIUS_PX * mmPerPixel);
+}
+
+function boardToWorld(x, y, z) {
+    return stackGroup.localToWorld(new THREE.Vector3(boardFrame.tx - x, boardFrame.ty - y, z));
+}
+
+function update3DMeasureOverlay() {
+    measureGroup.clear();
+    if (!stackGroup || !boardFrame) return;
+
+    const markerSize = Math.max(boardFrame.width, boardFrame.depth) * 0.006;
+    const points = measurePoints.filter(p => p.view === '3d').map(p => boardToWorld(p.x, p.y, p.z));
+
+    points.forEach(p => {
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(markerSize, 16, 8),
+            new THREE.MeshBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+        );
+        marker.position.copy(p);
+        marker.renderOrder = 998;
+        measureGroup.add(marker);
+    });
+
+    if (points.length === 2) {
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+        );
+        line.renderOrder = 998;
+        measureGroup.add(line);
+
+        const [a, b] = measurePoints;
+        const label = createTextSprite(formatLength(Math.hypot(b.x - a.x, b.y - a.y)), markerSize * 4);
+        label.position.copy(points[0]).add(points[1]).multiplyScalar(0.5);
+        label.position.y += markerSize * 3;
+        measureGroup.add(label);
+    }
+
+    if (showDimensions) {
+        measureGroup.add(createDimensionOverlay(markerSize));
+    }
+}
 
-// Listen for clicks on the color/finish option buttons
-soldermaskBtnGroup.addEventListener('click', handleOptionChange);
-silkscreenBtnGroup.addEventListener('click', handleOptionChange);
-copperFinishBtnGroup.addEventListener('click', handleOptionChange);
-pcbThicknessInput.addEventListener('input', () => {
-  const val = parseFloat(pcbThicknessInput.value);
-  if (!isNaN(val) && val > 0) {
-    pcbThickness = val;
-    if (currentStackup) update3DView(currentStackup);
-  }
-});
+// Width and height dimension lines along the front and left edges of the board
+function createDimensionOverlay(markerSize) {
+    const group = new THREE.Group();
+    const { width, depth } = boardFrame;
+    const gap = markerSize * 4;
+    const top = (stackGroup.children.reduce((max, c) => Math.max(max, c.position.z), 0)) + markerSize;
+    const material = new THREE.LineBasicMaterial({ color: DIMENSION_COLOR, depthTest: false });
 
+    // Local stackGroup coordinates: x across the board, y front to back
+    const dimension = (from, to, labelOffset, text) => {
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([from, to]), material);
+        line.renderOrder = 997;
+        group.add(line);
+        const label = createTextSprite(text, markerSize * 4);
+        label.position.copy(from).add(to).multiplyScalar(0.5).add(labelOffset);
+        group.add(label);
+    };
+    dimension(
+        new THREE.Vector3(-width / 2, -depth / 2 - gap, top),
+        new THREE.Vector3(width / 2, -depth / 2 - gap, top),
+        new THREE.Vector3(0, -gap, 0),
+        formatLength(width)
+    );
+    dimension(
+        new THREE.Vector3(width / 2 + gap, -depth / 2, top),
+        new THREE.Vector3(width / 2 + gap, depth / 2, top),
+        new THREE.Vector3(gap * 2, 0, 0),
+        formatLength(depth)
+    );
 
-// Listen for clicks on the PNG download buttons
-downloadTopPngBtn.addEventListener('click', () => handlePngExport('top'));
-downloadBottomPngBtn.addEventListener('click', () => handlePngExport('bottom'));
+    // Built in board space, then placed like the stack itself
+    group.quaternion.copy(stackGroup.getWorldQuaternion(new THREE.Quaternion()));
+    group.position.copy(stackGroup.getWorldPosition(new THREE.Vector3()));
+    return group;
+}
 
+function createTextSprite(text, height) {
+    const fontSize = 48;
+    const padding = 12;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = `${fontSize}px sans-serif`;
+    canvas.width = Math.ceil(ctx.measureText(text).width) + padding * 2;
+    canvas.height = fontSize + padding * 2;
 
-// === CORE LOGIC ===
+    // Resizing the canvas resets its state
+    ctx.font = `${fontSize}px sans-serif`;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#212529';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, padding, canvas.height / 2);
 
-function getActiveColor(group) {
-    const activeButton = group.querySelector('.btn.active');
-    return activeButton ? activeButton.dataset.color : null;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    sprite.renderOrder = 999;
+    return sprite;
 }
 
-function handleOptionChange(event) {
-    const button = event.target.closest('button');
-    if (!button) return;
+function handle3DPointerDown(event) {
+    pointerDownPosition = { x: event.clientX, y: event.clientY };
+}
 
-    const group = button.parentElement;
-    // Update active state in the button group
-    group.querySelectorAll('.btn').forEach(btn => btn.classList.remove('active'));
-    button.classList.add('active');
+function handle3DPointerUp(event) {
+    if (!pointerDownPosition) return;
+    // Ignore the end of an orbit/pan drag
+    const moved = Math.hypot(event.clientX - pointerDownPosition.x, event.clientY - pointerDownPosition.y);
+    pointerDownPosition = null;
+    if (moved > 4) return;
 
-    // Re-render views if we have layer data
-    if (loadedLayers.length > 0) {
-        renderAllViews(loadedLayers);
+    if (measureMode) {
+        const point = getBoardPointFrom3DEvent(event);
+        if (point) addMeasurePoint(point);
+        return;
     }
+    // Otherwise a click picks a component, or clears the selection
+    const designator = getComponentFrom3DEvent(event);
+    if (designator || selectedDesignators.size > 0) selectParts(designator ? [designator] : [], { scrollTable: true });
 }
 
-function hexToRgba(hex, alpha) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    if (!result) return null;
-    const r = parseInt(result[1], 16), g = parseInt(result[2], 16), b = parseInt(result[3], 16);
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+function handle3DPointerMove(event) {
+    if (event.buttons) return; // Orbiting
+    updateMeasureReadout(getBoardPointFrom3DEvent(event));
 }
 
-function getFileBasename(filename) {
-    return filename.split('/').pop().split('\\').pop();
+// --- 2D ---
+
+// Converts between the composite SVG's user space and board mm. The
+// composite is flipped in y, and the bottom view is also mirrored in x.
+function svgToBoard(svgX, svgY, view, side) {
+    const [x, y, width, height] = view.viewBox;
+    const factor = (view.units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const boardX = side === 'bottom' ? 2 * x + width - svgX : svgX;
+    return { x: boardX * factor, y: (2 * y + height - svgY) * factor };
 }
 
-function detectLayerFilename(layer, innerLayerCounter) {
-    const basename = getFileBasename(layer.filename).toLowerCase();
-    const gerber = layer.gerber || '';
-    const header = gerber.slice(0, 4096).toLowerCase();
-    const combined = `${basename}\n${header}`;
+function boardToSvg(boardX, boardY, view, side) {
+    const [x, y, width, height] = view.viewBox;
+    const factor = (view.units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const svgX = boardX / factor;
+    return { x: side === 'bottom' ? 2 * x + width - svgX : svgX, y: 2 * y + height - boardY / factor };
+}
 
-    if (basename.endsWith('.gbrjob')) return null;
+function getBoardPointFrom2DEvent(event, container, side) {
+    const svg = container.querySelector('svg');
+    const view = currentStackup && currentStackup[side];
+    if (!svg || !view || !view.viewBox) return null;
 
-    if (
-        combined.includes('profile') ||
-        combined.includes('outline') ||
-        combined.includes('%tf.filefunction,profile') ||
-        combined.includes('%tf.filefunction,other,outline')
-    ) {
-        return 'board.gko';
-    }
+    const ctm = svg.getScreenCTM();
+    if (!ctm) return null;
+    const pt = svg.createSVGPoint();
+    pt.x = event.clientX;
+    pt.y = event.clientY;
+    const p = pt.matrixTransform(ctm.inverse());
 
-    if (combined.includes('drill') || basename.endsWith('.drl') || basename.endsWith('.xln')) {
-        return 'drill.xln';
-    }
+    const [x, y, width, height] = view.viewBox;
+    if (p.x < x || p.y < y || p.x > x + width || p.y > y + height) return null;
 
-    if (combined.includes('solderpaste top') || combined.includes('paste_top') || combined.includes('top paste')) {
-        return 'top.gtp';
-    }
-    if (combined.includes('solderpaste bottom') || combined.includes('paste_bottom') || combined.includes('bottom paste')) {
-        return 'bottom.gbp';
-    }
-    if (combined.includes('soldermask top') || combined.includes('soldermask_top') || combined.includes('top soldermask')) {
-        return 'top.gts';
-    }
-    if (combined.includes('soldermask bottom') || combined.includes('soldermask_bottom') || combined.includes('bottom soldermask')) {
-        return 'bottom.gbs';
-    }
-    if (combined.includes('silkscreen top') || combined.includes('silkscreen_top') || combined.includes('top silkscreen')) {
-        return 'top.gto';
-    }
-    if (combined.includes('silkscreen bottom') || combined.includes('silkscreen_bottom') || combined.includes('bottom silkscreen')) {
-        return 'bottom.gbo';
-    }
-    if (combined.includes('top copper') || combined.includes('copper_top')) {
-        return 'top.gtl';
-    }
-    if (combined.includes('bottom copper') || combined.includes('copper_bottom')) {
-        return 'bottom.gbl';
+    const factor = (view.units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const point = { ...svgToBoard(p.x, p.y, view, side), view: side };
+    return resolveMeasurePoint(point, SNAP_RADIUS_PX * factor / ctm.a);
+}
+
+function update2DMeasureOverlay(container, side) {
+    const svg = container.querySelector('svg');
+    if (!svg) return;
+    const existing = svg.querySelector('.measure-overlay');
+    if (existing) existing.remove();
+
+    const view = currentStackup && currentStackup[side];
+    if (!view || !view.viewBox) return;
+
+    const points = measurePoints.filter(p => p.view === side);
+    if (points.length === 0 && !showDimensions) return;
+
+    const [vx, vy, vw, vh] = view.viewBox;
+    const unit = Math.max(vw, vh) / 100; // Overlay sizes scale with the board
+    const ns = 'http://www.w3.org/2000/svg';
+    const overlay = document.createElementNS(ns, 'g');
+    overlay.setAttribute('class', 'measure-overlay');
+    const element = (tag, attributes, text) => {
+        const el = document.createElementNS(ns, tag);
+        Object.entries(attributes).forEach(([k, v]) => el.setAttribute(k, v));
+        if (text) el.textContent = text;
+        overlay.appendChild(el);
+        return el;
+    };
+    const label = (x, y, text) => element('text', {
+        x, y, 'font-size': unit * 4, 'font-family': 'sans-serif', 'text-anchor': 'middle',
+        fill: '#212529', stroke: '#fff', 'stroke-width': unit * 0.8, 'paint-order': 'stroke'
+    }, text);
+
+    const svgPoints = points.map(p => boardToSvg(p.x, p.y, view, side));
+    svgPoints.forEach(p => element('circle', { cx: p.x, cy: p.y, r: unit, fill: MEASURE_COLOR }));
+    if (svgPoints.length === 2) {
+        const [a, b] = svgPoints;
+        element('line', { x1: a.x, y1: a.y, x2: b.x, y2: b.y, stroke: MEASURE_COLOR, 'stroke-width': unit * 0.4 });
+        label((a.x + b.x) / 2, (a.y + b.y) / 2 - unit * 2, formatLength(Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y)));
     }
 
-    if (
-        combined.includes('inner copper') ||
-        combined.includes('copper_inner') ||
-        combined.includes('%tf.filefunction,copper,l')
-    ) {
-        const index = innerLayerCounter.value++;
-        return `inner${index}.g${index + 1}`;
+    if (showDimensions) {
+        const factor = (view.units === 'in' ? MM_PER_INCH : 1) / 1000;
+        const lineStyle = { stroke: DIMENSION_COLOR, 'stroke-width': unit * 0.3 };
+        element('line', { x1: vx, y1: vy + vh - unit, x2: vx + vw, y2: vy + vh - unit, ...lineStyle });
+        label(vx + vw / 2, vy + vh - unit * 2, formatLength(vw * factor));
+        element('line', { x1: vx + unit, y1: vy, x2: vx + unit, y2: vy + vh, ...lineStyle });
+        const heightLabel = label(vx + unit * 3, vy + vh / 2, formatLength(vh * factor));
+        heightLabel.setAttribute('transform', `rotate(-90 ${vx + unit * 3} ${vy + vh / 2})`);
     }
 
-    return getFileBasename(layer.filename);
+    svg.appendChild(overlay);
 }
 
-function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    loadingMessage.style.display = 'block';
+// `side` is 'top', 'bottom' or a function returning one, for views that can flip
+function attach2DMeasurement(container, side) {
+    const getSide = typeof side === 'function' ? side : () => side;
+    container.addEventListener('pointermove', event => {
+        if (event.buttons) return; // Panning
+        updateMeasureReadout(getBoardPointFrom2DEvent(event, container, getSide()));
+    });
+    container.addEventListener('pointerleave', () => updateMeasureReadout(null));
+    container.addEventListener('click', event => {
+        if (!measureMode || (container === viewer2DCanvas && viewer2DLastDragMoved)) return;
+        const point = getBoardPointFrom2DEvent(event, container, getSide());
+        if (point) addMeasurePoint(point);
+    });
+}
 
-    JSZip.loadAsync(file)
-        .then(zip => {
-            const promises = [];
-            loadedLayers = [];
-            zip.forEach((_, zipEntry) => {
-                const fileName = zipEntry.name;
+function toggleMeasureMode() {
+    measureMode = !measureMode;
+    measureToggleBtn.classList.toggle('active', measureMode);
+    document.body.classList.toggle('measuring', measureMode);
+    if (!measureMode) clearMeasurement();
+    else updateMeasureReadout(null);
+}
 
-                // Exclude directories and common metadata files from zip archives
-                if (zipEntry.dir || fileName.startsWith('__MACOSX') || fileName.endsWith('.DS_Store')) {
-                    return;
-                }
+function toggleDimensions() {
+    showDimensions = !showDimensions;
+    dimensionsToggleBtn.classList.toggle('active', showDimensions);
+    updateMeasureOverlays();
+}
 
-                promises.push(zipEntry.async('string').then(content => {
-                    // Ensure content is not null, undefined, or just whitespace before adding
-                    if (content && content.trim()) {
-                        loadedLayers.push({ filename: fileName, gerber: content });
-                    }
-                }));
-            });
-            return Promise.all(promises);
-        })
-        .then(() => {
-            if (loadedLayers.length === 0) {
-                throw new Error("No valid Gerber files were found in the zip archive.");
-            }
-            renderAllViews(loadedLayers);
-        })
-        .catch(handleError);
+function toggleMeasureUnits() {
+    measureUnits = measureUnits === 'mm' ? 'in' : 'mm';
+    unitsToggleBtn.textContent = measureUnits;
+    updateMeasureOverlays();
+    updateMeasureReadout(measurePoints[measurePoints.length - 1] || null);
+    updateDfmResults();
+    if (boardStatistics) renderBoardInfo(boardStatistics, false);
+    updatePanelControls();
 }
 
-function renderAllViews(layers) {
-    if (layers.length === 0) return;
+// === CAMERA VIEWS ===
+// The perspective and orthographic cameras share the orbit controls, which
+// zoom the orthographic camera rather than move it closer.
 
-    loadingMessage.style.display = 'block';
-    
-    // helps pcb-stackup correctly identify types and sides.
-    const innerLayerCounter = { value: 1 };
-    const layersCopy = layers
-        .filter(l => {
-            const fn = getFileBasename(l.filename).toLowerCase();
-            // Exclude common non-gerber files that might confuse pcb-stackup
-            if (
-                fn.endsWith('.txt') ||
-                fn.endsWith('.pdf') ||
-                fn.endsWith('.png') ||
-                fn.endsWith('.jpg') ||
-                fn.endsWith('.jpeg') ||
-                fn.endsWith('.csv') ||
-                fn.endsWith('.gbrjob')
-            ) return false;
-            return true;
-        })
-        .map(l => {
-            const newFilename = detectLayerFilename(l, innerLayerCounter);
+function setCameraView(name) {
+    if (!stackGroup) return;
+    const box = new THREE.Box3().setFromObject(pcbGroup);
+    if (box.isEmpty()) return;
+    const center = box.getCenter(new THREE.Vector3());
+    const direction = new THREE.Vector3(...CAMERA_VIEWS[name]).normalize();
 
-            return { 
-                filename: newFilename, 
-                gerber: l.gerber
-            };
-        })
-        .filter(l => l.filename);
+    // Back off until every corner of the board's bounding box is in view
+    const right = new THREE.Vector3();
+    const up = new THREE.Vector3();
+    new THREE.Matrix4().lookAt(direction, new THREE.Vector3(), camera.up).extractBasis(right, up, new THREE.Vector3());
+    const tanY = Math.tan(THREE.MathUtils.degToRad(perspectiveCamera.fov) / 2);
+    const tanX = tanY * perspectiveCamera.aspect;
+    let distance = 0;
+    for (let i = 0; i < 8; i++) {
+        const corner = new THREE.Vector3(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        ).sub(center);
+        const needed = Math.max(Math.abs(corner.dot(right)) / tanX, Math.abs(corner.dot(up)) / tanY);
+        distance = Math.max(distance, corner.dot(direction) + needed);
+    }
+    placeCamera(center, direction, distance * CAMERA_FIT_MARGIN);
+}
+
+// Points the camera at `target` from `distance` mm along `direction`. The
+// orthographic camera is zoomed to show what the perspective one would show
+// there.
+function placeCamera(target, direction, distance) {
+    controls.target.copy(target);
+    camera.position.copy(target).addScaledVector(direction, distance);
+    if (camera.isOrthographicCamera) {
+        camera.zoom = ORTHO_FRUSTUM_HEIGHT / getViewHeightAt(perspectiveCamera, distance);
+        camera.updateProjectionMatrix();
+    }
+    controls.update();
+}
 
-    console.log("Layers passed to pcbStackup:", layersCopy.map(l => l.filename));
+// Switches projection, keeping the viewing direction and the size of the
+// board at the orbit target
+function toggleOrthographic() {
+    const offset = camera.position.clone().sub(controls.target);
+    const viewHeight = getViewHeightAt(camera, offset.length());
+    camera = camera.isOrthographicCamera ? perspectiveCamera : orthographicCamera;
+    controls.object = camera;
+    orthoToggleBtn.classList.toggle('active', camera.isOrthographicCamera);
+    placeCamera(controls.target.clone(), offset.normalize(), viewHeight / getViewHeightAt(perspectiveCamera, 1));
+    scheduleTextureDetailUpdate();
+}
 
-    // Get current colors from active buttons
-    const soldermaskColor = getActiveColor(soldermaskBtnGroup);
-    const silkscreenColor = getActiveColor(silkscreenBtnGroup);
-    const finishedCopperColor = getActiveColor(copperFinishBtnGroup);
+// Height in mm of what `view` shows `distance` mm in front of it
+function getViewHeightAt(view, distance) {
+    if (view.isOrthographicCamera) return (view.top - view.bottom) / view.zoom;
+    return 2 * distance * Math.tan(THREE.MathUtils.degToRad(view.fov) / 2);
+}
 
-    let soldermaskAlpha;
-    if (soldermaskColor === '#000000' || soldermaskColor === '#FFFFFF') {
-        soldermaskAlpha = 0.98;
+function setCameraAspect(view, aspect) {
+    if (view.isOrthographicCamera) {
+        view.top = ORTHO_FRUSTUM_HEIGHT / 2;
+        view.bottom = -ORTHO_FRUSTUM_HEIGHT / 2;
+        view.left = view.bottom * aspect;
+        view.right = view.top * aspect;
     } else {
-        soldermaskAlpha = 0.75;
-    }
-    const soldermaskRgba = hexToRgba(soldermaskColor, soldermaskAlpha);
-
-    const options = {
-        color: {
-          sm: soldermaskRgba,
-          ss: silkscreenColor,
-          cu: '#C09548',
-          fr4: '#ECD39E',
-          cf: finishedCopperColor,
-          sp: '#999',
-          out: '#000'
-        },
-        // *** MODIFICATION START ***
-        // This is the crucial fix. It tells the Gerber parser to treat the
-        // outline layer as a filled polygon instead of a stroked path, which
-        // is necessary for creating a 3D shape.
-        plotAsOutline: true,
-        maskWithOutline: true
-        // *** MODIFICATION END ***
-    };
+        view.aspect = aspect;
+    }
+    view.updateProjectionMatrix();
+}
 
-    Promise.resolve(pcbStackup(layersCopy, options))
-        .then(stackup => {
-            console.log("pcbStackup result:", stackup);
-            if (stackup.layers) {
-                console.log("Identified layers:", stackup.layers.map(l => ({ filename: l.filename, type: l.type, side: l.side })));
-            }
-            currentStackup = stackup; // Cache the result
-            update3DView(stackup);
 
-            let hasContent = false;
+// === CROSS SECTION ===
+// A clipping plane across the board's width or depth. It is set on the
+// materials of the board and its parts only, so the grid and the overlays
+// stay whole.
 
-            if (stackup && stackup.top && stackup.top.svg) {
-                // Sanitize any NaN values that might be in the SVG string from pcb-stackup
-                stackup.top.svg = stackup.top.svg.replace(/="NaN"/g, '="0"');
-                topThumbContainer.innerHTML = stackup.top.svg;
-                const topSvgBlob = new Blob([stackup.top.svg], { type: 'image/svg+xml;charset=utf-8' });
-                downloadTopBtn.href = URL.createObjectURL(topSvgBlob);
-                downloadTopBtn.classList.remove('disabled');
-                downloadTopPngBtn.classList.remove('disabled');
-                hasContent = true;
-            } else {
-                topThumbContainer.innerHTML = '<p class="text-muted text-center small p-2">No top view generated.</p>';
-                downloadTopBtn.href = '#';
-                downloadTopBtn.classList.add('disabled');
-                downloadTopPngBtn.classList.add('disabled');
-            }
+function handleSectionChange() {
+    updateSectionPlane();
+    scheduleSessionSave();
+}
 
-            if (stackup && stackup.bottom && stackup.bottom.svg) {
-                // Sanitize any NaN values that might be in the SVG string from pcb-stackup
-                stackup.bottom.svg = stackup.bottom.svg.replace(/="NaN"/g, '="0"');
-                bottomThumbContainer.innerHTML = stackup.bottom.svg;
-                const bottomSvgBlob = new Blob([stackup.bottom.svg], { type: 'image/svg+xml;charset=utf-8' });
-                downloadBottomBtn.href = URL.createObjectURL(bottomSvgBlob);
-                downloadBottomBtn.classList.remove('disabled');
-                downloadBottomPngBtn.classList.remove('disabled');
-                hasContent = true;
-            } else {
-                bottomThumbContainer.innerHTML = '<p class="text-muted text-center small p-2">No bottom view generated.</p>';
-                downloadBottomBtn.href = '#';
-                downloadBottomBtn.classList.add('disabled');
-                downloadBottomPngBtn.classList.add('disabled');
-            }
+function updateSectionPlane() {
+    const enabled = sectionEnableInput.checked;
+    [sectionAxisSelect, sectionFlipBtn, sectionPositionInput].forEach(input => { input.disabled = !enabled; });
 
-            loadingMessage.style.display = 'none';
-        })
-        .catch(handleError);
+    if (boardFrame) {
+        // Board-local x runs along world x, board-local y along world -z.
+        // The plane keeps the part of the board below the slider position.
+        const acrossWidth = sectionAxisSelect.value === 'x';
+        const size = acrossWidth ? boardFrame.width : boardFrame.depth;
+        const position = (parseFloat(sectionPositionInput.value) / 100 - 0.5) * size;
+        sectionPlane.set(acrossWidth ? new THREE.Vector3(-1, 0, 0) : new THREE.Vector3(0, 0, 1), position);
+        if (sectionFlipped) sectionPlane.negate();
+    }
+    applySectionPlane(pcbGroup);
 }
 
-function handleError(error) {
-    console.error('An error occurred:', error);
-    alert('An error occurred processing the Gerber files. Check the console for details.\n\n' + error.message);
-    loadingMessage.style.display = 'none';
+function applySectionPlane(root) {
+    const planes = sectionEnableInput.checked ? [sectionPlane] : null;
+    root.traverse(object => {
+        // Selected components swap in their highlight material
+        [object.material, object.userData.bodyMaterial, object.userData.highlightMaterial].forEach(material => {
+            if (material) material.clippingPlanes = planes;
+        });
+    });
 }
 
+
 // === PNG EXPORT FUNCTION ===
 
 function handlePngExport(side) {
@@ -330,18 +4609,12 @@ function handlePngExport(side) {
         return;
     }
 
-    const { svg, width, height, units } = viewData;
-
-    if (units !== 'mm') {
-        console.warn(`PNG export for units "${units}" may be inaccurate. Assuming mm.`);
-    }
-
-    const widthInches = width / MM_PER_INCH;
-    const heightInches = height / MM_PER_INCH;
+    const { svg } = viewData;
+    const size = getPngSize(viewData, dpi);
 
     const canvas = document.createElement('canvas');
-    canvas.width = Math.round(widthInches * dpi);
-    canvas.height = Math.round(heightInches * dpi);
+    canvas.width = size.width;
+    canvas.height = size.height;
     const ctx = canvas.getContext('2d');
 
     const img = new Image();
@@ -364,7 +4637,7 @@ function handlePngExport(side) {
 
     img.onerror = (err) => {
         console.error('Image loading for PNG conversion failed:', err);
-        alert('An error occurred while preparing the PNG file. See console for details.');
+        handleError(new Error('The render could not be loaded as an image.'), 'Failed to export the PNG');
         URL.revokeObjectURL(url);
     };
 
@@ -372,18 +4645,261 @@ function handlePngExport(side) {
 }
 
 
+// === 3D MODEL EXPORT ===
+// Exports the board as shown in the 3D view. Models are built in millimetres
+// with +Z up through the board and X/Y running the same way as the Gerber
+// coordinates; glTF is converted to its Y-up, metre convention on export.
+
+async function handleModelExport() {
+    // The export buttons are disabled until a board is loaded
+    if (!stackGroup || !boardFrame) return;
+
+    const format = modelFormatSelect.value;
+    const origin = modelOriginSelect.value;
+    // STL carries no colour or texture, so only the solid board body goes in
+    const model = buildExportModel(origin, { solidsOnly: format === 'stl' });
+
+    try {
+        if (format === 'glb') {
+            // glTF is Y-up and in metres
+            const root = new THREE.Group();
+            root.rotation.x = -Math.PI / 2;
+            root.scale.setScalar(0.001);
+            root.add(model);
+            const glb = await new GLTFExporter().parseAsync(root, { binary: true });
+            downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), 'pcb.glb');
+        } else if (format === 'stl') {
+            const stl = new STLExporter().parse(model, { binary: true });
+            downloadBlob(new Blob([stl], { type: 'model/stl' }), 'pcb.stl');
+        } else if (format === 'obj') {
+            const { mtl, textures } = createObjMaterials(model);
+            const zip = new JSZip();
+            zip.file('pcb.obj', 'mtllib pcb.mtl\n' + new OBJExporter().parse(model));
+            zip.file('pcb.mtl', mtl);
+            textures.forEach(({ filename, canvas }) => {
+                zip.file(filename, canvas.toDataURL('image/png').split(',')[1], { base64: true });
+            });
+            downloadBlob(await zip.generateAsync({ type: 'blob' }), 'pcb-obj.zip');
+        }
+    } catch (e) {
+        handleError(e, 'Failed to export the 3D model');
+    }
+}
+
+// Copies the visible meshes of the board into a new group, transformed from
+// stackGroup space to the export frame. `origin` is 'center' (middle of the
+// board), 'gerber' (the Gerber 0,0) or 'corner' (lower left of the outline);
+// the latter two put the underside of the board at z = 0. Instanced meshes
+// are merged, as not every exporter understands them.
+function buildExportModel(origin, { solidsOnly = false } = {}) {
+    const { tx, ty, width, depth, thickness } = boardFrame;
+    const offsets = {
+        center: [0, 0, 0],
+        gerber: [tx, ty, thickness / 2],
+        corner: [width / 2, depth / 2, thickness / 2]
+    };
+    // Board-local x and y run opposite to the Gerber axes
+    const toExport = new THREE.Matrix4()
+        .makeTranslation(...(offsets[origin] || offsets.center))
+        .multiply(new THREE.Matrix4().makeRotationZ(Math.PI));
+
+    const model = new THREE.Group();
+    model.name = 'pcb';
+    stackGroup.updateMatrixWorld(true);
+    const toStack = stackGroup.matrixWorld.clone().invert();
+
+    stackGroup.traverseVisible(object => {
+        if (!object.isMesh || object === object.parent.userData.detailPlane) return;
+        const owner = object.parent === stackGroup ? object : object.parent;
+        if (solidsOnly && !owner.userData.isSubstrate) return;
+
+        const matrix = toExport.clone().multiply(toStack).multiply(object.matrixWorld);
+        let geometry;
+        if (object.isInstancedMesh) {
+            const instance = new THREE.Matrix4();
+            const parts = [];
+            for (let i = 0; i < object.count; i++) {
+                object.getMatrixAt(i, instance);
+                parts.push(object.geometry.clone().applyMatrix4(instance));
+            }
+            geometry = mergeBufferGeometries(parts);
+            parts.forEach(part => part.dispose());
+        } else {
+            geometry = object.geometry.clone();
+        }
+        geometry.applyMatrix4(matrix);
+
+        const material = object.material.clone();
+        material.name = object.material.name || getExportName(owner);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = owner.userData.designator || material.name;
+        model.add(mesh);
+    });
+    return model;
+}
+
+function getExportName(object) {
+    if (object.userData.isSubstrate) return 'substrate';
+    if (object.userData.hideWhenExploded) return 'plated-holes';
+    const layer = object.userData.layerTexture;
+    if (layer && layer.facing === 1) return 'top-layer';
+    if (layer && layer.facing === -1) return 'bottom-layer';
+    if (object.userData.sourceFilename) return `inner-${getFileBasename(object.userData.sourceFilename).replace(/[^\w.-]/g, '_')}`;
+    return 'part';
+}
+
+// A material library for the model's meshes, with each texture as a PNG
+function createObjMaterials(model) {
+    const lines = [];
+    const textures = [];
+    const seen = new Set();
+
+    model.children.forEach(mesh => {
+        const material = mesh.material;
+        if (seen.has(material.name)) return;
+        seen.add(material.name);
+
+        const color = material.color || new THREE.Color(1, 1, 1);
+        lines.push(`newmtl ${material.name}`, `Kd ${color.r.toFixed(4)} ${color.g.toFixed(4)} ${color.b.toFixed(4)}`);
+        if (material.transparent && material.opacity < 1) lines.push(`d ${material.opacity}`);
+
+        if (material.map && material.map.image) {
+            const filename = `${material.name}.png`;
+            textures.push({ filename, canvas: flipCanvasVertically(material.map.image) });
+            // The texture's transparency cuts the layer artwork out
+            lines.push(`map_Kd ${filename}`, `map_d ${filename}`);
+        }
+        lines.push('');
+    });
+    return { mtl: lines.join('\n'), textures };
+}
+
+// OBJ texture coordinates start at the bottom of the image, our textures at the top
+function flipCanvasVertically(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.translate(0, canvas.height);
+    ctx.scale(1, -1);
+    ctx.drawImage(image, 0, 0);
+    return canvas;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Give the download a moment to start before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// === 3D IMAGE EXPORT ===
+// Renders the 3D view as it is into an offscreen target of any size, rather
+// than grabbing the canvas. The grid and axes are left out.
+
+async function handleImageExport() {
+    if (!stackGroup) return;
+
+    const width = parseInt(imageWidthInput.value, 10);
+    const height = parseInt(imageHeightInput.value, 10);
+    const maxSize = Math.min(renderer.capabilities.maxTextureSize, IMAGE_MAX_SIZE);
+    if (!(width > 0 && height > 0) || width > maxSize || height > maxSize) {
+        handleError(new Error(`The width and height must be between 1 and ${maxSize} pixels.`), 'Failed to export the 3D image');
+        return;
+    }
+
+    downloadImageBtn.disabled = true;
+    try {
+        const view = camera.clone();
+        setCameraAspect(view, width / height);
+        // Refine the layer textures for the image's resolution
+        clearTimeout(textureDetailTimer);
+        await updateTextureDetail(view, height);
+        const canvas = renderImage(view, width, height, imageTransparentInput.checked);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        downloadBlob(blob, `pcb-3d-${width}x${height}.png`);
+    } catch (e) {
+        handleError(e, 'Failed to export the 3D image');
+    } finally {
+        downloadImageBtn.disabled = !stackGroup;
+        scheduleTextureDetailUpdate();
+    }
+}
+
+// Renders the scene from `view` into a canvas
+function renderImage(view, width, height, transparent) {
+    const target = new THREE.WebGLRenderTarget(width, height, { samples: width * height <= IMAGE_MSAA_MAX_PIXELS ? 4 : 0 });
+    const pixels = new Uint8Array(width * height * 4);
+    const background = scene.background;
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+
+    sceneHelpers.forEach(helper => { helper.visible = false; });
+    if (transparent) {
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+    }
+    try {
+        renderer.setRenderTarget(target);
+        renderer.render(scene, view);
+        renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+    } finally {
+        renderer.setRenderTarget(null);
+        renderer.setClearColor(clearColor, clearAlpha);
+        scene.background = background;
+        sceneHelpers.forEach(helper => { helper.visible = true; });
+        target.dispose();
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+    // WebGL rows run from the bottom up
+    const rowLength = width * 4;
+    for (let y = 0; y < height; y++) {
+        image.data.set(pixels.subarray((height - 1 - y) * rowLength, (height - y) * rowLength), y * rowLength);
+    }
+    if (transparent) {
+        // Blending onto a transparent black background leaves the colours
+        // multiplied by their alpha, the canvas wants them straight
+        const data = image.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const alpha = data[i + 3];
+            if (alpha === 0 || alpha === 255) continue;
+            data[i] = data[i] * 255 / alpha;
+            data[i + 1] = data[i + 1] * 255 / alpha;
+            data[i + 2] = data[i + 2] * 255 / alpha;
+        }
+    }
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+
 // === THREE.JS FUNCTIONS ===
 
 function initThree() {
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0xf0f0f0);
 
-    camera = new THREE.PerspectiveCamera(50, threeContainer.clientWidth / threeContainer.clientHeight, 0.1, 5000);
+    const aspect = threeContainer.clientWidth / threeContainer.clientHeight;
+    perspectiveCamera = new THREE.PerspectiveCamera(50, aspect, 0.1, 5000);
+    orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 5000);
+    setCameraAspect(orthographicCamera, aspect);
+    camera = perspectiveCamera;
     camera.position.set(200, 200, 200);
 
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(threeContainer.clientWidth, threeContainer.clientHeight);
     renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.localClippingEnabled = true; // For the cross section
     threeContainer.appendChild(renderer.domElement);
 
     controls = new OrbitControls(camera, renderer.domElement);
@@ -391,6 +4907,10 @@ function initThree() {
     controls.dampingFactor = 0.08;
     controls.minDistance = 10;
     controls.maxDistance = 1000;
+    // The orthographic camera zooms instead, over the same range
+    controls.minZoom = ORTHO_FRUSTUM_HEIGHT / getViewHeightAt(perspectiveCamera, controls.maxDistance);
+    controls.maxZoom = ORTHO_FRUSTUM_HEIGHT / getViewHeightAt(perspectiveCamera, controls.minDistance);
+    controls.addEventListener('change', scheduleTextureDetailUpdate);
 
     scene.add(new THREE.AmbientLight(0xffffff, 0.65));
     const dirLight = new THREE.DirectionalLight(0xffffff, 0.4);
@@ -400,14 +4920,23 @@ function initThree() {
     dirLight2.position.set(-100, -200, -100);
     scene.add(dirLight2);
 
-    const grid = new THREE.GridHelper(500, 50, 0xcccccc, 0xcccccc);
-    scene.add(grid);
-    scene.add(new THREE.AxesHelper(50));
+    // Only the board's own materials use this, lighting is unchanged otherwise
+    const pmremGenerator = new THREE.PMREMGenerator(renderer);
+    environmentMap = pmremGenerator.fromScene(new RoomEnvironment(), 0.04).texture;
+    pmremGenerator.dispose();
+
+    sceneHelpers = [new THREE.GridHelper(500, 50, 0xcccccc, 0xcccccc), new THREE.AxesHelper(50)];
+    sceneHelpers.forEach(helper => scene.add(helper));
 
     pcbGroup = new THREE.Group();
     scene.add(pcbGroup);
 
-    svgLoader = new SVGLoader();
+    measureGroup = new THREE.Group();
+    scene.add(measureGroup);
+    dfmGroup = new THREE.Group();
+    scene.add(dfmGroup);
+    measureRaycaster = new THREE.Raycaster();
+
 
     window.addEventListener('resize', onWindowResize);
     animate();
@@ -422,174 +4951,338 @@ function animate() {
 function onWindowResize() {
     const { clientWidth, clientHeight } = threeContainer;
     if (clientWidth === 0 || clientHeight === 0) return;
-    camera.aspect = clientWidth / clientHeight;
-    camera.updateProjectionMatrix();
+    setCameraAspect(perspectiveCamera, clientWidth / clientHeight);
+    setCameraAspect(orthographicCamera, clientWidth / clientHeight);
     renderer.setSize(clientWidth, clientHeight);
 }
 
-async function svgToTexture(stackupSide) {
-    return new Promise((resolve, reject) => {
-        const svgString = stackupSide.svg;
-        if (!svgString || !stackupSide.viewBox) {
-            console.error("Invalid stackup side data:", stackupSide);
-            return reject("Invalid stackup side data for texture generation");
-        }
+// Rasterizes an SVG render into a texture. `pxPerMm` sets the resolution
+// (capped by the GPU), `crop` an optional [x, y, width, height] part of the
+// render's viewBox to rasterize instead of the whole thing.
+async function svgToTexture(stackupSide, { pxPerMm = BASE_TEXTURE_PX_PER_MM, crop = null } = {}) {
+    if (!stackupSide.svg || !stackupSide.viewBox) {
+        console.error("Invalid stackup side data:", stackupSide);
+        throw new Error("Invalid stackup side data for texture generation");
+    }
+
+    // viewBox is [x, y, width, height]
+    const viewBox = crop || stackupSide.viewBox;
+    const viewBoxWidth = viewBox[2] || 0;
+    const viewBoxHeight = viewBox[3] || 0;
+    if (viewBoxWidth <= 0 || viewBoxHeight <= 0 || isNaN(viewBoxWidth) || isNaN(viewBoxHeight)) {
+        throw new Error("Invalid viewBox dimensions for texture");
+    }
 
+    const { width, height } = getTextureSize(viewBoxWidth, viewBoxHeight, stackupSide.units, pxPerMm);
+    const canvas = await rasterizeSvg(setSvgViewport(stackupSide.svg, viewBox, width, height), width, height);
+
+    const tex = new THREE.CanvasTexture(canvas);
+    tex.flipY = false;
+    tex.anisotropy = renderer.capabilities.getMaxAnisotropy();
+    return tex;
+}
+
+// Draws an SVG string onto a new canvas. Give the SVG an explicit pixel size
+// (see setSvgViewport) so every browser rasterizes it at the canvas
+// resolution rather than scaling up a small bitmap.
+function rasterizeSvg(svgString, width, height) {
+    return new Promise((resolve, reject) => {
         const img = new Image();
         const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
         const url = URL.createObjectURL(svgBlob);
 
         img.onload = () => {
             const canvas = document.createElement('canvas');
-            const viewBoxWidth = (stackupSide.viewBox && stackupSide.viewBox[2]) ? (stackupSide.viewBox[2] - stackupSide.viewBox[0]) : 0;
-            const viewBoxHeight = (stackupSide.viewBox && stackupSide.viewBox[3]) ? (stackupSide.viewBox[3] - stackupSide.viewBox[1]) : 0;
-
-            if (viewBoxWidth <= 0 || viewBoxHeight <= 0 || isNaN(viewBoxWidth) || isNaN(viewBoxHeight)) {
-                 URL.revokeObjectURL(url);
-                 return reject("Invalid viewBox dimensions for texture");
-            }
-
-            const baseResolution = 2048;
-            canvas.width = baseResolution;
-            canvas.height = baseResolution * (viewBoxHeight / viewBoxWidth);
-            
-            if (isNaN(canvas.height) || canvas.height <= 0) {
-                canvas.height = baseResolution; // Fallback to square
-            }
-
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-            const tex = new THREE.CanvasTexture(canvas);
-            tex.flipY = false;
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(img, 0, 0, width, height);
             URL.revokeObjectURL(url);
-            resolve(tex);
+            resolve(canvas);
         };
 
         img.onerror = () => {
-             URL.revokeObjectURL(url);
-             reject(new Error("Failed to load SVG image for texture generation."));
-        }
+            URL.revokeObjectURL(url);
+            reject(new Error("Failed to load SVG image for rasterizing."));
+        };
         img.src = url;
     });
 }
 
+// Canvas size for a viewBox area at `pxPerMm`, scaled down to fit the GPU's
+// texture size limit and a pixel budget
+function getTextureSize(viewBoxWidth, viewBoxHeight, units, pxPerMm) {
+    const mmPerUnit = (units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const maxSize = Math.min(renderer.capabilities.maxTextureSize, MAX_TEXTURE_SIZE);
+    let width = viewBoxWidth * mmPerUnit * pxPerMm;
+    let height = viewBoxHeight * mmPerUnit * pxPerMm;
+
+    const fit = Math.min(1, maxSize / width, maxSize / height, Math.sqrt(MAX_TEXTURE_PIXELS / (width * height)));
+    width = Math.max(1, Math.round(width * fit));
+    height = Math.max(1, Math.round(height * fit));
+    return { width, height, pxPerMm: pxPerMm * fit };
+}
+
+
 async function update3DView(stackup) {
+    const token = ++boardModelToken;
     pcbGroup.clear();
+    stackGroup = null;
+    boardOutline = [];
+    downloadModelBtn.disabled = true;
+    downloadImageBtn.disabled = true;
 
     if (!stackup || !stackup.layers) {
       console.error("Stackup or layers not found");
       return;
     }
 
-    const outlineLayer = stackup.layers.find(l => l.type === 'outline');
-    if (!outlineLayer) {
-        throw new Error("Failed to find a board outline layer in the provided files. Please ensure your outline file has a standard name (e.g., profile.gbr, board.gko).");
-    }
-
-    let outlineSvg;
-    let scale = 1.0;
-
-    if (outlineLayer.svg) {
-        outlineSvg = outlineLayer.svg;
-    } else if (outlineLayer.converter && outlineLayer.converter.layer && outlineLayer.converter.viewBox) {
-        const { viewBox, layer, width, height, units } = outlineLayer.converter;
-        const pathData = layer.join('');
-        const viewBoxWidth = (viewBox && viewBox[2]) ? (viewBox[2] - viewBox[0]) : 0;
-        if (width && viewBoxWidth > 0) scale = width / viewBoxWidth;
-        if (isNaN(scale) || scale === 0) scale = 1.0;
-        
-        // Ensure we don't have NaN in the dimensions
-        const w = (isNaN(width) || !width) ? 0 : width;
-        const h = (isNaN(height) || !height) ? 0 : height;
-        const vb = (viewBox && Array.isArray(viewBox)) ? viewBox.map(v => isNaN(v) ? 0 : v) : [0,0,0,0];
-
-        outlineSvg = `<svg width="${w}${units || 'mm'}" height="${h}${units || 'mm'}" viewBox="${vb.join(' ')}" version="1.1" xmlns="http://www.w3.org/2000/svg">${pathData}</svg>`;
-    } else {
-        console.error("Outline layer found, but it contains no usable SVG data.");
+    const substrate = SUBSTRATES[substrateTypeSelect.value];
+    const substrateMaterial = new THREE.MeshStandardMaterial({
+        color: (stackup.color && stackup.color.fr4) || substrate.color,
+        metalness: substrate.metalness,
+        roughness: substrate.roughness,
+        envMap: environmentMap,
+        side: THREE.DoubleSide
+    });
+    applySubstrateTranslucency(substrateMaterial);
+
+    let model;
+    try {
+        model = await createBoardModel(stackup, gerberJob, pcbThickness || 1.6, {
+            rasterize: source => svgToTexture(source),
+            surfaces: getSurfaces(),
+            substrateMaterial,
+            envMap: environmentMap,
+            innerLayers: true,
+            getLayerSource: getDiff3DSource
+        });
+    } catch (e) {
+        console.error(e.message);
         return;
     }
+    // A newer board (or render of it) has started building meanwhile
+    if (token !== boardModelToken) return;
 
-    // Sanitize any NaN values in the outline SVG before processing
-    outlineSvg = outlineSvg.replace(/="NaN"/g, '="0"');
-    
-    const BOARD_THICKNESS = pcbThickness || 1.6;
-    const shapes = getShapesFromSVG(outlineSvg);
-    console.log(shapes)
-    if (shapes.length === 0) {
-        console.error("Could not extract any shapes from the outline SVG.");
-        return;
+    const { shapes } = model;
+    boardFrame = model.frame;
+    boardOutline = shapes.flatMap(shape => {
+        const { shape: outer, holes } = shape.extractPoints(12);
+        return [outer, ...holes].map(contour => contour.map(p => ({ x: p.x * boardFrame.scale, y: p.y * boardFrame.scale })));
+    });
+    currentDrills = model.drills;
+    if (currentDrills.length > 0 && typeof ClipperLib === 'undefined') {
+        console.warn('ClipperLib is not available, drill holes will not be cut into the board.');
+    }
+
+    // Planes remember their size and base resolution for the texture detail
+    // refinement as the camera zooms in
+    stackGroup = model.group;
+    stackGroup.children.filter(child => child.userData.layerTexture).forEach(plane => {
+        const { viewBox, units } = plane.userData.layerTexture;
+        plane.userData.boardWidth = boardFrame.width;
+        plane.userData.boardDepth = boardFrame.depth;
+        plane.userData.basePxPerMm = getTextureSize(viewBox[2], viewBox[3], units, BASE_TEXTURE_PX_PER_MM).pxPerMm;
+    });
+    pcbGroup.add(stackGroup);
+
+    if (panelLayout && panelLayout.vScores.length > 0) {
+        createVScoreLines(panelLayout.vScores, boardFrame).forEach(lines => stackGroup.add(lines));
     }
 
-    const geometry = new THREE.ExtrudeGeometry(shapes, { depth: BOARD_THICKNESS, bevelEnabled: false });
-    geometry.scale(-scale, -scale, 1);
-    geometry.computeBoundingBox();
-    geometry.center();
+    updateComponentModels();
+    applyStackExplode();
+    updateSectionPlane();
+    scheduleTextureDetailUpdate();
+    downloadModelBtn.disabled = false;
+    downloadImageBtn.disabled = false;
 
-    const material = new THREE.MeshStandardMaterial({ color: 0xECD39E, roughness: 0.5, side: THREE.DoubleSide });
-    const board = new THREE.Mesh(geometry, material);
-    board.rotation.x = -Math.PI / 2;
-    pcbGroup.add(board);
+    snapPoints = collectSnapPoints(stackup, shapes, boardFrame.scale);
+    update3DMeasureOverlay();
+    update3DDfmOverlay();
 
-    const boardSize = new THREE.Vector3();
-    geometry.boundingBox.getSize(boardSize);
-    const [boardWidth, boardDepth, boardThickness] = [boardSize.x, boardSize.y, boardSize.z];
+    // Auto-zoom camera to fit a newly loaded PCB, re-renders keep the view
+    if (!fitCameraOnRender) return;
+    fitCameraOnRender = false;
+    setCameraView('iso');
+}
 
-    // Create top texture overlay
-    if (stackup.top && stackup.top.svg) {
-        try {
-            const topTex = await svgToTexture(stackup.top);
-            topTex.wrapS = THREE.RepeatWrapping;
-            topTex.repeat.x = -1;
+// Positions every slab and plane in the stack, pushing them apart by
+// `stackExplode` mm per level around the middle of the board
+function applyStackExplode() {
+    if (!stackGroup) return;
+    stackGroup.children.forEach(child => {
+        if (child.userData.hideWhenExploded) child.visible = stackExplode === 0;
+        if (child.userData.baseZ === undefined) return;
+        child.position.z = child.userData.baseZ + stackExplode * (child.userData.stackOffset || 0);
+    });
+}
+
+function applySubstrateTranslucency(material) {
+    const translucent = stackTranslucentInput.checked;
+    material.transparent = translucent;
+    material.opacity = translucent ? 0.35 : 1;
+    material.depthWrite = !translucent;
+    material.needsUpdate = true;
+}
 
-            const planeGeom = new THREE.PlaneGeometry(boardWidth, boardDepth);
-            const plane = new THREE.Mesh(planeGeom, new THREE.MeshStandardMaterial({ map: topTex, transparent: true, alphaTest: 0.5 }));
-            plane.rotation.x = -Math.PI / 2;
-            plane.position.y = (boardThickness / 2) + 0.1;
-            pcbGroup.add(plane);
-        } catch(e) {
-             console.error("Failed to create top texture:", e);
+// === TEXTURE LEVEL OF DETAIL ===
+// Each layer plane carries a base texture of the whole board. When the camera
+// zooms in far enough that the base texture runs out of resolution, the visible
+// part of the layer is rasterized again at screen resolution into a detail
+// texture on a smaller plane laid over the base.
+
+function scheduleTextureDetailUpdate() {
+    clearTimeout(textureDetailTimer);
+    textureDetailTimer = setTimeout(updateTextureDetail, TEXTURE_DETAIL_DELAY_MS);
+}
+
+// `view` and `viewHeight` (in pixels) are the on-screen camera and canvas
+// unless a 3D image is being rendered.
+async function updateTextureDetail(view = camera, viewHeight = renderer.domElement.clientHeight * renderer.getPixelRatio()) {
+    if (!stackGroup) return;
+    const token = ++textureDetailToken;
+    const planes = stackGroup.children.filter(c => c.userData.layerTexture);
+
+    for (const plane of planes) {
+        const request = getTextureDetailRequest(plane, view, viewHeight);
+        const current = plane.userData.detailPlane;
+
+        if (!request) {
+            if (current) removeTextureDetail(plane);
+            continue;
         }
-    }
+        // Keep the current detail while it still covers the view well enough
+        if (current && regionContains(current.userData.region, request.visible) &&
+            current.userData.pxPerMm >= request.pxPerMm * 0.8) {
+            continue;
+        }
+
+        const source = plane.userData.layerTexture;
+        const [x, y, width, height] = source.viewBox;
+        const [fx0, fy0, fx1, fy1] = request.region;
+        // Image columns run the other way on mirrored planes
+        const [c0, c1] = source.mirror ? [1 - fx1, 1 - fx0] : [fx0, fx1];
+        const crop = [x + c0 * width, y + fy0 * height, (c1 - c0) * width, (fy1 - fy0) * height];
 
-    // Create bottom texture overlay
-    if (stackup.bottom && stackup.bottom.svg) {
+        let texture, surfaceMap = null;
         try {
-            const bottomTex = await svgToTexture(stackup.bottom);
-            const planeGeom = new THREE.PlaneGeometry(boardWidth, boardDepth);
-            const plane = new THREE.Mesh(planeGeom, new THREE.MeshStandardMaterial({ map: bottomTex, transparent: true, alphaTest: 0.5, side: THREE.BackSide }));
-            plane.rotation.x = -Math.PI / 2;
-            plane.position.y = -(boardThickness / 2) - 0.1;
-            pcbGroup.add(plane);
-        } catch(e) {
-            console.error("Failed to create bottom texture:", e);
+            texture = await svgToTexture(source, { pxPerMm: request.pxPerMm, crop });
+            if (source.surfaceSvg) {
+                surfaceMap = await svgToTexture({ ...source, svg: source.surfaceSvg }, { pxPerMm: request.pxPerMm, crop });
+            }
+        } catch (e) {
+            console.warn('Failed to render detail texture:', e);
+            if (texture) texture.dispose();
+            continue;
+        }
+        // A newer camera position has taken over, or the board was replaced
+        if (token !== textureDetailToken || plane.parent !== stackGroup) {
+            texture.dispose();
+            if (surfaceMap) surfaceMap.dispose();
+            return;
         }
-    }
 
-    // Auto-zoom camera to fit the new PCB
-    const box = new THREE.Box3().setFromObject(pcbGroup);
-    const size = new THREE.Vector3();
-    box.getSize(size);
-    const maxDim = Math.max(size.x, size.z);
-    const fov = camera.fov * (Math.PI / 180);
-    const cameraDistance = (maxDim / Math.tan(fov / 2)) * 0.75;
-
-    camera.position.set(maxDim * 0.6, cameraDistance, maxDim * 0.6);
-    controls.target.set(0, 0, 0);
-    controls.update();
+        removeTextureDetail(plane);
+        const detail = createDetailPlane(plane, texture, request.region, surfaceMap);
+        detail.userData.region = request.region;
+        detail.userData.pxPerMm = texture.image.width / (request.region[2] - request.region[0]) / plane.userData.boardWidth;
+        plane.userData.detailPlane = detail;
+        plane.add(detail);
+        applySectionPlane(detail);
+    }
 }
 
-function getShapesFromSVG(svgString) {
-    if (!svgString) {
-        console.error("No SVG data provided to getShapesFromSVG");
-        return [];
+// Works out which part of a plane is on screen and the resolution it needs
+// there, as fractions [fx0, fy0, fx1, fy1] of the plane. Returns null when
+// the base texture is good enough or the plane cannot be seen.
+function getTextureDetailRequest(plane, view, viewHeight) {
+    if (!plane.visible || !isLayerPlaneInView(plane, view)) return null;
+
+    const { boardWidth, boardDepth, basePxPerMm } = plane.userData;
+    plane.updateMatrixWorld();
+    const worldPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+        new THREE.Vector3(0, 0, 1).transformDirection(plane.matrixWorld),
+        new THREE.Vector3().setFromMatrixPosition(plane.matrixWorld)
+    );
+    const inverse = plane.matrixWorld.clone().invert();
+    const raycaster = new THREE.Raycaster();
+    const hit = new THREE.Vector3();
+
+    // Sample rays across the viewport. A ray missing the plane means it is
+    // seen at a glancing angle, where the base texture is as good as it gets.
+    let [fx0, fy0, fx1, fy1] = [1, 1, 0, 0];
+    let nearest = Infinity;
+    const steps = TEXTURE_DETAIL_SAMPLES - 1;
+    for (let i = 0; i <= steps; i++) {
+        for (let j = 0; j <= steps; j++) {
+            raycaster.setFromCamera(new THREE.Vector2(i / steps * 2 - 1, j / steps * 2 - 1), view);
+            if (!raycaster.ray.intersectPlane(worldPlane, hit)) return null;
+            nearest = Math.min(nearest, hit.distanceTo(view.position));
+            hit.applyMatrix4(inverse);
+            const fx = hit.x / boardWidth + 0.5;
+            const fy = hit.y / boardDepth + 0.5;
+            fx0 = Math.min(fx0, fx); fx1 = Math.max(fx1, fx);
+            fy0 = Math.min(fy0, fy); fy1 = Math.max(fy1, fy);
+        }
     }
-    try {
-        console.log(svgString)
-        const paths = svgLoader.parse(svgString).paths;
-        return paths.flatMap(p => p.toShapes(true));
-    } catch (e) {
-        console.warn('SVG parse failed, falling back to empty shapes:', e);
-        return [];
+    const visible = clampRegion([fx0, fy0, fx1, fy1]);
+    if (!visible) return null;
+
+    // Screen pixels per mm at the closest visible point of the plane
+    const screenPxPerMm = viewHeight / getViewHeightAt(view, nearest);
+    const pxPerMm = Math.min(screenPxPerMm, MAX_TEXTURE_PX_PER_MM);
+    if (pxPerMm <= basePxPerMm * 1.25) return null;
+
+    // Render a margin around the view so small pans do not need a new render
+    const marginX = (visible[2] - visible[0]) * 0.25;
+    const marginY = (visible[3] - visible[1]) * 0.25;
+    const region = clampRegion([visible[0] - marginX, visible[1] - marginY, visible[2] + marginX, visible[3] + marginY]);
+    return { region, visible, pxPerMm };
+}
+
+function isLayerPlaneInView(plane, view) {
+    const facing = plane.userData.layerTexture.facing;
+    if (facing === 0) {
+        // Inner layers are hidden inside an opaque, assembled board
+        return stackExplode > 0 || stackTranslucentInput.checked;
     }
+    const normal = new THREE.Vector3(0, 0, facing).transformDirection(plane.matrixWorld);
+    const toCamera = view.position.clone().sub(new THREE.Vector3().setFromMatrixPosition(plane.matrixWorld));
+    return normal.dot(toCamera) > 0;
+}
+
+function clampRegion([fx0, fy0, fx1, fy1]) {
+    const region = [Math.max(0, fx0), Math.max(0, fy0), Math.min(1, fx1), Math.min(1, fy1)];
+    return region[2] > region[0] && region[3] > region[1] ? region : null;
+}
+
+function regionContains(outer, inner) {
+    return outer[0] <= inner[0] && outer[1] <= inner[1] && outer[2] >= inner[2] && outer[3] >= inner[3];
+}
+
+// A plane over the given region of `plane`, drawn over it with a polygon offset
+function createDetailPlane(plane, texture, [fx0, fy0, fx1, fy1], surfaceMap = null) {
+    const { boardWidth, boardDepth, layerTexture } = plane.userData;
+    const detail = createLayerPlane(texture, boardWidth * (fx1 - fx0), boardDepth * (fy1 - fy0), {
+        mirror: layerTexture.mirror,
+        side: plane.material.side,
+        surfaceMap,
+        envMap: environmentMap
+    });
+    detail.geometry.translate(((fx0 + fx1) / 2 - 0.5) * boardWidth, ((fy0 + fy1) / 2 - 0.5) * boardDepth, 0);
+    detail.material.polygonOffset = true;
+    detail.material.polygonOffsetFactor = -1;
+    detail.material.polygonOffsetUnits = -1;
+    return detail;
+}
+
+function removeTextureDetail(plane) {
+    const detail = plane.userData.detailPlane;
+    if (!detail) return;
+    plane.remove(detail);
+    detail.geometry.dispose();
+    detail.material.map.dispose();
+    if (detail.material.roughnessMap) detail.material.roughnessMap.dispose();
+    detail.material.dispose();
+    plane.userData.detailPlane = null;
 }
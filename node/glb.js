@@ -0,0 +1,123 @@
+// A minimal glTF binary (.glb) writer for the Node API. three's GLTFExporter
+// needs a canvas and FileReader to embed textures, which Node doesn't have,
+// and the board only needs a few textured triangle meshes.
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+// Writes meshes given as
+//   { name, positions, normals?, uvs?, indices?, material }
+// with Float32Array/Uint32Array attributes in glTF's metres, Y up, and
+// material { name, color: [r, g, b, a], metallic, roughness, texture?: PNG
+// bytes, surfaceTexture?: PNG bytes with roughness in green and metalness in
+// blue, alphaCutoff?, doubleSided? }. Returns the file as a Buffer.
+export function writeGlb(meshes) {
+    const gltf = {
+        asset: { version: '2.0', generator: 'javascript-gerber-viewer' },
+        scene: 0,
+        scenes: [{ nodes: meshes.map((_, i) => i) }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    };
+    const chunks = [];
+    let byteLength = 0;
+
+    const addBufferView = (bytes, target) => {
+        const padding = (4 - (byteLength % 4)) % 4;
+        if (padding) chunks.push(Buffer.alloc(padding));
+        byteLength += padding;
+        gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength, ...(target ? { target } : {}) });
+        chunks.push(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+        byteLength += bytes.byteLength;
+        return gltf.bufferViews.length - 1;
+    };
+    const addAccessor = (array, type, componentType, target, withBounds = false) => {
+        const size = { SCALAR: 1, VEC2: 2, VEC3: 3 }[type];
+        const accessor = {
+            bufferView: addBufferView(array, target),
+            componentType,
+            count: array.length / size,
+            type
+        };
+        if (withBounds) Object.assign(accessor, getBounds(array, size));
+        gltf.accessors.push(accessor);
+        return gltf.accessors.length - 1;
+    };
+
+    meshes.forEach(mesh => {
+        const attributes = { POSITION: addAccessor(mesh.positions, 'VEC3', FLOAT, ARRAY_BUFFER, true) };
+        if (mesh.normals) attributes.NORMAL = addAccessor(mesh.normals, 'VEC3', FLOAT, ARRAY_BUFFER);
+        if (mesh.uvs) attributes.TEXCOORD_0 = addAccessor(mesh.uvs, 'VEC2', FLOAT, ARRAY_BUFFER);
+        const primitive = { attributes, material: addMaterial(gltf, mesh.material, addBufferView) };
+        if (mesh.indices) primitive.indices = addAccessor(mesh.indices, 'SCALAR', UNSIGNED_INT, ELEMENT_ARRAY_BUFFER);
+
+        gltf.meshes.push({ name: mesh.name, primitives: [primitive] });
+        gltf.nodes.push({ name: mesh.name, mesh: gltf.meshes.length - 1 });
+    });
+
+    const bin = Buffer.concat([...chunks, Buffer.alloc((4 - (byteLength % 4)) % 4)]);
+    gltf.buffers.push({ byteLength: bin.length });
+    ['materials', 'accessors', 'bufferViews'].forEach(key => {
+        if (gltf[key].length === 0) delete gltf[key];
+    });
+
+    const jsonText = JSON.stringify(gltf);
+    const json = Buffer.from(jsonText + ' '.repeat((4 - (Buffer.byteLength(jsonText) % 4)) % 4));
+    const header = Buffer.alloc(12);
+    header.writeUInt32LE(GLB_MAGIC, 0);
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(12 + 8 + json.length + 8 + bin.length, 8);
+    return Buffer.concat([header, chunkHeader(json.length, CHUNK_JSON), json, chunkHeader(bin.length, CHUNK_BIN), bin]);
+}
+
+function addMaterial(gltf, { name, color = [1, 1, 1, 1], metallic = 0, roughness = 1, texture, surfaceTexture, alphaCutoff, doubleSided = false }, addBufferView) {
+    const material = {
+        name,
+        pbrMetallicRoughness: { baseColorFactor: color, metallicFactor: metallic, roughnessFactor: roughness },
+        doubleSided
+    };
+    const addTexture = png => {
+        gltf.images = gltf.images || [];
+        gltf.textures = gltf.textures || [];
+        gltf.samplers = gltf.samplers || [{ magFilter: 9729, minFilter: 9987, wrapS: 33071, wrapT: 33071 }];
+        gltf.images.push({ bufferView: addBufferView(png), mimeType: 'image/png' });
+        gltf.textures.push({ sampler: 0, source: gltf.images.length - 1 });
+        return { index: gltf.textures.length - 1 };
+    };
+    if (texture) material.pbrMetallicRoughness.baseColorTexture = addTexture(texture);
+    if (surfaceTexture) material.pbrMetallicRoughness.metallicRoughnessTexture = addTexture(surfaceTexture);
+    if (alphaCutoff !== undefined) {
+        material.alphaMode = 'MASK';
+        material.alphaCutoff = alphaCutoff;
+    }
+    gltf.materials.push(material);
+    return gltf.materials.length - 1;
+}
+
+function getBounds(array, size) {
+    const min = new Array(size).fill(Infinity);
+    const max = new Array(size).fill(-Infinity);
+    for (let i = 0; i < array.length; i++) {
+        const axis = i % size;
+        min[axis] = Math.min(min[axis], array[i]);
+        max[axis] = Math.max(max[axis], array[i]);
+    }
+    return { min, max };
+}
+
+function chunkHeader(length, type) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32LE(length, 0);
+    header.writeUInt32LE(type, 4);
+    return header;
+}
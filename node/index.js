@@ -0,0 +1,196 @@
+// Node API: loads Gerber files and renders them to SVG, PNG or glTF without
+// a browser, for CI and scripts. The layer detection and pcb-stackup options
+// are those of the viewer, from gerber-core.js.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import * as THREE from 'three';
+import { Resvg } from '@resvg/resvg-js';
+import { DOMParser } from '@xmldom/xmldom';
+import { mergeBufferGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import {
+    MM_PER_INCH, DEFAULT_COLORS, DEFAULT_SURFACES,
+    collectLayerFiles, findGerberJob, renderStackup, getPngSize, createBoardModel
+} from '../gerber-core.js';
+import { writeGlb } from './glb.js';
+
+// gerber-core.js uses the globals the libraries' browser builds define, and
+// three's SVGLoader parses the outline with DOMParser
+const require = createRequire(import.meta.url);
+globalThis.pcbStackup = globalThis.pcbStackup || require('pcb-stackup');
+globalThis.JSZip = globalThis.JSZip || require('jszip');
+globalThis.ClipperLib = globalThis.ClipperLib || require('clipper-lib');
+globalThis.DOMParser = globalThis.DOMParser || DOMParser;
+
+export { DEFAULT_COLORS };
+
+export const SIDES = ['top', 'bottom'];
+const DEFAULT_THICKNESS = 1.6;
+const GLB_PX_PER_MM = 20;
+const GLB_MAX_TEXTURE_SIZE = 4096;
+
+// Loads a board from files, folders and archives, given as paths or as
+// { path, bytes } entries. Options:
+//   colors     { soldermask, silkscreen, finish, copper, substrate }, see DEFAULT_COLORS
+//   overrides  layer roles by filename, as the viewer's layer manager sets them
+//   thickness  board thickness in mm, otherwise the job file's or 1.6
+// Returns { layers, job, stackup, thickness, issues }, `issues` listing files
+// left out or that may render wrong, as { severity, file, message, line }.
+export async function loadBoard(inputs, { colors, overrides = {}, thickness } = {}) {
+    const layers = [];
+    for (const input of [].concat(inputs)) {
+        for (const file of await readInput(input)) {
+            await collectLayerFiles(file.path, file.bytes, layers, 0);
+        }
+    }
+    if (layers.length === 0) {
+        throw new Error('No Gerber files found in the given input.');
+    }
+
+    const job = findGerberJob(layers);
+    const stackup = await renderStackup(layers, job, { overrides, colors });
+    // An empty viewBox means none of the files drew anything
+    if (!stackup.top || !stackup.top.viewBox || !(stackup.top.viewBox[2] > 0)) {
+        throw new Error('pcb-stackup could not render the board. Check that the input contains Gerber files.');
+    }
+    return {
+        layers,
+        job,
+        stackup,
+        thickness: thickness || (job && job.thickness) || DEFAULT_THICKNESS,
+        issues: stackup.issues
+    };
+}
+
+// Folders are read recursively, named like a folder picked in the browser
+async function readInput(input) {
+    if (typeof input !== 'string') {
+        return [{ path: input.path, bytes: new Uint8Array(input.bytes) }];
+    }
+    const stat = await fs.stat(input);
+    if (!stat.isDirectory()) {
+        return [{ path: path.basename(input), bytes: new Uint8Array(await fs.readFile(input)) }];
+    }
+    const entries = await fs.readdir(input, { recursive: true, withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+        if (!entry.isFile()) continue;
+        const fullPath = path.join(entry.parentPath || entry.path, entry.name);
+        const relative = path.relative(path.dirname(path.resolve(input)), path.resolve(fullPath));
+        files.push({ path: relative.split(path.sep).join('/'), bytes: new Uint8Array(await fs.readFile(fullPath)) });
+    }
+    return files;
+}
+
+function getView(board, side) {
+    if (!SIDES.includes(side)) {
+        throw new Error(`Unknown side "${side}", expected one of: ${SIDES.join(', ')}.`);
+    }
+    const view = board.stackup[side];
+    if (!view || !view.svg) {
+        throw new Error(`The ${side} of the board could not be rendered.`);
+    }
+    return view;
+}
+
+// The top or bottom of the board as the viewer's SVG export
+export function renderSvg(board, side = 'top') {
+    return getView(board, side).svg;
+}
+
+// The top or bottom of the board as PNG bytes at `dpi`, the same size the
+// viewer's PNG export gives
+export function renderPng(board, side = 'top', { dpi = 300 } = {}) {
+    const view = getView(board, side);
+    const { width } = getPngSize(view, dpi);
+    if (!(width > 0)) {
+        throw new Error(`Invalid DPI ${dpi}.`);
+    }
+    return rasterizeSvg(view.svg, width);
+}
+
+function rasterizeSvg(svg, width) {
+    const resvg = new Resvg(svg, { fitTo: { mode: 'width', value: width } });
+    return resvg.render().asPng();
+}
+
+// The board as a glTF binary, built as the viewer's 3D view is: substrate
+// between the copper layers with the drill holes cut, plated barrels, and
+// the top, inner and bottom renders as textured planes with metallic copper.
+// Metres, Y up, origin at the board centre, like the viewer's .glb export.
+// Resolves to the file as a Buffer.
+export async function renderGlb(board, { pxPerMm = GLB_PX_PER_MM } = {}) {
+    const { group } = await createBoardModel(board.stackup, board.job, board.thickness, {
+        rasterize: source => createTexture(source, pxPerMm),
+        surfaces: DEFAULT_SURFACES,
+        innerLayers: true
+    });
+    group.updateMatrixWorld(true);
+
+    const meshes = [];
+    group.traverse(object => {
+        if (object.isMesh) meshes.push(toGlbMesh(object, object.name || object.parent.name));
+    });
+    return writeGlb(meshes);
+}
+
+// A render as a texture for createBoardModel, holding the PNG bytes
+// writeGlb embeds rather than an image
+function createTexture(source, pxPerMm) {
+    const mmPerUnit = (source.units === 'in' ? MM_PER_INCH : 1) / 1000;
+    const [, , width, height] = source.viewBox.map(v => v * mmPerUnit);
+    const texturePx = Math.max(1, Math.min(GLB_MAX_TEXTURE_SIZE, Math.round(Math.max(width, height) * pxPerMm)));
+    const textureWidth = width >= height ? texturePx : Math.max(1, Math.round(texturePx * width / height));
+    const texture = new THREE.Texture();
+    texture.flipY = false;
+    texture.userData.png = rasterizeSvg(source.svg, textureWidth);
+    return texture;
+}
+
+// One of the model's meshes in the scene's coordinates, which are glTF's y
+// up, scaled to metres. Instances (the barrels) are merged into one mesh.
+function toGlbMesh(mesh, name) {
+    const geometries = [];
+    if (mesh.isInstancedMesh) {
+        const matrix = new THREE.Matrix4();
+        for (let i = 0; i < mesh.count; i++) {
+            mesh.getMatrixAt(i, matrix);
+            geometries.push(mesh.geometry.clone().applyMatrix4(matrix.premultiply(mesh.matrixWorld)));
+        }
+    } else {
+        geometries.push(mesh.geometry.clone().applyMatrix4(mesh.matrixWorld));
+    }
+    const geometry = geometries.length === 1 ? geometries[0] : mergeBufferGeometries(geometries);
+    geometry.scale(0.001, 0.001, 0.001);
+
+    const positions = geometry.attributes.position.array;
+    const normals = Float32Array.from(geometry.attributes.normal.array);
+    const indices = geometry.index
+        ? Uint32Array.from(geometry.index.array)
+        : Uint32Array.from({ length: geometry.attributes.position.count }, (_, i) => i);
+    const { material } = mesh;
+    // glTF has no back faces only, so a plane seen from behind is turned round
+    if (material.side === THREE.BackSide) {
+        for (let i = 0; i < indices.length; i += 3) [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+        for (let i = 0; i < normals.length; i++) normals[i] = -normals[i];
+    }
+
+    const color = material.color.clone().convertSRGBToLinear();
+    return {
+        name,
+        positions: Float32Array.from(positions),
+        normals,
+        uvs: geometry.attributes.uv && Float32Array.from(geometry.attributes.uv.array),
+        indices,
+        material: {
+            name,
+            color: [color.r, color.g, color.b, 1],
+            metallic: material.metalness,
+            roughness: material.roughness,
+            texture: material.map && material.map.userData.png,
+            surfaceTexture: material.metalnessMap && material.metalnessMap.userData.png,
+            alphaCutoff: material.alphaTest > 0 ? material.alphaTest : undefined,
+            doubleSided: material.side === THREE.DoubleSide
+        }
+    };
+}
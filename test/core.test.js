@@ -0,0 +1,199 @@
+// Unit tests for the parsing and geometry helpers of gerber-core.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { detectLayerFilename, parseGerberAttributes, getFileSyntax, getFileIssues, parseExcellon, getBoardOutline } from '../gerber-core.js';
+
+// three's SVGLoader parses the outline with DOMParser, as under node/index.js
+globalThis.DOMParser = globalThis.DOMParser || DOMParser;
+
+// === LAYER IDENTIFICATION ===
+
+test('detectLayerFilename names files by their role', () => {
+    const counter = { value: 1 };
+    const detect = (filename, gerber = '') => detectLayerFilename({ filename, gerber }, counter);
+
+    assert.equal(detect('board-outline.gbr'), 'board.gko');
+    assert.equal(detect('board-Edge_Cuts.gbr', '%TF.FileFunction,Profile,NP*%'), 'board.gko');
+    assert.equal(detect('board.drl'), 'drill.xln');
+    assert.equal(detect('board-F_SilkS.gbr', 'G04 top silkscreen*'), 'top.gto');
+    assert.equal(detect('board-B_Cu.gbr', 'G04 bottom copper*'), 'bottom.gbl');
+    assert.equal(detect('notes.txt'), 'notes.txt');
+    assert.equal(detect('board.gbrjob'), null);
+});
+
+test('detectLayerFilename numbers inner copper layers in turn', () => {
+    const counter = { value: 1 };
+    const inner = '%TF.FileFunction,Copper,L2,Inr*%';
+
+    assert.equal(detectLayerFilename({ filename: 'a.gbr', gerber: inner }, counter), 'inner1.g2');
+    assert.equal(detectLayerFilename({ filename: 'b.gbr', gerber: inner }, counter), 'inner2.g3');
+    assert.equal(counter.value, 3);
+});
+
+test('parseGerberAttributes reads X2 attributes and the comment forms', () => {
+    assert.deepEqual(parseGerberAttributes('%TF.FileFunction,Copper,L1,Top*%\n%TF.Part,Single*%'), {
+        FileFunction: ['Copper', 'L1', 'Top'],
+        Part: ['Single']
+    });
+    assert.deepEqual(parseGerberAttributes('G04 #@! TF.FileFunction,Soldermask,Bot*\nG04 #@! TF.SameCoordinates,Original*'), {
+        FileFunction: ['Soldermask', 'Bot'],
+        SameCoordinates: ['Original']
+    });
+    assert.deepEqual(parseGerberAttributes('M48\n; #@! TF.FileFunction,Plated,1,2,PTH\n'), {
+        FileFunction: ['Plated', '1', '2', 'PTH']
+    });
+});
+
+test('parseGerberAttributes keeps the first definition of an attribute', () => {
+    assert.deepEqual(parseGerberAttributes('%TF.FileFunction,Profile,NP*%\n%TF.FileFunction,Legend,Top*%'), {
+        FileFunction: ['Profile', 'NP']
+    });
+    assert.deepEqual(parseGerberAttributes(''), {});
+});
+
+// === FILE DIAGNOSTICS ===
+
+const GERBER = ['%FSLAX46Y46*%', '%MOMM*%', '%ADD10C,0.100000*%', 'D10*', 'X0Y0D02*', 'X1000000Y0D01*', 'M02*'];
+const DRILL = ['M48', 'METRIC,TZ', 'T1C0.800', '%', 'T1', 'X1.0Y1.0', 'M30'];
+
+// The issues without the filename, which every one of them carries
+function checkFile(lines) {
+    return getFileIssues('board.gbr', lines.join('\n')).map(({ severity, message, line }) => ({ severity, message, line }));
+}
+
+test('getFileSyntax tells Gerber from Excellon by the first line', () => {
+    assert.equal(getFileSyntax(GERBER.join('\n')), 'gerber');
+    assert.equal(getFileSyntax('\nG04 comment*\n'), 'gerber');
+    assert.equal(getFileSyntax(DRILL.join('\n')), 'drill');
+    assert.equal(getFileSyntax('; comment with * in it\nM48\n'), 'drill');
+});
+
+test('getFileIssues passes well-formed files', () => {
+    assert.deepEqual(checkFile(GERBER), []);
+    assert.deepEqual(checkFile(DRILL), []);
+});
+
+test('getFileIssues rejects binary content', () => {
+    const issues = getFileIssues('board.gbr', 'PK\u0003\u0004\u0000\u0000');
+
+    assert.deepEqual(issues, [{
+        severity: 'error',
+        file: 'board.gbr',
+        message: 'Is not a text file, so it is not a Gerber or drill file.',
+        line: null
+    }]);
+});
+
+test('getFileIssues stops at coordinates before the format statement', () => {
+    const issues = checkFile(['G04 no format yet*', '%MOMM*%', '%ADD10C,0.1*%', 'D10*', 'X0Y0D02*', '%FSLAX46Y46*%', 'M02*']);
+
+    assert.deepEqual(issues, [
+        { severity: 'error', message: 'Has coordinates before its format statement (%FS), so it cannot be read.', line: 5 }
+    ]);
+});
+
+test('getFileIssues warns of undefined apertures and tools once, at first use', () => {
+    const gerber = GERBER.slice(0, 5).concat('D11*', 'X1000000Y0D01*', 'D11*', 'M02*');
+    assert.deepEqual(checkFile(gerber), [
+        { severity: 'warning', message: 'Aperture D11 is used but never defined, so it draws nothing.', line: 6 }
+    ]);
+
+    const drill = DRILL.slice(0, 6).concat('T02', 'X2.0Y2.0', 'T2', 'M30');
+    assert.deepEqual(checkFile(drill), [
+        { severity: 'warning', message: 'Tool T2 is used but has no size, so its holes are not drawn.', line: 7 }
+    ]);
+});
+
+test('getFileIssues warns of missing units and end of file', () => {
+    assert.deepEqual(checkFile(GERBER.filter(l => l !== '%MOMM*%' && l !== 'M02*')), [
+        { severity: 'warning', message: 'Has no units statement (%MO), so inches are assumed.', line: null },
+        { severity: 'warning', message: 'Has no end of file (M02) and may be cut short.', line: null }
+    ]);
+    // G71 sets the units the old way
+    assert.deepEqual(checkFile(['G71*'].concat(GERBER.filter(l => l !== '%MOMM*%'))), []);
+
+    assert.deepEqual(checkFile(['M48', 'T1C0.8', '%', 'T1', 'X01000Y01000']), [
+        { severity: 'warning', message: 'Has no units (INCH or METRIC) in its header, so inches are assumed.', line: null },
+        { severity: 'warning', message: 'Has no number format, so 2.4 digits are assumed and the holes may be misplaced.', line: 5 },
+        { severity: 'warning', message: 'Has no end of file (M30) and may be cut short.', line: null }
+    ]);
+});
+
+// === EXCELLON DRILL PARSING ===
+
+test('parseExcellon reads metric holes with decimal coordinates', () => {
+    const { holes, routes } = parseExcellon('M48\nMETRIC,TZ\nT1C0.800\n%\nT1\nX5.0Y5.0\nX-2.5Y10.0\nM30\n');
+    assert.deepEqual(holes.map(({ x, y, diameter, tool }) => ({ x, y, diameter, tool })), [
+        { x: 5, y: 5, diameter: 0.8, tool: 1 },
+        { x: -2.5, y: 10, diameter: 0.8, tool: 1 }
+    ]);
+    assert.deepEqual(routes, []);
+});
+
+test('parseExcellon converts inch files and implied decimals to mm', () => {
+    const { holes } = parseExcellon('M48\nINCH,TZ\nT1C0.0394\n%\nT1\nX010000Y005000\nM30\n');
+    assert.equal(holes.length, 1);
+    assert.ok(Math.abs(holes[0].x - 25.4) < 1e-9);
+    assert.ok(Math.abs(holes[0].y - 12.7) < 1e-9);
+    assert.ok(Math.abs(holes[0].diameter - 1.00076) < 1e-9);
+});
+
+test('parseExcellon reads plating per tool and per file', () => {
+    const perTool = parseExcellon([
+        'M48', 'METRIC',
+        '; #@! TA.AperFunction,Plated,PTH,ComponentDrill', 'T1C0.800',
+        '; #@! TA.AperFunction,NonPlated,NPTH,ComponentDrill', 'T2C3.200',
+        '%', 'T1', 'X1.0Y1.0', 'T2', 'X2.0Y2.0', 'M30'
+    ].join('\n'));
+    assert.deepEqual(perTool.holes.map(h => h.plated), [true, false]);
+
+    const perFile = parseExcellon('M48\n;TYPE=NON_PLATED\nMETRIC\nT1C1.0\n%\nT1\nX1.0Y1.0\nM30\n');
+    assert.equal(perFile.holes[0].plated, false);
+
+    const unknown = parseExcellon('M48\nMETRIC\nT1C1.0\n%\nT1\nX1.0Y1.0\nM30\n');
+    assert.equal(unknown.holes[0].plated, null);
+});
+
+test('parseExcellon reads G85 slots and routed paths', () => {
+    const { holes, routes } = parseExcellon([
+        'M48', 'METRIC', 'T1C1.000', '%', 'T1',
+        'X1.0Y1.0G85X4.0Y1.0',
+        'G00X10.0Y10.0', 'M15', 'G01X20.0Y10.0', 'X20.0Y15.0', 'M16',
+        'G05', 'X30.0Y30.0', 'M30'
+    ].join('\n'));
+    assert.deepEqual(routes.map(r => ({ points: r.points, diameter: r.diameter })), [
+        { points: [{ x: 1, y: 1 }, { x: 4, y: 1 }], diameter: 1 },
+        { points: [{ x: 10, y: 10 }, { x: 20, y: 10 }, { x: 20, y: 15 }], diameter: 1 }
+    ]);
+    assert.deepEqual(holes.map(({ x, y }) => ({ x, y })), [{ x: 30, y: 30 }]);
+});
+
+// === BOARD GEOMETRY ===
+
+test('getBoardOutline falls back to the bounding box without an outline layer', () => {
+    const stackup = { layers: [], top: { viewBox: [1000, 2000, 30000, 20000], units: 'mm' } };
+    const outline = getBoardOutline(stackup);
+
+    assert.equal(outline.fromBounds, true);
+    assert.equal(outline.scale, 0.001);
+    assert.equal(outline.shapes.length, 1);
+    const points = outline.shapes[0].getPoints();
+    assert.deepEqual(points.slice(0, 4).map(p => [p.x, p.y]), [[1000, 2000], [31000, 2000], [31000, 22000], [1000, 22000]]);
+});
+
+test('getBoardOutline falls back to the bounding box when the outline draws nothing', () => {
+    const empty = { defs: [], layer: [], viewBox: [0, 0, 0, 0], units: 'in', width: 0, height: 0 };
+    const stackup = {
+        layers: [{ type: 'outline', converter: empty }],
+        top: { viewBox: [0, 0, 1000, 500], units: 'in' }
+    };
+    const outline = getBoardOutline(stackup);
+
+    assert.equal(outline.fromBounds, true);
+    assert.equal(outline.scale, 0.0254);
+});
+
+test('getBoardOutline is null when there is nothing to draw', () => {
+    assert.equal(getBoardOutline({ layers: [], top: { viewBox: [0, 0, 0, 0], units: 'mm' } }), null);
+});
@@ -0,0 +1,126 @@
+// Tests of the Node API and CLI against the small board in fixtures/board
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { loadBoard, renderSvg, renderPng, renderGlb } from '../node/index.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const BOARD = path.join(here, 'fixtures', 'board');
+const CLI = path.join(here, '..', 'bin', 'gerber-view.js');
+
+function readFixture(name) {
+    return { path: name, bytes: fs.readFileSync(path.join(BOARD, name)) };
+}
+
+// The width and height from a PNG's IHDR chunk
+function getPngDimensions(png) {
+    return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+// The JSON chunk of a glTF binary
+function readGlbJson(glb) {
+    assert.equal(glb.toString('ascii', 0, 4), 'glTF');
+    return JSON.parse(glb.toString('utf8', 20, 20 + glb.readUInt32LE(12)));
+}
+
+function runCli(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+// === NODE API ===
+
+test('loadBoard identifies the layers of a folder', async () => {
+    const board = await loadBoard(BOARD);
+    const roles = board.stackup.layers.map(l => `${path.basename(l.sourceFilename)} ${l.type} ${l.side}`).sort();
+
+    assert.deepEqual(roles, [
+        'board-B_Cu.gbr copper bottom',
+        'board-Edge_Cuts.gbr outline all',
+        'board-F_Cu.gbr copper top',
+        'board-NPTH.drl drill all',
+        'board-PTH.drl drill all'
+    ]);
+    assert.deepEqual(board.issues, []);
+    assert.equal(board.thickness, 1.6);
+});
+
+test('loadBoard rejects input with nothing to draw', async () => {
+    await assert.rejects(loadBoard([]), /No Gerber files/);
+    await assert.rejects(loadBoard([{ path: 'notes.txt', bytes: Buffer.from('hello') }]), /could not render the board/);
+});
+
+test('renderSvg gives the side as the viewer exports it', async () => {
+    const board = await loadBoard(BOARD, { colors: { soldermask: '#1B1B8F' } });
+    const svg = renderSvg(board, 'top');
+
+    assert.match(svg, /^<svg[^>]*viewBox="0 0 30000 20000"/);
+    assert.match(svg, /#1B1B8F/i);
+    assert.throws(() => renderSvg(board, 'side'), /Unknown side "side"/);
+});
+
+test('renderPng sizes the image from the board and the DPI', async () => {
+    const board = await loadBoard(BOARD);
+
+    // The board is 30 x 20 mm, so 254 DPI gives 10 px per mm
+    assert.deepEqual(getPngDimensions(renderPng(board, 'top', { dpi: 254 })), { width: 300, height: 200 });
+    assert.deepEqual(getPngDimensions(renderPng(board, 'bottom', { dpi: 127 })), { width: 150, height: 100 });
+    assert.throws(() => renderPng(board, 'top', { dpi: 0 }), /Invalid DPI/);
+});
+
+test('renderGlb builds the board with its layers in metres', async () => {
+    const board = await loadBoard(BOARD, { thickness: 1 });
+    const gltf = readGlbJson(await renderGlb(board));
+
+    assert.deepEqual(gltf.nodes.map(n => n.name), ['substrate', 'barrels', 'top-layer', 'bottom-layer']);
+    const substrate = gltf.accessors[gltf.meshes[0].primitives[0].attributes.POSITION];
+    assert.deepEqual(substrate.min.map(v => +v.toFixed(4)), [-0.015, -0.0005, -0.01]);
+    assert.deepEqual(substrate.max.map(v => +v.toFixed(4)), [0.015, 0.0005, 0.01]);
+    // The outer layers have metallic copper from the surface map
+    const top = gltf.materials[gltf.meshes[2].primitives[0].material];
+    assert.ok(top.pbrMetallicRoughness.baseColorTexture);
+    assert.ok(top.pbrMetallicRoughness.metallicRoughnessTexture);
+});
+
+test('a board without an outline is drawn as its bounding box', async () => {
+    const board = await loadBoard(['board-F_Cu.gbr', 'board-B_Cu.gbr'].map(readFixture));
+
+    assert.deepEqual(board.issues.map(i => i.message), [
+        'No board outline layer was found, so the board is drawn as the bounding box of the other layers.'
+    ]);
+    const gltf = readGlbJson(await renderGlb(board));
+    const substrate = gltf.accessors[gltf.meshes[0].primitives[0].attributes.POSITION];
+    const [width, , depth] = substrate.max.map((max, i) => max - substrate.min[i]);
+    const [, , viewBoxWidth, viewBoxHeight] = board.stackup.top.viewBox;
+    assert.ok(Math.abs(width - viewBoxWidth / 1e6) < 1e-6);
+    assert.ok(Math.abs(depth - viewBoxHeight / 1e6) < 1e-6);
+});
+
+// === CLI ===
+
+test('gerber-view renders a PNG to a file', () => {
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gerber-view-')), 'top.png');
+    const result = runCli(['render', BOARD, '--dpi', '254', '--out', out]);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(getPngDimensions(fs.readFileSync(out)), { width: 300, height: 200 });
+    fs.rmSync(path.dirname(out), { recursive: true });
+});
+
+test('gerber-view exits with 2 for invalid arguments', () => {
+    for (const args of [['render'], ['render', BOARD, '--dpi', 'x'], ['render', BOARD, '--side', 'left'], ['render', BOARD, '--bogus'], ['draw', BOARD]]) {
+        const result = runCli(args);
+        assert.equal(result.status, 2, args.join(' '));
+        assert.match(result.stderr, /Usage: gerber-view render/);
+    }
+});
+
+test('gerber-view exits with 1 when the board cannot be rendered', () => {
+    const result = runCli(['render', path.join(BOARD, 'missing.zip')]);
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /^gerber-view: .*missing\.zip/);
+});